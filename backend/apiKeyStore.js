@@ -0,0 +1,254 @@
+/**
+ * File-based API Key Store
+ *
+ * Keeps the API keys scripts use instead of logging in, in `api-keys.json`
+ * inside the data directory. Only a SHA-256 hash of each key is stored; the
+ * key itself is shown once, when it is created. Revoked keys are kept (with
+ * `revokedAt`) so their usage history stays visible.
+ *
+ * Each key can have a daily token quota. Usage is counted per UTC day from
+ * the prompt and completion token counts Ollama reports.
+ *
+ * @version 1.0.0
+ * @author Kimi-K2 Chatbot Team
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { StoreError } = require('./sessionStore');
+
+const KEY_PREFIX = 'kk_';
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * SHA-256 hash of a key (keys are long random strings, so no salt is needed)
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Whether a bearer token looks like an API key rather than a login token
+ */
+function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+}
+
+/**
+ * Current UTC day as YYYY-MM-DD
+ */
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+class ApiKeyStore {
+  /**
+   * @param {string} dataDir - Directory api-keys.json is kept in
+   */
+  constructor(dataDir) {
+    this.filePath = path.join(dataDir, 'api-keys.json');
+    this.keys = [];
+    this.loadedMtime = 0;
+    this.saveQueue = Promise.resolve();
+  }
+
+  /**
+   * Load the stored keys (none if the file does not exist yet)
+   */
+  async init() {
+    try {
+      const [content, stats] = await Promise.all([fs.readFile(this.filePath, 'utf8'), fs.stat(this.filePath)]);
+      const data = JSON.parse(content);
+      this.keys = Array.isArray(data.keys) ? data.keys : [];
+      this.loadedMtime = stats.mtimeMs;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.keys = [];
+      this.loadedMtime = 0;
+    }
+  }
+
+  /**
+   * Reload the keys if api-keys.json changed on disk, e.g. through the
+   * manage-keys CLI while the server is running
+   */
+  async refresh() {
+    await this.saveQueue.catch(() => {}); // Our own pending write is not an outside change
+    const mtime = await fs.stat(this.filePath).then(stats => stats.mtimeMs, () => 0);
+    if (mtime !== this.loadedMtime) {
+      await this.init();
+    }
+  }
+
+  /**
+   * List keys (without their hashes), optionally only those of one user
+   * @param {string} [owner] - User ID
+   */
+  listKeys(owner = undefined) {
+    return this.keys
+      .filter(key => owner === undefined || key.owner === owner)
+      .map(key => this.describe(key));
+  }
+
+  /**
+   * Create a key
+   * @param {Object} params
+   * @param {string} params.name - What the key is for
+   * @param {string|null} [params.owner] - User ID the key acts as (its chats and sessions)
+   * @param {number|null} [params.dailyTokenLimit] - Tokens per UTC day; null for no limit
+   * @returns {Promise<Object>} The key record, plus the key itself in `key` (shown only now)
+   * @throws {StoreError} 400 for invalid input
+   */
+  async createKey({ name, owner = null, dailyTokenLimit = null }) {
+    await this.refresh();
+    if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+      throw new StoreError(400, `Invalid key name: use 1-${MAX_NAME_LENGTH} characters`);
+    }
+    this.checkLimit(dailyTokenLimit);
+
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const record = {
+      id: `key_${crypto.randomBytes(6).toString('hex')}`,
+      name: name.trim(),
+      owner,
+      prefix: key.slice(0, 10),
+      keyHash: hashKey(key),
+      dailyTokenLimit,
+      usage: { date: today(), tokens: 0 },
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+      revokedAt: null
+    };
+
+    this.keys.push(record);
+    await this.save();
+    return { ...this.describe(record), key };
+  }
+
+  /**
+   * Change a key's daily token quota
+   * @throws {StoreError} 400 for an invalid limit, 404 if the key does not exist
+   */
+  async setDailyTokenLimit(keyId, dailyTokenLimit) {
+    await this.refresh();
+    const record = this.findById(keyId);
+    this.checkLimit(dailyTokenLimit);
+
+    record.dailyTokenLimit = dailyTokenLimit;
+    await this.save();
+    return this.describe(record);
+  }
+
+  /**
+   * Revoke a key; it stops working immediately
+   * @throws {StoreError} 404 if the key does not exist
+   */
+  async revokeKey(keyId) {
+    await this.refresh();
+    const record = this.findById(keyId);
+
+    record.revokedAt = record.revokedAt || new Date().toISOString();
+    await this.save();
+    return this.describe(record);
+  }
+
+  /**
+   * Look up a presented key
+   * @returns {Promise<Object|null>} The key record, or null if unknown or revoked
+   */
+  async verifyKey(key) {
+    if (!isApiKey(key)) return null;
+
+    await this.refresh();
+    const keyHash = hashKey(key);
+    const record = this.keys.find(k => k.keyHash === keyHash && !k.revokedAt);
+    return record ? this.describe(record) : null;
+  }
+
+  /**
+   * Today's quota state of a key
+   * @returns {{limit: number|null, used: number, remaining: number|null, resetAt: string}}
+   */
+  getQuota(keyId) {
+    const record = this.findById(keyId);
+    const used = record.usage?.date === today() ? record.usage.tokens : 0;
+    const resetAt = new Date(`${today()}T00:00:00.000Z`);
+    resetAt.setUTCDate(resetAt.getUTCDate() + 1);
+
+    return {
+      limit: record.dailyTokenLimit,
+      used,
+      remaining: record.dailyTokenLimit === null ? null : Math.max(0, record.dailyTokenLimit - used),
+      resetAt: resetAt.toISOString()
+    };
+  }
+
+  /**
+   * Add tokens to a key's usage for today
+   * @param {number} tokens - Prompt plus completion tokens of one request
+   */
+  async recordUsage(keyId, tokens) {
+    await this.refresh();
+    const record = this.keys.find(k => k.id === keyId);
+    if (!record) return;
+
+    const date = today();
+    record.usage = {
+      date,
+      tokens: (record.usage?.date === date ? record.usage.tokens : 0) + Math.max(0, tokens || 0)
+    };
+    record.lastUsedAt = new Date().toISOString();
+    await this.save();
+  }
+
+  /**
+   * Look up a key record by ID
+   * @throws {StoreError} 404 if the key does not exist
+   */
+  findById(keyId) {
+    const record = this.keys.find(k => k.id === keyId);
+    if (!record) {
+      throw new StoreError(404, `API key ${keyId} not found`);
+    }
+    return record;
+  }
+
+  /**
+   * @throws {StoreError} 400 unless the limit is null or a positive integer
+   */
+  checkLimit(dailyTokenLimit) {
+    if (dailyTokenLimit !== null && !(Number.isInteger(dailyTokenLimit) && dailyTokenLimit > 0)) {
+      throw new StoreError(400, 'Invalid dailyTokenLimit: expected a positive integer or null');
+    }
+  }
+
+  /**
+   * Key record as returned by the API (no hash)
+   */
+  describe(record) {
+    const { keyHash, ...publicFields } = record;
+    return publicFields;
+  }
+
+  /**
+   * Write all keys to disk (temporary file, then rename). Saves run one
+   * after another, since usage is recorded after every request.
+   */
+  async save() {
+    const next = this.saveQueue
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify({ keys: this.keys }, null, 2), { mode: 0o600 });
+        await fs.rename(tempPath, this.filePath);
+        this.loadedMtime = (await fs.stat(this.filePath)).mtimeMs;
+      });
+
+    this.saveQueue = next;
+    await next;
+  }
+}
+
+module.exports = { ApiKeyStore, isApiKey };
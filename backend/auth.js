@@ -0,0 +1,109 @@
+/**
+ * Authentication Tokens
+ *
+ * Signs and verifies the JSON Web Tokens (HS256) handed out at login, and
+ * remembers tokens that were logged out until they expire. Implemented with
+ * Node's crypto module, so no extra dependency is needed.
+ *
+ * @version 1.0.0
+ * @author Kimi-K2 Chatbot Team
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Base64url-encode a buffer or string
+ */
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+/**
+ * HMAC-SHA256 signature of the token's header and payload
+ */
+function sign(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+class TokenService {
+  /**
+   * @param {string} secret - Signing secret (JWT_SECRET)
+   * @param {number} ttlSeconds - How long a token stays valid
+   */
+  constructor(secret, ttlSeconds) {
+    this.secret = secret;
+    this.ttlSeconds = ttlSeconds;
+    this.revoked = new Map(); // token ID -> expiry (seconds since epoch)
+  }
+
+  /**
+   * Issue a token for a user
+   * @returns {{token: string, expiresAt: string}}
+   */
+  issue(user) {
+    const now = Math.floor(Date.now() / 1000);
+    const payload = {
+      sub: user.id,
+      name: user.username,
+      role: user.role,
+      pwc: user.passwordChangedAt || null, // Password version the token was issued for
+      jti: crypto.randomUUID(),
+      iat: now,
+      exp: now + this.ttlSeconds
+    };
+
+    const data = `${base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))}.${base64url(JSON.stringify(payload))}`;
+    return {
+      token: `${data}.${sign(data, this.secret)}`,
+      expiresAt: new Date(payload.exp * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Check a token's signature, expiry and revocation
+   * @returns {Object|null} The token payload, or null if the token is not valid
+   */
+  verify(token) {
+    const [header, payload, signature] = String(token || '').split('.');
+    if (!header || !payload || !signature) return null;
+
+    const expected = Buffer.from(sign(`${header}.${payload}`, this.secret));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    try {
+      const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString());
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+      if (alg !== 'HS256' || !claims.sub || !(claims.exp > Date.now() / 1000)) return null;
+      if (this.revoked.has(claims.jti)) return null;
+      return claims;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Reject a token from now on (logout). Revocations are kept in memory
+   * only until the token would have expired anyway.
+   */
+  revoke(claims) {
+    const now = Date.now() / 1000;
+    for (const [jti, exp] of this.revoked) {
+      if (exp <= now) this.revoked.delete(jti);
+    }
+    this.revoked.set(claims.jti, claims.exp);
+  }
+}
+
+/**
+ * Read a bearer token from the Authorization header
+ * @returns {string|null}
+ */
+function getBearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1] : null;
+}
+
+module.exports = { TokenService, getBearerToken };
@@ -0,0 +1,201 @@
+/**
+ * Built-in Tools
+ *
+ * General-purpose tools available to every chat that enables tool calling:
+ * the current date and time (models have no clock) and exact arithmetic
+ * (models are unreliable at it). Expressions are parsed here, never eval'd.
+ *
+ * @version 1.0.0
+ * @author Kimi-K2 Chatbot Team
+ */
+
+const MAX_EXPRESSION_LENGTH = 500;
+
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+const FUNCTIONS = {
+  abs: Math.abs,
+  sqrt: Math.sqrt,
+  cbrt: Math.cbrt,
+  exp: Math.exp,
+  ln: Math.log,
+  log: Math.log10,
+  log2: Math.log2,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  round: Math.round,
+  min: Math.min,
+  max: Math.max,
+  pow: Math.pow
+};
+
+/**
+ * Evaluate an arithmetic expression
+ *
+ * Supports numbers (including 1e3), + - * / % ^ (power, right-associative),
+ * parentheses, unary minus, the constants pi and e, and the functions in
+ * FUNCTIONS.
+ *
+ * @param {string} expression - e.g. "2 * (3 + sqrt(16)) ^ 2"
+ * @returns {number} The result
+ * @throws {Error} If the expression cannot be parsed
+ */
+function evaluateExpression(expression) {
+  const tokens = expression.match(/\d+(?:\.\d+)?(?:e[+-]?\d+)?|\.\d+|[a-z_][a-z0-9_]*|\*\*|\S/gi) || [];
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const take = (expected) => {
+    const token = tokens[position];
+    if (expected !== undefined && token !== expected) {
+      throw new Error(token === undefined ? `Expected "${expected}" at end of expression` : `Expected "${expected}" but found "${token}"`);
+    }
+    position++;
+    return token;
+  };
+
+  // expression := term (("+" | "-") term)*
+  const parseExpression = () => {
+    let value = parseTerm();
+    while (peek() === '+' || peek() === '-') {
+      value = take() === '+' ? value + parseTerm() : value - parseTerm();
+    }
+    return value;
+  };
+
+  // term := unary (("*" | "/" | "%") unary)*
+  const parseTerm = () => {
+    let value = parseUnary();
+    while (['*', '/', '%'].includes(peek())) {
+      const operator = take();
+      const right = parseUnary();
+      value = operator === '*' ? value * right : operator === '/' ? value / right : value % right;
+    }
+    return value;
+  };
+
+  // unary := ("-" | "+") unary | power
+  const parseUnary = () => {
+    if (peek() === '-') { take(); return -parseUnary(); }
+    if (peek() === '+') { take(); return parseUnary(); }
+    return parsePower();
+  };
+
+  // power := primary (("^" | "**") unary)?
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (peek() === '^' || peek() === '**') {
+      take();
+      return Math.pow(base, parseUnary());
+    }
+    return base;
+  };
+
+  // primary := number | constant | function "(" args ")" | "(" expression ")"
+  const parsePrimary = () => {
+    const token = take();
+    if (token === undefined) throw new Error('Unexpected end of expression');
+
+    if (/^[\d.]/.test(token)) return Number(token);
+
+    if (token === '(') {
+      const value = parseExpression();
+      take(')');
+      return value;
+    }
+
+    const name = token.toLowerCase();
+    if (name in CONSTANTS) return CONSTANTS[name];
+
+    if (name in FUNCTIONS) {
+      take('(');
+      const args = [parseExpression()];
+      while (peek() === ',') {
+        take();
+        args.push(parseExpression());
+      }
+      take(')');
+      return FUNCTIONS[name](...args);
+    }
+
+    throw new Error(`Unexpected "${token}"`);
+  };
+
+  const value = parseExpression();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${tokens[position]}"`);
+  }
+  return value;
+}
+
+/**
+ * Register the built-in tools
+ * @param {ToolRegistry} registry - Registry to add them to
+ */
+function registerBuiltinTools(registry) {
+  registry.register({
+    name: 'get_current_time',
+    description: 'Get the current date and time. Use it whenever the answer depends on today\'s date or the current time.',
+    parameters: {
+      type: 'object',
+      properties: {
+        timezone: {
+          type: 'string',
+          description: 'IANA time zone such as "Europe/Berlin" or "America/New_York"; defaults to the server\'s time zone'
+        }
+      },
+      additionalProperties: false
+    },
+    handler: async ({ timezone }) => {
+      const now = new Date();
+      let formatter;
+      try {
+        formatter = new Intl.DateTimeFormat('en-US', { dateStyle: 'full', timeStyle: 'long', timeZone: timezone });
+      } catch (error) {
+        throw new Error(`Unknown time zone "${timezone}"`);
+      }
+
+      return {
+        iso: now.toISOString(),
+        local: formatter.format(now),
+        timezone: formatter.resolvedOptions().timeZone
+      };
+    }
+  });
+
+  registry.register({
+    name: 'calculate',
+    description: 'Evaluate an arithmetic expression exactly. Supports + - * / % ^, parentheses, pi, e and the functions ' +
+      `${Object.keys(FUNCTIONS).join(', ')}. Use it instead of doing non-trivial arithmetic yourself.`,
+    parameters: {
+      type: 'object',
+      properties: {
+        expression: {
+          type: 'string',
+          description: 'Expression to evaluate, e.g. "(1299 * 0.85) / 12"'
+        }
+      },
+      required: ['expression'],
+      additionalProperties: false
+    },
+    handler: async ({ expression }) => {
+      if (expression.length > MAX_EXPRESSION_LENGTH) {
+        throw new Error(`Expression is longer than ${MAX_EXPRESSION_LENGTH} characters`);
+      }
+
+      const result = evaluateExpression(expression);
+      if (Number.isNaN(result)) {
+        throw new Error('The result is not a number');
+      }
+      return `${expression} = ${result}`;
+    }
+  });
+}
+
+module.exports = { registerBuiltinTools, evaluateExpression };
@@ -0,0 +1,16 @@
+/**
+ * Grep Worker
+ *
+ * Runs the file search of the workspace grep tool off the main thread. The
+ * pattern can be a regular expression written by the model, and some
+ * patterns take exponential time on unlucky input; here that only stalls
+ * this worker, which Workspace.grep terminates when its time limit is hit.
+ *
+ * @version 1.0.0
+ * @author Kimi-K2 Chatbot Team
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { searchFiles } = require('./workspaceTools');
+
+parentPort.postMessage(searchFiles(workerData));
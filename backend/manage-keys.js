@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+/**
+ * API Key Management CLI
+ *
+ * Creates and revokes the API keys scripts use to call the backend. Works on
+ * the same data directory as the server (DATA_DIR), and a running server
+ * picks up the changes on its next request.
+ *
+ * Usage:
+ *   node manage-keys.js list
+ *   node manage-keys.js create <name> [--user <username>] [--daily-tokens <n>]
+ *   node manage-keys.js quota <key-id> <n|none>
+ *   node manage-keys.js revoke <key-id>
+ *
+ * @version 1.0.0
+ * @author Kimi-K2 Chatbot Team
+ */
+
+const { ApiKeyStore } = require('./apiKeyStore');
+const { UserStore } = require('./userStore');
+const { StoreError } = require('./sessionStore');
+
+const DATA_DIR = process.env.DATA_DIR || `${__dirname}/data`;
+
+/**
+ * Value following a --flag, or undefined
+ */
+function readFlag(args, flag) {
+  const index = args.indexOf(flag);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+/**
+ * Parse a token count argument ("none" for no limit)
+ * @throws {StoreError} 400 if it is not a positive integer
+ */
+function parseLimit(value) {
+  if (value === undefined || value === 'none') return null;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit <= 0) {
+    throw new StoreError(400, `Invalid token limit "${value}": expected a positive integer or "none"`);
+  }
+  return limit;
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const apiKeyStore = new ApiKeyStore(DATA_DIR);
+  const userStore = new UserStore(DATA_DIR);
+  await Promise.all([apiKeyStore.init(), userStore.init()]);
+
+  switch (command) {
+    case 'list': {
+      const keys = apiKeyStore.listKeys();
+      if (keys.length === 0) {
+        console.log('No API keys yet. Create one with: node manage-keys.js create <name>');
+      }
+      keys.forEach(key => {
+        const owner = key.owner ? userStore.getUser(key.owner)?.username || '(deleted user)' : '-';
+        const { used, limit } = apiKeyStore.getQuota(key.id);
+        const status = key.revokedAt ? `revoked ${key.revokedAt}` : `${used}/${limit ?? 'unlimited'} tokens today`;
+        console.log(`${key.id}  ${key.prefix}...  ${key.name.padEnd(24)} user: ${owner.padEnd(16)} ${status}`);
+      });
+      break;
+    }
+
+    case 'create': {
+      const name = args[0];
+      if (!name || name.startsWith('--')) throw new StoreError(400, 'Usage: node manage-keys.js create <name> [--user <username>] [--daily-tokens <n>]');
+
+      const username = readFlag(args, '--user');
+      const owner = username ? userStore.findByUsername(username).id : null;
+      const apiKey = await apiKeyStore.createKey({ name, owner, dailyTokenLimit: parseLimit(readFlag(args, '--daily-tokens')) });
+
+      console.log(`Created API key ${apiKey.id} (${apiKey.name})`);
+      console.log('');
+      console.log(`  ${apiKey.key}`);
+      console.log('');
+      console.log('Store it now: it cannot be shown again. Send it as "Authorization: Bearer <key>".');
+      break;
+    }
+
+    case 'quota': {
+      const [keyId, value] = args;
+      if (!keyId || value === undefined) throw new StoreError(400, 'Usage: node manage-keys.js quota <key-id> <n|none>');
+      const apiKey = await apiKeyStore.setDailyTokenLimit(keyId, parseLimit(value));
+      console.log(`Daily token quota of ${apiKey.id} set to ${apiKey.dailyTokenLimit ?? 'unlimited'}`);
+      break;
+    }
+
+    case 'revoke': {
+      if (!args[0]) throw new StoreError(400, 'Usage: node manage-keys.js revoke <key-id>');
+      const apiKey = await apiKeyStore.revokeKey(args[0]);
+      console.log(`Revoked API key ${apiKey.id} (${apiKey.name})`);
+      break;
+    }
+
+    default:
+      console.log('Usage: node manage-keys.js <list|create|quota|revoke> ...');
+      process.exitCode = command ? 1 : 0;
+  }
+}
+
+main().catch((error) => {
+  console.error(error instanceof StoreError ? error.message : error);
+  process.exit(1);
+});
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+/**
+ * Account Management CLI
+ *
+ * Creates and manages the local user accounts the backend authenticates
+ * against. Works on the same data directory as the server (DATA_DIR), and a
+ * running server picks up the changes on its next request.
+ *
+ * Usage:
+ *   node manage-users.js list
+ *   node manage-users.js add <username> [--admin]
+ *   node manage-users.js passwd <username>
+ *   node manage-users.js remove <username>
+ *
+ * The password is prompted for, or read from stdin when it is not a terminal
+ * (e.g. `echo "$PASSWORD" | node manage-users.js add alice`).
+ *
+ * @version 1.0.0
+ * @author Kimi-K2 Chatbot Team
+ */
+
+const readline = require('readline');
+const { UserStore } = require('./userStore');
+const { StoreError } = require('./sessionStore');
+
+const DATA_DIR = process.env.DATA_DIR || `${__dirname}/data`;
+
+/**
+ * Read a password from the terminal without echoing it, or from piped stdin
+ * @returns {Promise<string>}
+ */
+function readPassword(prompt) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: process.stdin.isTTY });
+
+    if (process.stdin.isTTY) {
+      process.stdout.write(prompt);
+      rl._writeToOutput = () => {}; // Hide typed characters
+    }
+
+    rl.once('line', (line) => {
+      resolve(line);
+      rl.close();
+      if (process.stdin.isTTY) process.stdout.write('\n');
+    });
+    rl.once('close', () => resolve(''));
+  });
+}
+
+/**
+ * Prompt for a new password twice (once when piped) and return it
+ */
+async function readNewPassword() {
+  const password = await readPassword('Password: ');
+  if (process.stdin.isTTY && password !== await readPassword('Repeat password: ')) {
+    throw new StoreError(400, 'Passwords do not match');
+  }
+  return password;
+}
+
+async function main() {
+  const [command, username, ...flags] = process.argv.slice(2);
+  const userStore = new UserStore(DATA_DIR);
+  await userStore.init();
+
+  switch (command) {
+    case 'list': {
+      const users = userStore.listUsers();
+      if (users.length === 0) {
+        console.log('No accounts yet. Create one with: node manage-users.js add <username> --admin');
+      }
+      users.forEach(user => console.log(`${user.username.padEnd(32)} ${user.role.padEnd(6)} created ${user.createdAt}`));
+      break;
+    }
+
+    case 'add': {
+      if (!username) throw new StoreError(400, 'Usage: node manage-users.js add <username> [--admin]');
+      const user = await userStore.createUser(username, await readNewPassword(), flags.includes('--admin') ? 'admin' : 'user');
+      console.log(`Created ${user.role} account ${user.username}`);
+      break;
+    }
+
+    case 'passwd': {
+      if (!username) throw new StoreError(400, 'Usage: node manage-users.js passwd <username>');
+      userStore.findByUsername(username);
+      await userStore.setPassword(username, await readNewPassword());
+      console.log(`Password changed for ${username}; existing logins were signed out`);
+      break;
+    }
+
+    case 'remove': {
+      if (!username) throw new StoreError(400, 'Usage: node manage-users.js remove <username>');
+      await userStore.deleteUser(username);
+      console.log(`Removed account ${username}`);
+      break;
+    }
+
+    default:
+      console.log('Usage: node manage-users.js <list|add|passwd|remove> [username] [--admin]');
+      process.exitCode = command ? 1 : 0;
+  }
+}
+
+main().catch((error) => {
+  console.error(error instanceof StoreError ? error.message : error);
+  process.exit(1);
+});
@@ -0,0 +1,271 @@
+/**
+ * OpenAI Compatibility
+ *
+ * Translates between the OpenAI chat completions protocol and Ollama's chat
+ * API, so editors and CLI tools written for OpenAI can use this server as a
+ * local endpoint (/v1/chat/completions and /v1/models). Requests are
+ * validated and sent to Ollama by the same code as /api/chat; this module
+ * only converts the request and response shapes.
+ *
+ * @version 1.0.0
+ * @author Kimi-K2 Chatbot Team
+ */
+
+const crypto = require('crypto');
+
+/**
+ * OpenAI request fields that map to Ollama generation options. Other OpenAI
+ * fields (frequency_penalty, user, ...) are accepted and ignored.
+ */
+const OPTION_FIELDS = {
+  temperature: 'temperature',
+  top_p: 'top_p',
+  seed: 'seed',
+  max_tokens: 'num_predict',
+  max_completion_tokens: 'num_predict',
+  stop: 'stop'
+};
+
+/**
+ * OpenAI error type for an HTTP status
+ */
+function errorType(status) {
+  if (status === 401) return 'authentication_error';
+  if (status === 403) return 'permission_error';
+  if (status === 404) return 'not_found_error';
+  if (status === 429) return 'rate_limit_error';
+  if (status >= 500) return 'api_error';
+  return 'invalid_request_error';
+}
+
+/**
+ * Error body in OpenAI's format
+ *
+ * @param {string} message - Human-readable error
+ * @param {number} status - HTTP status the error is sent with
+ * @param {string|null} [code] - Machine-readable code, e.g. "model_not_found"
+ * @returns {Object} `{error: {message, type, param, code}}`
+ */
+function openAIError(message, status, code = null) {
+  return {
+    error: {
+      message,
+      type: errorType(status),
+      param: null,
+      code
+    }
+  };
+}
+
+/**
+ * Middleware for /v1 routes: rewrites the `{error: "..."}` bodies produced by
+ * the shared middleware and handlers (authentication, rate limits, Ollama
+ * errors) into OpenAI's error format, which OpenAI clients expect
+ */
+function openAIErrorFormat(req, res, next) {
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    if (res.statusCode >= 400 && typeof body?.error === 'string') {
+      return json(openAIError(body.error, res.statusCode));
+    }
+    return json(body);
+  };
+  next();
+}
+
+/**
+ * Convert the tool calls of an OpenAI assistant message to Ollama's format,
+ * where arguments are an object instead of JSON text
+ *
+ * @param {*} toolCalls - Value of the message's `tool_calls` field
+ * @returns {Array|null} Converted calls, or null if they are malformed
+ */
+function toOllamaToolCalls(toolCalls) {
+  if (!Array.isArray(toolCalls)) return null;
+
+  const converted = [];
+  for (const call of toolCalls) {
+    const name = call?.function?.name;
+    const args = call?.function?.arguments;
+    if ((call?.type ?? 'function') !== 'function' || typeof name !== 'string' || !name) return null;
+
+    try {
+      const parsed = typeof args === 'string' ? (args.trim() ? JSON.parse(args) : {}) : (args ?? {});
+      converted.push({ function: { name, arguments: parsed } });
+    } catch (error) {
+      return null;
+    }
+  }
+  return converted;
+}
+
+/**
+ * Convert OpenAI chat messages to Ollama messages
+ *
+ * Content may be a string, null (assistant turns that only call tools) or an
+ * array of parts; only text parts are supported. The "developer" role of
+ * newer OpenAI models is treated as "system". Earlier tool calls and their
+ * results are kept, so a client can replay a conversation that used tools.
+ *
+ * @param {*} messages - Value of the request's `messages` field
+ * @returns {{messages: Array|null, error: string|null}} Converted messages or an error
+ */
+function toOllamaMessages(messages) {
+  if (!Array.isArray(messages)) {
+    return { messages: null, error: 'Invalid request: messages must be an array' };
+  }
+
+  const converted = [];
+  const toolNames = new Map(); // tool_call_id -> function name, to label tool results
+  for (const message of messages) {
+    let content = message?.content ?? '';
+
+    if (Array.isArray(content)) {
+      if (!content.every(part => part?.type === 'text' && typeof part.text === 'string')) {
+        return { messages: null, error: 'Only text content parts are supported' };
+      }
+      content = content.map(part => part.text).join('\n');
+    }
+
+    const ollamaMessage = {
+      role: message?.role === 'developer' ? 'system' : message?.role,
+      content
+    };
+
+    if (message?.role === 'assistant' && message.tool_calls !== undefined && message.tool_calls !== null) {
+      const toolCalls = toOllamaToolCalls(message.tool_calls);
+      if (!toolCalls) {
+        return { messages: null, error: 'Invalid tool_calls: each call needs a function name and JSON arguments' };
+      }
+      message.tool_calls.forEach((call, index) => toolNames.set(call.id, toolCalls[index].function.name));
+      if (toolCalls.length > 0) ollamaMessage.tool_calls = toolCalls;
+    }
+
+    if (message?.role === 'tool' && toolNames.has(message.tool_call_id)) {
+      ollamaMessage.tool_name = toolNames.get(message.tool_call_id);
+    }
+
+    converted.push(ollamaMessage);
+  }
+
+  return { messages: converted, error: null };
+}
+
+/**
+ * Pick the generation options of an OpenAI request, named as Ollama expects
+ * them (validate the result with validateGenerationOptions)
+ *
+ * @param {Object} body - OpenAI request body
+ * @returns {Object} Ollama option overrides
+ */
+function toOllamaOptions(body) {
+  const options = {};
+
+  for (const [field, option] of Object.entries(OPTION_FIELDS)) {
+    if (body[field] === undefined || body[field] === null) continue;
+    options[option] = field === 'stop' && typeof body.stop === 'string' ? [body.stop] : body[field];
+  }
+
+  return options;
+}
+
+/**
+ * Identifying fields shared by a completion and all of its stream chunks
+ *
+ * @param {string} model - Model the completion is generated with
+ * @returns {{id: string, created: number, model: string}}
+ */
+function createCompletion(model) {
+  return {
+    id: `chatcmpl-${crypto.randomBytes(12).toString('hex')}`,
+    created: Math.floor(Date.now() / 1000),
+    model
+  };
+}
+
+/**
+ * OpenAI finish_reason for Ollama's final response
+ */
+function finishReason(data) {
+  return data?.done_reason === 'length' ? 'length' : 'stop';
+}
+
+/**
+ * OpenAI usage block from Ollama's token counters
+ */
+function toOpenAIUsage(data) {
+  const promptTokens = data?.prompt_eval_count || 0;
+  const completionTokens = data?.eval_count || 0;
+
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens
+  };
+}
+
+/**
+ * Non-streaming `chat.completion` response
+ *
+ * @param {Object} completion - Fields from createCompletion
+ * @param {string} content - Generated reply
+ * @param {Object} data - Final Ollama response
+ * @returns {Object} OpenAI chat completion
+ */
+function buildCompletion(completion, content, data) {
+  return {
+    ...completion,
+    object: 'chat.completion',
+    choices: [{
+      index: 0,
+      message: { role: 'assistant', content },
+      finish_reason: finishReason(data)
+    }],
+    usage: toOpenAIUsage(data)
+  };
+}
+
+/**
+ * One `chat.completion.chunk` of a streamed completion
+ *
+ * @param {Object} completion - Fields from createCompletion
+ * @param {Object} delta - Part of the message added by this chunk
+ * @param {string|null} [reason] - finish_reason, set on the last chunk only
+ * @returns {Object} OpenAI chat completion chunk
+ */
+function buildChunk(completion, delta, reason = null) {
+  return {
+    ...completion,
+    object: 'chat.completion.chunk',
+    choices: [{ index: 0, delta, finish_reason: reason }]
+  };
+}
+
+/**
+ * OpenAI model object for an installed Ollama model
+ *
+ * @param {Object} model - Entry from getInstalledModels
+ * @returns {Object} `{id, object: "model", created, owned_by}`
+ */
+function toOpenAIModel(model) {
+  return {
+    id: model.name,
+    object: 'model',
+    created: Math.floor((Date.parse(model.modified_at) || 0) / 1000),
+    owned_by: 'ollama'
+  };
+}
+
+module.exports = {
+  openAIError,
+  openAIErrorFormat,
+  toOllamaMessages,
+  toOllamaOptions,
+  createCompletion,
+  finishReason,
+  toOpenAIUsage,
+  buildCompletion,
+  buildChunk,
+  toOpenAIModel
+};
@@ -0,0 +1,193 @@
+/**
+ * Request Limits
+ *
+ * Protects the single Ollama backend from overload:
+ * - RequestQueue lets a fixed number of generation requests run at once and
+ *   queues the rest in arrival order, reporting each waiter's position.
+ * - RateLimiter caps how many requests one client (IP, user or API key) may
+ *   make within a sliding time window.
+ *
+ * @version 1.0.0
+ * @author Kimi-K2 Chatbot Team
+ */
+
+/**
+ * Raised when a request cannot be accepted right now; the API answers 429
+ */
+class LimitError extends Error {
+  /**
+   * @param {string} message - Error message for the client
+   * @param {number} retryAfter - Seconds the client should wait before retrying
+   */
+  constructor(message, retryAfter) {
+    super(message);
+    this.name = 'LimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+class RequestQueue {
+  /**
+   * @param {number} maxConcurrent - Requests allowed to run at the same time
+   * @param {number} maxQueued - Requests allowed to wait; more are refused
+   */
+  constructor(maxConcurrent, maxQueued) {
+    this.maxConcurrent = maxConcurrent;
+    this.maxQueued = maxQueued;
+    this.active = 0;
+    this.waiting = []; // { resolve, reject, onPosition }
+    this.averageDurationMs = 10000; // Rolling average, used to estimate waits
+  }
+
+  /**
+   * Wait for a free slot
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Leaves the queue when aborted
+   * @param {Function} [options.onPosition] - Called with the 1-based queue
+   *   position whenever it changes (not called if a slot is free right away)
+   * @returns {Promise<Function>} Call it once to release the slot
+   * @throws {LimitError} If the queue is full
+   */
+  acquire({ signal, onPosition = () => {} } = {}) {
+    // An abort that already happened (e.g. the client left while the body was
+    // read) fires no event, so the request would otherwise wait for nothing
+    if (signal?.aborted) {
+      return Promise.reject(new Error('Request cancelled while queued'));
+    }
+
+    if (this.active < this.maxConcurrent && this.waiting.length === 0) {
+      return Promise.resolve(this.startSlot());
+    }
+
+    if (this.waiting.length >= this.maxQueued) {
+      return Promise.reject(new LimitError('Server is busy: too many requests are waiting', this.estimateWaitSeconds(this.waiting.length)));
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, onPosition };
+      this.waiting.push(waiter);
+      onPosition(this.waiting.length);
+
+      signal?.addEventListener('abort', () => {
+        const index = this.waiting.indexOf(waiter);
+        if (index !== -1) {
+          this.waiting.splice(index, 1);
+          this.notifyPositions(index);
+          reject(new Error('Request cancelled while queued'));
+        }
+      }, { once: true });
+    });
+  }
+
+  /**
+   * Take a slot and return its release function
+   */
+  startSlot() {
+    this.active++;
+    const startedAt = Date.now();
+    let released = false;
+
+    return () => {
+      if (released) return;
+      released = true;
+      this.active--;
+      this.averageDurationMs = this.averageDurationMs * 0.8 + (Date.now() - startedAt) * 0.2;
+      this.next();
+    };
+  }
+
+  /**
+   * Hand free slots to the longest-waiting requests
+   */
+  next() {
+    let started = 0;
+    while (this.active < this.maxConcurrent && this.waiting.length > 0) {
+      this.waiting.shift().resolve(this.startSlot());
+      started++;
+    }
+    if (started > 0) {
+      this.notifyPositions(0);
+    }
+  }
+
+  /**
+   * Tell waiters from the given index onwards about their new position
+   */
+  notifyPositions(fromIndex) {
+    this.waiting.slice(fromIndex).forEach((waiter, offset) => waiter.onPosition(fromIndex + offset + 1));
+  }
+
+  /**
+   * Rough time until a request at the given queue position gets a slot
+   */
+  estimateWaitSeconds(position) {
+    return Math.max(1, Math.ceil(((position + 1) / this.maxConcurrent) * this.averageDurationMs / 1000));
+  }
+
+  /**
+   * Current load, for the health endpoint
+   */
+  getStats() {
+    return {
+      active: this.active,
+      queued: this.waiting.length,
+      maxConcurrent: this.maxConcurrent,
+      maxQueued: this.maxQueued
+    };
+  }
+}
+
+class RateLimiter {
+  /**
+   * @param {number} limit - Requests allowed per window (0 disables the limit)
+   * @param {number} windowMs - Window length in milliseconds
+   */
+  constructor(limit, windowMs) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.hits = new Map(); // client key -> timestamps of recent requests, oldest first
+    this.lastCleanup = Date.now();
+  }
+
+  /**
+   * Count a request from a client
+   * @param {string} clientKey - e.g. "key:<id>", "user:<id>" or "ip:<address>"
+   * @returns {{limit: number, remaining: number}}
+   * @throws {LimitError} If the client exceeded its limit
+   */
+  hit(clientKey) {
+    if (!this.limit) return { limit: 0, remaining: Infinity };
+
+    const now = Date.now();
+    this.cleanup(now);
+
+    const hits = (this.hits.get(clientKey) || []).filter(time => time > now - this.windowMs);
+    if (hits.length >= this.limit) {
+      this.hits.set(clientKey, hits);
+      throw new LimitError(
+        `Rate limit exceeded: at most ${this.limit} requests per ${Math.round(this.windowMs / 1000)} seconds`,
+        Math.max(1, Math.ceil((hits[0] + this.windowMs - now) / 1000))
+      );
+    }
+
+    hits.push(now);
+    this.hits.set(clientKey, hits);
+    return { limit: this.limit, remaining: this.limit - hits.length };
+  }
+
+  /**
+   * Forget clients without requests in the current window (once per window)
+   */
+  cleanup(now) {
+    if (now - this.lastCleanup < this.windowMs) return;
+
+    this.lastCleanup = now;
+    for (const [clientKey, hits] of this.hits) {
+      if (hits[hits.length - 1] <= now - this.windowMs) {
+        this.hits.delete(clientKey);
+      }
+    }
+  }
+}
+
+module.exports = { RequestQueue, RateLimiter, LimitError };
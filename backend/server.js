@@ -12,6 +12,27 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const axios = require('axios');
+const { SessionStore, StoreError } = require('./sessionStore');
+const { UserStore } = require('./userStore');
+const { ApiKeyStore, isApiKey } = require('./apiKeyStore');
+const { RequestQueue, RateLimiter, LimitError } = require('./requestLimits');
+const { TokenService, getBearerToken } = require('./auth');
+const { ToolRegistry } = require('./toolRegistry');
+const { registerBuiltinTools } = require('./builtinTools');
+const { Workspace, registerWorkspaceTools, WORKSPACE_TOOL_NAMES } = require('./workspaceTools');
+const {
+  openAIError,
+  openAIErrorFormat,
+  toOllamaMessages,
+  toOllamaOptions,
+  createCompletion,
+  finishReason,
+  toOpenAIUsage,
+  buildCompletion,
+  buildChunk,
+  toOpenAIModel
+} = require('./openaiCompat');
+const crypto = require('crypto');
 const { spawn } = require('child_process');
 const { promisify } = require('util');
 const sleep = promisify(setTimeout);
@@ -24,232 +45,1869 @@ const OLLAMA_HOST = process.env.OLLAMA_HOST || 'http://localhost:11434';
 const MODEL_NAME = process.env.MODEL_NAME || 'kimi-k2:1t-cloud';
 const AUTO_START_OLLAMA = process.env.AUTO_START_OLLAMA !== 'false'; // Default to true
 const MAX_OLLAMA_WAIT_TIME = 30000; // 30 seconds
+const MODEL_LIST_CACHE_TTL = 30000; // Re-check installed models every 30 seconds
+const DATA_DIR = process.env.DATA_DIR || `${__dirname}/data`; // Server-side chat history and accounts
+const AUTH_ENABLED = process.env.AUTH_ENABLED !== 'false'; // Default to true
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+const JWT_EXPIRES_IN_HOURS = parseFloat(process.env.JWT_EXPIRES_IN_HOURS) || 12;
+const PUBLIC_API_PATHS = ['/auth/login']; // Paths under /api reachable without a token
+const MAX_CONCURRENT_REQUESTS = parseInt(process.env.MAX_CONCURRENT_REQUESTS) || 2; // Generations sent to Ollama at once
+const MAX_QUEUED_REQUESTS = parseInt(process.env.MAX_QUEUED_REQUESTS) || 20; // Further requests wait, up to this many
+const RATE_LIMIT_REQUESTS = process.env.RATE_LIMIT_REQUESTS === undefined ? 30 : parseInt(process.env.RATE_LIMIT_REQUESTS) || 0; // Per client per window; 0 = off
+const RATE_LIMIT_WINDOW_SECONDS = parseInt(process.env.RATE_LIMIT_WINDOW_SECONDS) || 60;
+const LOGIN_RATE_LIMIT = process.env.LOGIN_RATE_LIMIT === undefined ? 10 : parseInt(process.env.LOGIN_RATE_LIMIT) || 0; // Login attempts per IP and per username per window; 0 = off
+const LOGIN_RATE_LIMIT_WINDOW_SECONDS = 15 * 60;
+const QUEUE_HEARTBEAT_MS = 15000; // Keeps queued streaming clients from timing out
+const MAX_TOOL_ROUNDS = parseInt(process.env.MAX_TOOL_ROUNDS) || 5; // Model turns that may call tools per request
+const MESSAGE_ROLES = ['user', 'assistant', 'system', 'tool'];
+const WORKSPACE_ROOT = process.env.WORKSPACE_ROOT || null; // Project the workspace tools may read; unset = off
+const WORKSPACE_TOOLS = process.env.WORKSPACE_TOOLS
+  ? process.env.WORKSPACE_TOOLS.split(',').map(name => name.trim()).filter(Boolean)
+  : WORKSPACE_TOOL_NAMES;
+const WORKSPACE_MAX_FILE_KB = parseInt(process.env.WORKSPACE_MAX_FILE_KB) || 1024; // Larger files are not read or searched
+
+// Default Ollama generation options, overridable per request
+const DEFAULT_OPTIONS = {
+  temperature: 0.6,
+  num_predict: 2048,
+  num_ctx: 8192, // Context window
+  repeat_penalty: 1.1,
+  top_k: 40,
+  top_p: 0.9
+};
+
+// Instructions for condensing older conversation turns (POST /api/summarize)
+const SUMMARY_SYSTEM_PROMPT = 'You maintain a running summary of a conversation between a user and a coding assistant. ' +
+  'Merge the existing summary with the new messages into one concise summary of at most 300 words. ' +
+  'Always preserve the original problem statement, requirements and constraints, decisions made, ' +
+  'file names, function and variable names, error messages, and open questions. ' +
+  'Write in the third person and output only the summary.';
+
+// Instructions for naming a conversation from its first exchange (POST /api/title)
+const TITLE_SYSTEM_PROMPT = 'You name conversations between a user and a coding assistant. ' +
+  'Reply with a short descriptive title of at most six words for the conversation below, ' +
+  'in the language the user wrote in. Output only the title: no quotes, no trailing punctuation.';
+const MAX_TITLE_LENGTH = 60;
+
+// Whitelist of Ollama options clients may set, with accepted bounds
+const OPTION_LIMITS = {
+  temperature: { type: 'number', min: 0, max: 2 },
+  top_p: { type: 'number', min: 0, max: 1 },
+  top_k: { type: 'integer', min: 1, max: 1000 },
+  num_ctx: { type: 'integer', min: 256, max: 131072 },
+  num_predict: { type: 'integer', min: -2, max: 32768 }, // -1 = unlimited, -2 = fill context
+  repeat_penalty: { type: 'number', min: 0, max: 2 },
+  seed: { type: 'integer', min: 0, max: 2147483647 },
+  stop: { type: 'string[]', maxItems: 8, maxLength: 100 }
+};
 
 // Global variables for Ollama process management and server info
 let ollamaProcess = null;
 let currentServerPort = PORT;
+let modelListCache = { models: null, fetchedAt: 0 };
+const sessionStore = new SessionStore(DATA_DIR);
+const userStore = new UserStore(DATA_DIR);
+const apiKeyStore = new ApiKeyStore(DATA_DIR);
+const requestQueue = new RequestQueue(MAX_CONCURRENT_REQUESTS, MAX_QUEUED_REQUESTS);
+const rateLimiter = new RateLimiter(RATE_LIMIT_REQUESTS, RATE_LIMIT_WINDOW_SECONDS * 1000);
+const loginRateLimiter = new RateLimiter(LOGIN_RATE_LIMIT, LOGIN_RATE_LIMIT_WINDOW_SECONDS * 1000); // Keyed by IP and by username
+const toolRegistry = new ToolRegistry();
+registerBuiltinTools(toolRegistry);
+
+// Read-only access to a project directory, when one is configured
+let workspace = null;
+if (WORKSPACE_ROOT) {
+  try {
+    workspace = new Workspace(WORKSPACE_ROOT, { maxFileBytes: WORKSPACE_MAX_FILE_KB * 1024 });
+    registerWorkspaceTools(toolRegistry, workspace, WORKSPACE_TOOLS);
+  } catch (error) {
+    console.error(`Workspace tools disabled: ${error.message}`);
+    workspace = null;
+  }
+}
+const tokenService = new TokenService(JWT_SECRET, Math.round(JWT_EXPIRES_IN_HOURS * 3600));
+
+/**
+ * Global error handlers for uncaught exceptions and unhandled rejections
+ */
+process.on('uncaughtException', (err) => {
+  console.error('Uncaught Exception:', err);
+  process.exit(1);
+});
+
+process.on('unhandledRejection', (reason, promise) => {
+  console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+  process.exit(1);
+});
+
+/**
+ * Middleware Configuration
+ */
+app.use(helmet({
+  contentSecurityPolicy: false // Allow inline scripts for development
+}));
+
+app.use(cors({
+  origin: [
+    'http://localhost:3000', 
+    'http://localhost:3001', 
+    'http://localhost:8080', 
+    'http://127.0.0.1:5500'
+  ],
+  methods: ['GET', 'POST', 'PATCH', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization'],
+  exposedHeaders: ['Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-Token-Quota-Limit', 'X-Token-Quota-Remaining', 'X-Token-Quota-Reset']
+}));
+
+app.use(express.json({ 
+  limit: '10mb',
+  // Optimize JSON parsing
+  type: ['application/json', 'application/*+json']
+}));
+
+// Add compression for better performance
+app.use((req, res, next) => {
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  next();
+});
+
+/**
+ * Serve static files from the frontend directory
+ */
+const path = require('path');
+app.use(express.static(path.join(__dirname, '../frontend')));
+
+/**
+ * Serve the Markdown parser and sanitizer (marked, DOMPurify), and the math
+ * (KaTeX) and diagram (Mermaid) renderers, from the installed packages, so
+ * the frontend runs exactly the versions the tests check and needs no CDN.
+ * They may be loaded by a frontend served from another origin.
+ */
+const vendorStaticOptions = {
+  setHeaders: (res) => res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin')
+};
+app.use('/vendor/marked', express.static(path.join(__dirname, 'node_modules/marked'), vendorStaticOptions));
+app.use('/vendor/dompurify', express.static(path.join(__dirname, 'node_modules/dompurify/dist'), vendorStaticOptions));
+app.use('/vendor/katex', express.static(path.join(__dirname, 'node_modules/katex/dist'), vendorStaticOptions));
+app.use('/vendor/mermaid', express.static(path.join(__dirname, 'node_modules/mermaid/dist'), vendorStaticOptions));
+
+/**
+ * Request logging middleware
+ * Logs all incoming requests with timestamp and method
+ */
+app.use((req, res, next) => {
+  console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
+  next();
+});
+
+/**
+ * Authentication middleware for all /api routes
+ * Accepts `Authorization: Bearer <token>` with either a token from
+ * POST /api/auth/login or an API key, and sets req.user (and req.apiKey for
+ * keys). Does nothing when AUTH_ENABLED=false.
+ */
+async function requireAuth(req, res, next) {
+  if (!AUTH_ENABLED || PUBLIC_API_PATHS.includes(req.path)) {
+    return next();
+  }
+  
+  try {
+    await userStore.refresh();
+    const token = getBearerToken(req);
+    
+    if (isApiKey(token)) {
+      const apiKey = await apiKeyStore.verifyKey(token);
+      const owner = apiKey?.owner ? userStore.getUser(apiKey.owner) : null;
+      
+      // Keys stop working when the account they act as is deleted
+      if (!apiKey || (apiKey.owner && !owner)) {
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return res.status(401).json({ error: 'Invalid or revoked API key' });
+      }
+      
+      req.apiKey = apiKey;
+      req.user = owner;
+      return next();
+    }
+    
+    const claims = tokenService.verify(token);
+    const user = claims && userStore.getUser(claims.sub);
+    
+    // Tokens issued before a password change no longer count
+    if (!user || claims.pwc !== (user.passwordChangedAt || null)) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    
+    req.user = user;
+    req.auth = claims;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Only let administrators through (everyone, when authentication is off)
+ */
+function requireAdmin(req, res, next) {
+  if (req.apiKey) {
+    return res.status(403).json({ error: 'API keys cannot be used for administration' });
+  }
+  if (AUTH_ENABLED && req.user?.role !== 'admin') {
+    return res.status(403).json({ error: 'Administrator access required' });
+  }
+  next();
+}
+
+app.use('/api', requireAuth);
+app.use('/v1', openAIErrorFormat, requireAuth); // OpenAI-compatible routes
+
+/**
+ * Refuse generation requests from API keys that used up today's token quota
+ * (429 with Retry-After until the quota resets at midnight UTC). Requests
+ * that start under the limit may finish, so a key can end slightly over it.
+ */
+function enforceTokenQuota(req, res, next) {
+  if (!req.apiKey) return next();
+  
+  const quota = apiKeyStore.getQuota(req.apiKey.id);
+  if (quota.limit === null) return next();
+  
+  res.set('X-Token-Quota-Limit', String(quota.limit));
+  res.set('X-Token-Quota-Remaining', String(quota.remaining));
+  res.set('X-Token-Quota-Reset', quota.resetAt);
+  
+  if (quota.remaining <= 0) {
+    res.set('Retry-After', String(Math.ceil((new Date(quota.resetAt) - Date.now()) / 1000)));
+    return res.status(429).json({
+      error: 'Daily token quota exceeded for this API key',
+      quota
+    });
+  }
+  next();
+}
+
+/**
+ * Count the tokens of an Ollama response against the request's API key
+ * 
+ * @param {Object} req - Express request (req.apiKey is set for API key requests)
+ * @param {Object} data - Ollama response with prompt_eval_count and eval_count
+ */
+function recordTokenUsage(req, data) {
+  if (!req.apiKey) return;
+  
+  const tokens = (data?.prompt_eval_count || 0) + (data?.eval_count || 0);
+  apiKeyStore.recordUsage(req.apiKey.id, tokens).catch(error => {
+    console.error(`Failed to record usage for API key ${req.apiKey.id}:`, error.message);
+  });
+}
+
+/**
+ * Identify the client a request counts against: its API key, its account,
+ * or (without authentication) its IP address
+ */
+function clientKey(req) {
+  if (req.apiKey) return `key:${req.apiKey.id}`;
+  if (req.user) return `user:${req.user.id}`;
+  return `ip:${req.ip}`;
+}
+
+/**
+ * Answer 429 for a request refused by the rate limiter or the full queue
+ * 
+ * @param {Object} res - Express response object
+ * @param {LimitError} error - Carries the seconds until a retry may succeed
+ */
+function sendLimitError(res, error) {
+  res.set('Retry-After', String(error.retryAfter));
+  res.status(429).json({
+    error: error.message,
+    retryAfter: error.retryAfter
+  });
+}
+
+/**
+ * Per-client rate limit for the routes that generate with Ollama
+ */
+function rateLimit(req, res, next) {
+  try {
+    const { limit, remaining } = rateLimiter.hit(clientKey(req));
+    if (limit) {
+      res.set('X-RateLimit-Limit', String(limit));
+      res.set('X-RateLimit-Remaining', String(remaining));
+    }
+    next();
+  } catch (error) {
+    if (!(error instanceof LimitError)) return next(error);
+    console.log(`Rate limit hit by ${clientKey(req)}`);
+    sendLimitError(res, error);
+  }
+}
+
+/**
+ * Wait for a free Ollama slot in the request queue
+ * 
+ * Streaming clients that have to wait get `{type: "queued", position}`
+ * events (repeated as a heartbeat so they don't time out) and a
+ * `{type: "started"}` event once their request runs.
+ * 
+ * @param {Response} res - Express response
+ * @param {AbortSignal} signal - Leaves the queue when the client disconnects
+ * @param {boolean} stream - Whether the client asked for an NDJSON stream
+ * @returns {Promise<Function>} Releases the slot; call it when Ollama is done
+ * @throws {LimitError} If the queue is full
+ */
+async function waitForOllamaSlot(res, signal, stream) {
+  let heartbeat = null;
+  
+  const onPosition = (position) => {
+    if (!stream) return;
+    if (!res.headersSent) {
+      startNdjsonResponse(res);
+    }
+    writeStreamEvent(res, { type: 'queued', position });
+    
+    clearInterval(heartbeat);
+    heartbeat = setInterval(() => writeStreamEvent(res, { type: 'queued', position }), QUEUE_HEARTBEAT_MS);
+  };
+  
+  try {
+    const release = await requestQueue.acquire({ signal, onPosition });
+    if (stream && res.headersSent) {
+      writeStreamEvent(res, { type: 'started' });
+    }
+    return release;
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+/**
+ * Limit login attempts per IP address and per username
+ * 
+ * Every attempt runs scrypt, so unlimited attempts would allow both password
+ * guessing and tying up the CPU. Refused attempts get 429 with Retry-After.
+ */
+function loginRateLimit(req, res, next) {
+  const username = typeof req.body?.username === 'string' ? req.body.username.trim().toLowerCase() : '';
+  
+  try {
+    loginRateLimiter.hit(`ip:${req.ip}`);
+    if (username) {
+      loginRateLimiter.hit(`login:${username}`);
+    }
+    next();
+  } catch (error) {
+    if (!(error instanceof LimitError)) return next(error);
+    console.log(`Login rate limit hit by ${req.ip}${username ? ` for "${username}"` : ''}`);
+    sendLimitError(res, new LimitError('Too many login attempts, try again later', error.retryAfter));
+  }
+}
+
+/**
+ * Login Endpoint
+ * 
+ * @route POST /api/auth/login
+ * @param {string} req.body.username - Account name
+ * @param {string} req.body.password - Account password
+ * @returns {Object} Bearer token, its expiry and the account
+ */
+app.post('/api/auth/login', loginRateLimit, async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+      return res.status(400).json({ error: 'Invalid request: username and password are required' });
+    }
+    
+    const user = await userStore.verifyCredentials(username, password);
+    if (!user) {
+      console.log(`Failed login for "${username}"`);
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    
+    console.log(`User ${user.username} logged in`);
+    res.json({ ...tokenService.issue(user), user });
+  } catch (error) {
+    sendStoreError(res, error, 'POST /api/auth/login', 'Login failed');
+  }
+});
+
+/**
+ * Logout Endpoint
+ * Revokes the token the request was made with
+ * 
+ * @route POST /api/auth/logout
+ * @returns 204 on success
+ */
+app.post('/api/auth/logout', (req, res) => {
+  if (req.auth) {
+    tokenService.revoke(req.auth);
+  }
+  res.status(204).end();
+});
+
+/**
+ * Current User Endpoint
+ * 
+ * @route GET /api/auth/me
+ * @returns {Object} The signed-in account (null when authentication is off),
+ *   and for API keys the key with today's quota usage
+ */
+app.get('/api/auth/me', (req, res) => {
+  res.json({
+    authEnabled: AUTH_ENABLED,
+    user: req.user || null,
+    ...(req.apiKey && { apiKey: { ...req.apiKey, quota: apiKeyStore.getQuota(req.apiKey.id) } })
+  });
+});
+
+/**
+ * Change Password Endpoint
+ * Signs out every other device of the account
+ * 
+ * @route POST /api/auth/password
+ * @param {string} req.body.currentPassword - Password in use now
+ * @param {string} req.body.newPassword - Replacement, at least 8 characters
+ * @returns {Object} A new token for this device
+ */
+app.post('/api/auth/password', async (req, res) => {
+  if (!req.user || req.apiKey) {
+    return res.status(400).json({ error: 'Sign in with a password to change it' });
+  }
+  
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+    if (!await userStore.verifyCredentials(req.user.username, currentPassword)) {
+      return res.status(403).json({ error: 'Current password is wrong' });
+    }
+    
+    const user = await userStore.setPassword(req.user.username, newPassword);
+    res.json({ ...tokenService.issue(user), user });
+  } catch (error) {
+    sendStoreError(res, error, 'POST /api/auth/password', 'Failed to change password');
+  }
+});
+
+/**
+ * List Users Endpoint (administrators only)
+ * 
+ * @route GET /api/users
+ * @returns {Object} All accounts, without password hashes
+ */
+app.get('/api/users', requireAdmin, async (req, res) => {
+  try {
+    await userStore.refresh();
+    res.json({ users: userStore.listUsers() });
+  } catch (error) {
+    sendStoreError(res, error, 'GET /api/users', 'Failed to list users');
+  }
+});
+
+/**
+ * Create User Endpoint (administrators only)
+ * 
+ * @route POST /api/users
+ * @param {string} req.body.username - Lowercase account name
+ * @param {string} req.body.password - Initial password, at least 8 characters
+ * @param {string} [req.body.role] - "user" (default) or "admin"
+ * @returns {Object} The created account (201)
+ */
+app.post('/api/users', requireAdmin, async (req, res) => {
+  try {
+    const { username, password, role } = req.body || {};
+    const user = await userStore.createUser(username, password, role);
+    console.log(`User ${user.username} created${req.user ? ` by ${req.user.username}` : ''}`);
+    res.status(201).json(user);
+  } catch (error) {
+    sendStoreError(res, error, 'POST /api/users', 'Failed to create user');
+  }
+});
+
+/**
+ * Delete User Endpoint (administrators only)
+ * The account's stored sessions are kept on disk
+ * 
+ * @route DELETE /api/users/:username
+ * @returns 204 on success
+ */
+app.delete('/api/users/:username', requireAdmin, async (req, res) => {
+  if (req.user && req.params.username.toLowerCase() === req.user.username) {
+    return res.status(400).json({ error: 'You cannot delete your own account' });
+  }
+  
+  try {
+    await userStore.deleteUser(req.params.username);
+    res.status(204).end();
+  } catch (error) {
+    sendStoreError(res, error, 'DELETE /api/users/:username', 'Failed to delete user');
+  }
+});
+
+/**
+ * List API Keys Endpoint (administrators only)
+ * 
+ * @route GET /api/keys
+ * @returns {Object} All keys (including revoked ones) with today's quota usage
+ */
+app.get('/api/keys', requireAdmin, async (req, res) => {
+  try {
+    await apiKeyStore.refresh();
+    res.json({
+      keys: apiKeyStore.listKeys().map(key => ({ ...key, quota: apiKeyStore.getQuota(key.id) }))
+    });
+  } catch (error) {
+    sendStoreError(res, error, 'GET /api/keys', 'Failed to list API keys');
+  }
+});
+
+/**
+ * Create API Key Endpoint (administrators only)
+ * The key itself is only returned here; only its hash is stored
+ * 
+ * @route POST /api/keys
+ * @param {string} req.body.name - What the key is for
+ * @param {string} [req.body.username] - Account the key acts as (its stored sessions)
+ * @param {number|null} [req.body.dailyTokenLimit] - Tokens per UTC day; omit for no limit
+ * @returns {Object} The key record with `key` (201)
+ */
+app.post('/api/keys', requireAdmin, async (req, res) => {
+  try {
+    const { name, username, dailyTokenLimit = null } = req.body || {};
+    const owner = username ? userStore.findByUsername(username).id : null;
+    
+    const apiKey = await apiKeyStore.createKey({ name, owner, dailyTokenLimit });
+    console.log(`API key ${apiKey.id} (${apiKey.name}) created${req.user ? ` by ${req.user.username}` : ''}`);
+    res.status(201).json(apiKey);
+  } catch (error) {
+    sendStoreError(res, error, 'POST /api/keys', 'Failed to create API key');
+  }
+});
+
+/**
+ * Update API Key Endpoint (administrators only)
+ * 
+ * @route PATCH /api/keys/:id
+ * @param {number|null} req.body.dailyTokenLimit - New daily token quota; null for no limit
+ * @returns {Object} The updated key record
+ */
+app.patch('/api/keys/:id', requireAdmin, async (req, res) => {
+  try {
+    if (!req.body || !('dailyTokenLimit' in req.body)) {
+      return res.status(400).json({ error: 'Invalid request: dailyTokenLimit is required' });
+    }
+    
+    res.json(await apiKeyStore.setDailyTokenLimit(req.params.id, req.body.dailyTokenLimit));
+  } catch (error) {
+    sendStoreError(res, error, 'PATCH /api/keys/:id', 'Failed to update API key');
+  }
+});
+
+/**
+ * Revoke API Key Endpoint (administrators only)
+ * 
+ * @route DELETE /api/keys/:id
+ * @returns 204 on success
+ */
+app.delete('/api/keys/:id', requireAdmin, async (req, res) => {
+  try {
+    await apiKeyStore.revokeKey(req.params.id);
+    console.log(`API key ${req.params.id} revoked${req.user ? ` by ${req.user.username}` : ''}`);
+    res.status(204).end();
+  } catch (error) {
+    sendStoreError(res, error, 'DELETE /api/keys/:id', 'Failed to revoke API key');
+  }
+});
+
+/**
+ * Health Check Endpoint
+ * Returns server status and Ollama connectivity information
+ * 
+ * @route GET /health
+ * @returns {Object} Server health status and Ollama connectivity
+ */
+app.get('/health', async (req, res) => {
+  try {
+    // Check if Ollama is accessible
+    const ollamaResponse = await axios.get(`${OLLAMA_HOST}/api/version`, { 
+      timeout: 5000 
+    });
+    
+    res.json({ 
+      status: 'ok', 
+      timestamp: new Date().toISOString(),
+      model: MODEL_NAME,
+      ollama_status: 'connected',
+      ollama_version: ollamaResponse.data.version || 'unknown',
+      queue: requestQueue.getStats()
+    });
+  } catch (error) {
+    res.status(503).json({ 
+      status: 'degraded', 
+      timestamp: new Date().toISOString(),
+      model: MODEL_NAME,
+      ollama_status: 'disconnected',
+      error: 'Ollama service not accessible',
+      queue: requestQueue.getStats()
+    });
+  }
+});
+
+/**
+ * Fetch the models installed in Ollama
+ * Results are cached briefly so validating chat requests does not add a
+ * round-trip to Ollama on every message.
+ * 
+ * @param {boolean} forceRefresh - Bypass the cache
+ * @returns {Promise<Array>} Installed models with name, size, family, quantization and modified date
+ */
+async function getInstalledModels(forceRefresh = false) {
+  const cacheAge = Date.now() - modelListCache.fetchedAt;
+  if (!forceRefresh && modelListCache.models && cacheAge < MODEL_LIST_CACHE_TTL) {
+    return modelListCache.models;
+  }
+  
+  const response = await axios.get(`${OLLAMA_HOST}/api/tags`, { timeout: 10000 });
+  const models = (response.data.models || []).map(model => ({
+    name: model.name,
+    size: model.size || 0,
+    family: model.details?.family || null,
+    parameter_size: model.details?.parameter_size || null,
+    quantization: model.details?.quantization_level || null,
+    modified_at: model.modified_at || null
+  }));
+  
+  modelListCache = { models, fetchedAt: Date.now() };
+  return models;
+}
+
+/**
+ * Check the structure of a chat messages array
+ * 
+ * @param {*} messages - Value of the request's `messages` field
+ * @returns {string|null} Validation error, or null if valid
+ */
+function validateMessages(messages) {
+  // Fast validation with early returns
+  if (!Array.isArray(messages) || !messages.length) {
+    return 'Invalid request: non-empty messages array is required';
+  }
+
+  // Optimized validation - check only structure, not content details.
+  // Content must be text; tool results and assistant turns that only call
+  // tools may be empty.
+  const hasValidStructure = messages.every(msg => 
+    msg && MESSAGE_ROLES.includes(msg.role) && typeof msg.content === 'string' && (
+      msg.content ||
+      (msg.role === 'tool' && msg.content === '') ||
+      (msg.role === 'assistant' && Array.isArray(msg.tool_calls) && msg.tool_calls.length > 0 && msg.content === '')
+    )
+  );
+  
+  if (!hasValidStructure) {
+    return `Invalid message format: all messages must have a role (${MESSAGE_ROLES.join(', ')}) and text content`;
+  }
+  
+  return null;
+}
+
+/**
+ * Check that a requested model name is usable
+ * Only models that are actually installed may be requested.
+ * 
+ * @param {*} model - Requested model name
+ * @returns {Promise<string|null>} Validation error, or null if valid
+ */
+async function validateModel(model) {
+  if (typeof model !== 'string') {
+    return 'Invalid request: model must be a string';
+  }
+  
+  if (model !== MODEL_NAME) {
+    const installedModels = await getInstalledModels();
+    if (!installedModels.some(installed => installed.name === model)) {
+      return `Model "${model}" is not installed. Use GET /api/models to list available models.`;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Build the request body sent to Ollama's /api/chat endpoint
+ * 
+ * @param {Array} messages - Validated chat messages
+ * @param {boolean} stream - Whether Ollama should stream the reply
+ * @param {string} model - Name of the Ollama model to use
+ * @param {Object} options - Validated option overrides
+ * @param {Array<string>} [tools] - Registered tools the model may call
+ * @returns {Object} Ollama chat request
+ */
+function buildOllamaRequest(messages, stream, model = MODEL_NAME, options = {}, tools = []) {
+  return {
+    model: model,
+    messages: messages,
+    stream: stream,
+    options: {
+      ...DEFAULT_OPTIONS,
+      ...options
+    },
+    ...(tools.length > 0 && { tools: toolRegistry.getDefinitions(tools) })
+  };
+}
+
+/**
+ * Work out which registered tools a chat request enables
+ * 
+ * @param {*} tools - Value of the request's `tools` field: true for every
+ *   registered tool, or an array of tool names
+ * @returns {{names: Array<string>, error: string|null}} Tool names or a validation error
+ */
+function resolveTools(tools) {
+  if (tools === undefined || tools === null || tools === false) {
+    return { names: [], error: null };
+  }
+  
+  if (tools === true) {
+    return { names: toolRegistry.list().map(tool => tool.name), error: null };
+  }
+  
+  if (!Array.isArray(tools) || !tools.every(name => typeof name === 'string')) {
+    return { names: [], error: 'tools must be true or an array of tool names' };
+  }
+  
+  const unknown = tools.filter(name => !toolRegistry.has(name));
+  if (unknown.length > 0) {
+    return { names: [], error: `Unknown tool "${unknown[0]}". Use GET /api/tools to list available tools.` };
+  }
+  
+  return { names: [...new Set(tools)], error: null };
+}
+
+/**
+ * Run the tool calls of one model turn
+ * 
+ * Calls to tools the request did not enable are answered with an error
+ * instead of being run.
+ * 
+ * @param {Array} toolCalls - Ollama tool calls (`{function: {name, arguments}}`)
+ * @param {Object} toolContext - `{names, user}`: enabled tools and the requesting user
+ * @param {Function} [onEvent] - Called with `tool_call` and `tool_result` events
+ * @returns {Promise<{messages: Array, calls: Array}>} `tool` messages for Ollama
+ *   and `{id, name, arguments, result, isError}` records for the client
+ */
+async function runToolCalls(toolCalls, toolContext, onEvent = () => {}) {
+  const messages = [];
+  const calls = [];
+  
+  for (const toolCall of toolCalls) {
+    const call = {
+      id: `call_${crypto.randomBytes(6).toString('hex')}`,
+      name: String(toolCall.function?.name || ''),
+      arguments: toolCall.function?.arguments ?? {}
+    };
+    onEvent({ type: 'tool_call', ...call });
+    
+    const startTime = Date.now();
+    const { content, isError } = toolContext?.names.includes(call.name)
+      ? await toolRegistry.run(call.name, call.arguments, { user: toolContext.user })
+      : toolRegistry.errorResult(`Tool "${call.name}" is not available`);
+    console.log(`Tool ${call.name}: ${isError ? 'failed' : 'ok'} in ${Date.now() - startTime}ms`);
+    
+    Object.assign(call, { result: content, isError });
+    onEvent({ type: 'tool_result', id: call.id, name: call.name, result: content, isError });
+    
+    messages.push({ role: 'tool', content, tool_name: call.name });
+    calls.push(call);
+  }
+  
+  return { messages, calls };
+}
+
+/**
+ * Validate client-supplied generation options against OPTION_LIMITS
+ * 
+ * @param {*} options - Value of the request's `options` field
+ * @returns {{options: Object, error: string|null}} Sanitized options or a validation error
+ */
+function validateGenerationOptions(options) {
+  if (options === undefined || options === null) {
+    return { options: {}, error: null };
+  }
+  
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    return { options: {}, error: 'options must be an object' };
+  }
+  
+  const sanitized = {};
+  
+  for (const [key, value] of Object.entries(options)) {
+    const limits = OPTION_LIMITS[key];
+    if (!limits) {
+      return { options: {}, error: `Unsupported option "${key}". Allowed: ${Object.keys(OPTION_LIMITS).join(', ')}` };
+    }
+    
+    if (limits.type === 'string[]') {
+      const valid = Array.isArray(value) &&
+        value.length <= limits.maxItems &&
+        value.every(item => typeof item === 'string' && item.length > 0 && item.length <= limits.maxLength);
+      if (!valid) {
+        return { options: {}, error: `Option "${key}" must be an array of at most ${limits.maxItems} non-empty strings (max ${limits.maxLength} characters each)` };
+      }
+    } else {
+      const isNumber = typeof value === 'number' && Number.isFinite(value);
+      if (!isNumber || (limits.type === 'integer' && !Number.isInteger(value))) {
+        return { options: {}, error: `Option "${key}" must be ${limits.type === 'integer' ? 'an integer' : 'a number'}` };
+      }
+      if (value < limits.min || value > limits.max) {
+        return { options: {}, error: `Option "${key}" must be between ${limits.min} and ${limits.max}` };
+      }
+    }
+    
+    sanitized[key] = value;
+  }
+  
+  return { options: sanitized, error: null };
+}
+
+/**
+ * Convert Ollama's token counters into the usage block returned to clients
+ * 
+ * @param {Object} data - Final Ollama response (or last stream chunk)
+ * @param {number} totalResponseTime - Milliseconds since the request arrived
+ * @param {number} ollamaResponseTime - Milliseconds spent waiting on Ollama
+ * @returns {Object} Usage statistics
+ */
+function buildUsage(data, totalResponseTime, ollamaResponseTime) {
+  return {
+    prompt_tokens: data.prompt_eval_count || 0,
+    completion_tokens: data.eval_count || 0,
+    total_tokens: (data.prompt_eval_count || 0) + (data.eval_count || 0),
+    response_time_ms: totalResponseTime,
+    ollama_time_ms: ollamaResponseTime
+  };
+}
+
+/**
+ * Map an error raised while talking to Ollama to an HTTP status and body
+ * 
+ * @param {Error} error - Error thrown by axios or the stream reader
+ * @param {string} model - Model the request was made for
+ * @returns {{status: number, body: Object}} Response to send to the client
+ */
+function describeOllamaError(error, model = MODEL_NAME) {
+  if (error.code === 'ECONNREFUSED') {
+    return {
+      status: 503,
+      body: {
+        error: 'Ollama service is not available. Please ensure Ollama is running.',
+        details: 'Connection refused to Ollama server'
+      }
+    };
+  }
+  
+  if (error.code === 'ENOTFOUND') {
+    return {
+      status: 503,
+      body: {
+        error: 'Cannot reach Ollama server. Please check your configuration.',
+        details: 'Hostname not found'
+      }
+    };
+  }
+  
+  if (error.response && error.response.status === 404) {
+    return {
+      status: 404,
+      body: {
+        error: `Model "${model}" not found. Please pull the model first with: ollama pull ${model}`,
+        details: 'Model not available in Ollama'
+      }
+    };
+  }
+  
+  if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') {
+    return {
+      status: 408,
+      body: {
+        error: 'Request timeout. The model took too long to respond.',
+        details: 'Request timed out after 120 seconds'
+      }
+    };
+  }
+  
+  // Generic error response for unhandled cases
+  return {
+    status: 500,
+    body: {
+      error: 'Internal server error occurred while processing your request.',
+      details: process.env.NODE_ENV === 'development' ? error.message : 'Please try again later'
+    }
+  };
+}
+
+/**
+ * Read a newline-delimited JSON stream, invoking a callback per parsed object
+ * 
+ * @param {Stream} stream - Readable stream of NDJSON text
+ * @param {Function} onObject - Called with each parsed object
+ * @returns {Promise<void>} Resolves when the stream ends
+ */
+function readNdjsonStream(stream, onObject) {
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+    
+    const handleLine = (line) => {
+      if (!line.trim()) return;
+      let data;
+      try {
+        data = JSON.parse(line);
+      } catch (parseError) {
+        // Ignore partial or malformed lines
+        return;
+      }
+      onObject(data);
+    };
+    
+    stream.setEncoding('utf8');
+    stream.on('data', (chunk) => {
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      
+      try {
+        lines.forEach(handleLine);
+      } catch (error) {
+        stream.destroy();
+        reject(error);
+      }
+    });
+    
+    stream.on('end', () => {
+      try {
+        handleLine(buffer);
+        resolve();
+      } catch (error) {
+        reject(error);
+      }
+    });
+    
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Write a single NDJSON event to a streaming response
+ * 
+ * @param {Response} res - Express response in streaming mode
+ * @param {Object} event - Event payload
+ */
+function writeStreamEvent(res, event) {
+  res.write(JSON.stringify(event) + '\n');
+}
+
+/**
+ * Create an AbortSignal that fires when the client goes away before the
+ * response has been fully sent, so the upstream Ollama request can be cancelled
+ * 
+ * @param {Response} res - Express response
+ * @returns {AbortSignal} Signal to pass to the Ollama request
+ */
+function abortOnClientDisconnect(res) {
+  const controller = new AbortController();
+  
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+  
+  return controller.signal;
+}
+
+/**
+ * Send the status and headers of an NDJSON event stream
+ * 
+ * @param {Response} res - Express response
+ */
+function startNdjsonResponse(res) {
+  res.status(200);
+  res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+  res.setHeader('X-Accel-Buffering', 'no'); // Disable proxy buffering
+  res.flushHeaders();
+}
+
+/**
+ * Stream one Ollama chat request, passing text on as it arrives
+ * 
+ * @param {Object} ollamaRequest - Request body for Ollama (stream: true)
+ * @param {AbortSignal} signal - Cancels the upstream request when aborted
+ * @param {Function} onContent - Called with each piece of generated text
+ * @param {Function} onUsage - Called with Ollama's token counts once known
+ * @returns {Promise<{finalChunk: Object, toolCalls: Array}>} Ollama's last chunk
+ *   and the tool calls the model made
+ */
+async function streamOllamaChat(ollamaRequest, signal, onContent, onUsage) {
+  const response = await axios.post(`${OLLAMA_HOST}/api/chat`, ollamaRequest, {
+    timeout: 120000, // Time allowed for Ollama to start responding
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    responseType: 'stream',
+    signal
+  });
+  
+  let finalChunk = null;
+  let chunkCount = 0;
+  const toolCalls = [];
+  
+  // Stop reading from Ollama as soon as the client disconnects. Ollama only
+  // reports token counts at the end, so a stopped reply counts one token per chunk.
+  signal.addEventListener('abort', () => {
+    response.data.destroy();
+    if (!finalChunk) onUsage({ eval_count: chunkCount });
+  });
+  
+  await readNdjsonStream(response.data, (data) => {
+    if (data.error) {
+      throw new Error(`Ollama error: ${data.error}`);
+    }
+    
+    const content = data.message?.content;
+    if (content) {
+      chunkCount++;
+      onContent(content);
+    }
+    
+    if (Array.isArray(data.message?.tool_calls)) {
+      toolCalls.push(...data.message.tool_calls);
+    }
+    
+    if (data.done) {
+      finalChunk = data;
+    }
+  });
+  
+  if (!finalChunk) {
+    throw new Error('Ollama stream ended before the reply was complete');
+  }
+  onUsage(finalChunk);
+  
+  return { finalChunk, toolCalls };
+}
+
+/**
+ * Forward Ollama's streamed reply to the client as NDJSON events
+ * 
+ * Emits `{type: "token", content}` for every chunk of generated text and a
+ * final `{type: "done", reply, usage}` once Ollama reports completion. When
+ * the request offers tools, each call the model makes is run and reported as
+ * `{type: "tool_call"}` and `{type: "tool_result"}` events, and the results
+ * are sent back to Ollama until the model answers without calling a tool.
+ * 
+ * @param {Response} res - Express response
+ * @param {Object} ollamaRequest - Request body for Ollama (stream: true)
+ * @param {number} startTime - Timestamp when the client request arrived
+ * @param {AbortSignal} signal - Cancels the upstream request when aborted
+ * @param {Function} [onUsage] - Called with Ollama's token counts of every round
+ * @param {Object} [toolContext] - Enabled tools and the requesting user (see runToolCalls)
+ */
+async function streamChatResponse(res, ollamaRequest, startTime, signal, onUsage = () => {}, toolContext = null) {
+  const ollamaStartTime = Date.now();
+  const messages = [...ollamaRequest.messages];
+  const totals = { prompt_eval_count: 0, eval_count: 0 };
+  const toolCalls = [];
+  let reply = '';
+  
+  // Already started if the request had to wait in the queue
+  if (!res.headersSent) {
+    startNdjsonResponse(res);
+  }
+  
+  for (let round = 0; ; round++) {
+    // The last round leaves the tools out, so the model has to answer
+    const offerTools = Boolean(ollamaRequest.tools) && round < MAX_TOOL_ROUNDS;
+    const separator = reply ? '\n\n' : '';
+    let roundContent = '';
+    
+    const { finalChunk, toolCalls: requestedCalls } = await streamOllamaChat(
+      { ...ollamaRequest, messages, tools: offerTools ? ollamaRequest.tools : undefined },
+      signal,
+      (content) => {
+        writeStreamEvent(res, { type: 'token', content: roundContent ? content : separator + content });
+        roundContent += content;
+      },
+      onUsage
+    );
+    
+    reply += roundContent ? separator + roundContent : '';
+    totals.prompt_eval_count += finalChunk.prompt_eval_count || 0;
+    totals.eval_count += finalChunk.eval_count || 0;
+    
+    if (!offerTools || requestedCalls.length === 0) break;
+    
+    const results = await runToolCalls(requestedCalls, toolContext, (event) => writeStreamEvent(res, event));
+    messages.push({ role: 'assistant', content: roundContent, tool_calls: requestedCalls }, ...results.messages);
+    toolCalls.push(...results.calls);
+  }
+  
+  const ollamaResponseTime = Date.now() - ollamaStartTime;
+  const totalResponseTime = Date.now() - startTime;
+  console.log(`Ollama (stream): ${ollamaResponseTime}ms | Total: ${totalResponseTime}ms`);
+  
+  writeStreamEvent(res, {
+    type: 'done',
+    reply,
+    usage: buildUsage(totals, totalResponseTime, ollamaResponseTime),
+    ...(toolCalls.length > 0 && { toolCalls })
+  });
+  res.end();
+}
+
+/**
+ * Chat API Endpoint - Optimized version
+ * Processes chat messages and forwards them to Ollama API
+ * 
+ * When `stream` is true the reply is sent as newline-delimited JSON events
+ * (`application/x-ndjson`) as tokens arrive from Ollama; otherwise a single
+ * JSON object is returned once generation finishes.
+ * 
+ * @route POST /api/chat
+ * @param {Object} req.body - Request body containing messages array
+ * @param {Array} req.body.messages - Array of message objects with role and content
+ * @param {boolean} [req.body.stream=false] - Stream tokens as NDJSON events
+ * @param {string} [req.body.model] - Installed Ollama model to use instead of the default
+ * @param {Object} [req.body.options] - Generation option overrides (see OPTION_LIMITS)
+ * @param {boolean|Array<string>} [req.body.tools] - Let the model call every registered
+ *   tool (true) or the named ones; the server runs them and returns the final answer
+ * @returns {Object} Response containing AI reply, usage statistics and any tool calls
+ */
+app.post('/api/chat', rateLimit, enforceTokenQuota, async (req, res) => {
+  const startTime = Date.now();
+  const signal = abortOnClientDisconnect(res);
+  const model = req.body?.model || MODEL_NAME;
+  let releaseSlot = null;
+  
+  try {
+    const { messages, stream = false } = req.body;
+    
+    const messagesError = validateMessages(messages);
+    if (messagesError) {
+      return res.status(400).json({ error: messagesError });
+    }
+
+    const { options, error: optionsError } = validateGenerationOptions(req.body.options);
+    if (optionsError) {
+      return res.status(400).json({
+        error: `Invalid request: ${optionsError}`
+      });
+    }
+
+    const modelError = await validateModel(model);
+    if (modelError) {
+      return res.status(400).json({ error: modelError });
+    }
+
+    const { names: toolNames, error: toolsError } = resolveTools(req.body.tools);
+    if (toolsError) {
+      return res.status(400).json({
+        error: `Invalid request: ${toolsError}`
+      });
+    }
+    const toolContext = { names: toolNames, user: req.user || null };
+
+    console.log(`Processing ${messages.length} messages for model: ${model}${stream ? ' (streaming)' : ''}${toolNames.length ? ` with tools: ${toolNames.join(', ')}` : ''}`);
+
+    const ollamaRequest = buildOllamaRequest(messages, Boolean(stream), model, options, toolNames);
+    releaseSlot = await waitForOllamaSlot(res, signal, Boolean(stream));
+
+    if (stream) {
+      return await streamChatResponse(res, ollamaRequest, startTime, signal, (data) => recordTokenUsage(req, data), toolContext);
+    }
+
+    // Make request to Ollama with optimized timing. While the model calls
+    // tools, their results are sent back and Ollama is asked again.
+    const ollamaStartTime = Date.now();
+    const conversation = [...messages];
+    const totals = { prompt_eval_count: 0, eval_count: 0 };
+    const toolCalls = [];
+    const replyParts = [];
+    
+    for (let round = 0; ; round++) {
+      const offerTools = Boolean(ollamaRequest.tools) && round < MAX_TOOL_ROUNDS;
+      const response = await axios.post(`${OLLAMA_HOST}/api/chat`, {
+        ...ollamaRequest,
+        messages: conversation,
+        tools: offerTools ? ollamaRequest.tools : undefined
+      }, {
+        timeout: 120000, // 120 second timeout (2 minutes) for complex queries
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        // Optimize axios for performance
+        maxContentLength: Infinity,
+        maxBodyLength: Infinity,
+        validateStatus: (status) => status < 500, // Only retry on 5xx errors
+        signal
+      });
+      
+      recordTokenUsage(req, response.data);
+      totals.prompt_eval_count += response.data?.prompt_eval_count || 0;
+      totals.eval_count += response.data?.eval_count || 0;
+      
+      const roundMessage = response.data?.message;
+      if (roundMessage?.content) {
+        replyParts.push(roundMessage.content);
+      }
+      
+      const requestedCalls = Array.isArray(roundMessage?.tool_calls) ? roundMessage.tool_calls : [];
+      if (!offerTools || requestedCalls.length === 0) break;
+      
+      const results = await runToolCalls(requestedCalls, toolContext);
+      conversation.push({ role: 'assistant', content: roundMessage.content || '', tool_calls: requestedCalls }, ...results.messages);
+      toolCalls.push(...results.calls);
+    }
+    
+    const ollamaResponseTime = Date.now() - ollamaStartTime;
+    const totalResponseTime = Date.now() - startTime;
+
+    console.log(`Ollama: ${ollamaResponseTime}ms | Total: ${totalResponseTime}ms`);
+
+    // Fast response validation
+    const reply = replyParts.join('\n\n');
+    if (!reply) {
+      throw new Error('Invalid response from Ollama: missing message content');
+    }
+
+    // Log the raw response content for debugging
+    console.log('Raw AI response content (first 200 chars):', reply.substring(0, 200));
+    console.log('Response contains HTML tags:', /<\/?[a-z][\s\S]*>/i.test(reply));
+
+    // Optimized response format
+    const optimizedResponse = {
+      reply,
+      usage: buildUsage(totals, totalResponseTime, ollamaResponseTime),
+      ...(toolCalls.length > 0 && { toolCalls })
+    };
+
+    res.json(optimizedResponse);
+
+  } catch (error) {
+    // The client stopped the request; there is nobody left to respond to
+    if (signal.aborted) {
+      console.log('Client disconnected, cancelled Ollama request');
+      return;
+    }
+    
+    if (error instanceof LimitError) {
+      return sendLimitError(res, error);
+    }
+    
+    console.error('Error in /api/chat:', error.message);
+    
+    const { status, body } = describeOllamaError(error, model);
+    
+    // Once streaming has started the status line is already sent,
+    // so report the failure as a final error event instead
+    if (res.headersSent) {
+      writeStreamEvent(res, { type: 'error', ...body });
+      return res.end();
+    }
+    
+    res.status(status).json(body);
+  } finally {
+    releaseSlot?.();
+  }
+});
+
+/**
+ * Tool List Endpoint
+ * Lists the tools chat requests can enable with the `tools` field
+ * 
+ * @route GET /api/tools
+ * @returns {Object} Tool names, descriptions and JSON-schema parameters
+ */
+app.get('/api/tools', (req, res) => {
+  res.json({
+    tools: toolRegistry.list(),
+    maxRounds: MAX_TOOL_ROUNDS
+  });
+});
+
+/**
+ * Conversation Summary Endpoint
+ * Condenses older conversation turns into a rolling summary so long sessions
+ * keep their original problem statement once those turns leave the context window.
+ * 
+ * @route POST /api/summarize
+ * @param {Array} req.body.messages - Messages to fold into the summary
+ * @param {string} [req.body.summary] - Existing summary to extend
+ * @param {string} [req.body.model] - Installed Ollama model to use instead of the default
+ * @returns {Object} Updated summary and usage statistics
+ */
+app.post('/api/summarize', rateLimit, enforceTokenQuota, async (req, res) => {
+  const startTime = Date.now();
+  const signal = abortOnClientDisconnect(res);
+  const model = req.body?.model || MODEL_NAME;
+  let releaseSlot = null;
+  
+  try {
+    const { messages, summary = '' } = req.body;
+    
+    const messagesError = validateMessages(messages);
+    if (messagesError) {
+      return res.status(400).json({ error: messagesError });
+    }
+    
+    if (typeof summary !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid request: summary must be a string'
+      });
+    }
+    
+    const modelError = await validateModel(model);
+    if (modelError) {
+      return res.status(400).json({ error: modelError });
+    }
+    
+    console.log(`Summarizing ${messages.length} messages with model: ${model}`);
+    
+    const transcript = messages
+      .map(msg => `${msg.role.toUpperCase()}: ${msg.content}`)
+      .join('\n\n');
+    
+    const summaryRequest = buildOllamaRequest([
+      { role: 'system', content: SUMMARY_SYSTEM_PROMPT },
+      {
+        role: 'user',
+        content: `Existing summary:\n${summary.trim() || '(none yet)'}\n\nNew messages:\n${transcript}`
+      }
+    ], false, model, { temperature: 0.2, num_predict: 768 });
+    
+    releaseSlot = await waitForOllamaSlot(res, signal, false);
+    const ollamaStartTime = Date.now();
+    const response = await axios.post(`${OLLAMA_HOST}/api/chat`, summaryRequest, {
+      timeout: 120000,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      signal
+    });
+    
+    recordTokenUsage(req, response.data);
+    
+    const updatedSummary = response.data?.message?.content?.trim();
+    if (!updatedSummary) {
+      throw new Error('Invalid response from Ollama: missing summary content');
+    }
+    
+    res.json({
+      summary: updatedSummary,
+      usage: buildUsage(response.data, Date.now() - startTime, Date.now() - ollamaStartTime)
+    });
+  } catch (error) {
+    if (signal.aborted) {
+      console.log('Client disconnected, cancelled summary request');
+      return;
+    }
+    
+    if (error instanceof LimitError) {
+      return sendLimitError(res, error);
+    }
+    
+    console.error('Error in /api/summarize:', error.message);
+    
+    const { status, body } = describeOllamaError(error, model);
+    res.status(status).json(body);
+  } finally {
+    releaseSlot?.();
+  }
+});
 
 /**
- * Global error handlers for uncaught exceptions and unhandled rejections
+ * Clean up a title produced by the model: first line only, without a
+ * "Title:" prefix, surrounding quotes, Markdown emphasis or a trailing period
+ * 
+ * @param {string} text - Raw model output
+ * @returns {string} Title, possibly empty
  */
-process.on('uncaughtException', (err) => {
-  console.error('Uncaught Exception:', err);
-  process.exit(1);
+function cleanTitle(text) {
+  let title = (text || '').trim().split('\n')[0].trim();
+  title = title.replace(/^title\s*:\s*/i, '');
+  title = title.replace(/^[#*_\s]+|[*_\s]+$/g, '');
+  title = title.replace(/^["'`“‘]+|["'`”’]*[.!。]*$/g, '');
+  title = title.replace(/[.!。]+$/, '').trim();
+  
+  if (title.length > MAX_TITLE_LENGTH) {
+    title = `${title.slice(0, MAX_TITLE_LENGTH - 1).trim()}…`;
+  }
+  return title;
+}
+
+/**
+ * Session Title Endpoint
+ * Suggests a short title for a conversation from its first exchange
+ * 
+ * @route POST /api/title
+ * @param {Array} req.body.messages - First messages of the conversation
+ * @param {string} [req.body.model] - Installed Ollama model to use instead of the default
+ * @returns {Object} Suggested title and usage statistics
+ */
+app.post('/api/title', rateLimit, enforceTokenQuota, async (req, res) => {
+  const startTime = Date.now();
+  const signal = abortOnClientDisconnect(res);
+  const model = req.body?.model || MODEL_NAME;
+  let releaseSlot = null;
+  
+  try {
+    const { messages } = req.body;
+    
+    const messagesError = validateMessages(messages);
+    if (messagesError) {
+      return res.status(400).json({ error: messagesError });
+    }
+    
+    const modelError = await validateModel(model);
+    if (modelError) {
+      return res.status(400).json({ error: modelError });
+    }
+    
+    // The opening turns are enough to name a conversation; long code is cut short
+    const maxChars = 2000;
+    const transcript = messages
+      .slice(0, 4)
+      .map(msg => `${msg.role.toUpperCase()}: ${msg.content.slice(0, maxChars)}`)
+      .join('\n\n');
+    
+    const titleRequest = buildOllamaRequest([
+      { role: 'system', content: TITLE_SYSTEM_PROMPT },
+      { role: 'user', content: transcript }
+    ], false, model, { temperature: 0.3, num_predict: 32 });
+    
+    releaseSlot = await waitForOllamaSlot(res, signal, false);
+    const ollamaStartTime = Date.now();
+    const response = await axios.post(`${OLLAMA_HOST}/api/chat`, titleRequest, {
+      timeout: 60000,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      signal
+    });
+    
+    recordTokenUsage(req, response.data);
+    
+    const title = cleanTitle(response.data?.message?.content);
+    if (!title) {
+      throw new Error('Invalid response from Ollama: missing title');
+    }
+    
+    res.json({
+      title,
+      usage: buildUsage(response.data, Date.now() - startTime, Date.now() - ollamaStartTime)
+    });
+  } catch (error) {
+    if (signal.aborted) {
+      console.log('Client disconnected, cancelled title request');
+      return;
+    }
+    
+    if (error instanceof LimitError) {
+      return sendLimitError(res, error);
+    }
+    
+    console.error('Error in /api/title:', error.message);
+    
+    const { status, body } = describeOllamaError(error, model);
+    res.status(status).json(body);
+  } finally {
+    releaseSlot?.();
+  }
 });
 
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('Unhandled Rejection at:', promise, 'reason:', reason);
-  process.exit(1);
+/**
+ * Send the response for an error raised by the session or user store
+ * 
+ * @param {Object} res - Express response object
+ * @param {Error} error - StoreError (client error) or unexpected failure
+ * @param {string} route - Route name for the log
+ * @param {string} [failure] - Error message for unexpected failures
+ */
+function sendStoreError(res, error, route, failure = 'Failed to access stored sessions') {
+  if (error instanceof StoreError) {
+    return res.status(error.status).json({
+      error: error.message,
+      ...(error.session && { session: error.session })
+    });
+  }
+  
+  console.error(`Error in ${route}:`, error.message);
+  res.status(500).json({
+    error: failure,
+    details: error.message
+  });
+}
+
+/**
+ * Owner of the sessions a request may see: the signed-in user, the key
+ * itself for an API key without an account, or null when authentication
+ * is off. Sessions stored while authentication was off keep a null owner,
+ * so no account or key can reach them once it is turned on.
+ */
+function sessionOwner(req) {
+  if (req.user) return req.user.id;
+  if (req.apiKey) return `key:${req.apiKey.id}`;
+  return null;
+}
+
+/**
+ * List Sessions Endpoint
+ * Returns every stored session, including tombstones of deleted sessions
+ * (`deleted: true`) so syncing clients can remove their copies
+ * 
+ * @route GET /api/sessions
+ * @returns {Object} Sessions, most recently changed first
+ */
+app.get('/api/sessions', (req, res) => {
+  res.json({ sessions: sessionStore.listSessions(sessionOwner(req)) });
 });
 
 /**
- * Middleware Configuration
+ * Create Session Endpoint
+ * 
+ * @route POST /api/sessions
+ * @param {string} [req.body.id] - Client-side session ID to keep
+ * @param {Array} [req.body.messages] - Messages to store with the new session
+ * @returns {Object} The created session (201), or 409 if the ID is taken
  */
-app.use(helmet({
-  contentSecurityPolicy: false // Allow inline scripts for development
-}));
+app.post('/api/sessions', async (req, res) => {
+  try {
+    const { messages = [], ...fields } = req.body || {};
+    if (!Array.isArray(messages)) {
+      return res.status(400).json({ error: 'Invalid request: messages must be an array' });
+    }
+    
+    res.status(201).json(await sessionStore.createSession(fields, messages, sessionOwner(req)));
+  } catch (error) {
+    sendStoreError(res, error, 'POST /api/sessions');
+  }
+});
 
-app.use(cors({
-  origin: [
-    'http://localhost:3000', 
-    'http://localhost:3001', 
-    'http://localhost:8080', 
-    'http://127.0.0.1:5500'
-  ],
-  methods: ['GET', 'POST'],
-  allowedHeaders: ['Content-Type', 'Authorization']
-}));
+/**
+ * Get Session Endpoint
+ * 
+ * @route GET /api/sessions/:id
+ * @returns {Object} The session, or 404
+ */
+app.get('/api/sessions/:id', (req, res) => {
+  try {
+    res.json(sessionStore.getSession(req.params.id, sessionOwner(req)));
+  } catch (error) {
+    sendStoreError(res, error, 'GET /api/sessions/:id');
+  }
+});
 
-app.use(express.json({ 
-  limit: '10mb',
-  // Optimize JSON parsing
-  type: ['application/json', 'application/*+json']
-}));
+/**
+ * Update Session Endpoint
+ * 
+ * @route PATCH /api/sessions/:id
+ * @param {number} [req.body.baseRevision] - Revision the change is based on; if the
+ *   session changed since, the update is refused with 409 and the current session
+ * @returns {Object} The updated session
+ */
+app.patch('/api/sessions/:id', async (req, res) => {
+  try {
+    const { baseRevision, ...fields } = req.body || {};
+    res.json(await sessionStore.updateSession(req.params.id, fields, baseRevision, sessionOwner(req)));
+  } catch (error) {
+    sendStoreError(res, error, 'PATCH /api/sessions/:id');
+  }
+});
 
-// Add compression for better performance
-app.use((req, res, next) => {
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  next();
+/**
+ * Delete Session Endpoint
+ * 
+ * @route DELETE /api/sessions/:id
+ * @returns 204 on success
+ */
+app.delete('/api/sessions/:id', async (req, res) => {
+  try {
+    await sessionStore.deleteSession(req.params.id, sessionOwner(req));
+    res.status(204).end();
+  } catch (error) {
+    sendStoreError(res, error, 'DELETE /api/sessions/:id');
+  }
 });
 
 /**
- * Serve static files from the frontend directory
+ * List Session Messages Endpoint
+ * 
+ * @route GET /api/sessions/:id/messages
+ * @returns {Object} All messages of the session (every branch), oldest first
  */
-const path = require('path');
-app.use(express.static(path.join(__dirname, '../frontend')));
+app.get('/api/sessions/:id/messages', (req, res) => {
+  try {
+    res.json({ messages: sessionStore.getMessages(req.params.id, sessionOwner(req)) });
+  } catch (error) {
+    sendStoreError(res, error, 'GET /api/sessions/:id/messages');
+  }
+});
 
 /**
- * Request logging middleware
- * Logs all incoming requests with timestamp and method
+ * Add Session Messages Endpoint
+ * Messages are immutable, so ones already stored (same ID) are ignored
+ * 
+ * @route POST /api/sessions/:id/messages
+ * @param {Array} req.body.messages - Messages with client-side IDs
+ * @returns {Object} The updated session and the number of messages added
  */
-app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
-  next();
+app.post('/api/sessions/:id/messages', async (req, res) => {
+  try {
+    const { session, added } = await sessionStore.addMessages(req.params.id, req.body?.messages, sessionOwner(req));
+    res.status(added.length > 0 ? 201 : 200).json({ session, added: added.length });
+  } catch (error) {
+    sendStoreError(res, error, 'POST /api/sessions/:id/messages');
+  }
 });
 
 /**
- * Health Check Endpoint
- * Returns server status and Ollama connectivity information
+ * Models Endpoint
+ * Lists the models installed in Ollama so the frontend can offer a picker
  * 
- * @route GET /health
- * @returns {Object} Server health status and Ollama connectivity
+ * @route GET /api/models
+ * @returns {Object} Installed models and the server's default model
  */
-app.get('/health', async (req, res) => {
+app.get('/api/models', async (req, res) => {
   try {
-    // Check if Ollama is accessible
-    const ollamaResponse = await axios.get(`${OLLAMA_HOST}/api/version`, { 
-      timeout: 5000 
-    });
+    const models = await getInstalledModels(true);
     
-    res.json({ 
-      status: 'ok', 
-      timestamp: new Date().toISOString(),
-      model: MODEL_NAME,
-      ollama_status: 'connected',
-      ollama_version: ollamaResponse.data.version || 'unknown'
+    res.json({
+      default: MODEL_NAME,
+      models
     });
   } catch (error) {
-    res.status(503).json({ 
-      status: 'degraded', 
-      timestamp: new Date().toISOString(),
-      model: MODEL_NAME,
-      ollama_status: 'disconnected',
-      error: 'Ollama service not accessible'
-    });
+    console.error('Error in /api/models:', error.message);
+    
+    const { status, body } = describeOllamaError(error);
+    res.status(status).json(body);
   }
 });
 
 /**
- * Chat API Endpoint - Optimized version
- * Processes chat messages and forwards them to Ollama API
+ * Send the headers of a server-sent events stream
  * 
- * @route POST /api/chat
- * @param {Object} req.body - Request body containing messages array
- * @param {Array} req.body.messages - Array of message objects with role and content
- * @returns {Object} Response containing AI reply and usage statistics
+ * @param {Response} res - Express response
+ */
+function startSseResponse(res) {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('X-Accel-Buffering', 'no'); // Disable proxy buffering
+  res.flushHeaders();
+}
+
+/**
+ * Write a single server-sent event
+ * 
+ * @param {Response} res - Express response in SSE mode
+ * @param {Object|string} data - Event payload (strings are sent verbatim)
+ */
+function writeSseEvent(res, data) {
+  res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Forward Ollama's streamed reply as OpenAI `chat.completion.chunk` events
+ * 
+ * Sends a first chunk with the assistant role, one chunk per piece of text,
+ * a last chunk with the finish_reason, an optional usage chunk and the
+ * closing `data: [DONE]`.
+ * 
+ * @param {Response} res - Express response
+ * @param {Object} ollamaRequest - Request body for Ollama (stream: true)
+ * @param {Object} completion - Fields from createCompletion
+ * @param {Object} params
+ * @param {number} params.startTime - Timestamp when the client request arrived
+ * @param {AbortSignal} params.signal - Cancels the upstream request when aborted
+ * @param {boolean} params.includeUsage - Send a usage chunk (stream_options.include_usage)
+ * @param {Function} params.onUsage - Called with Ollama's token counts once known
+ */
+async function streamCompletionChunks(res, ollamaRequest, completion, { startTime, signal, includeUsage, onUsage }) {
+  const ollamaStartTime = Date.now();
+  
+  // The stream starts with the first text, so earlier failures still get a JSON error
+  const startStream = () => {
+    if (res.headersSent) return;
+    startSseResponse(res);
+    writeSseEvent(res, buildChunk(completion, { role: 'assistant', content: '' }));
+  };
+  
+  const { finalChunk } = await streamOllamaChat(ollamaRequest, signal, (content) => {
+    startStream();
+    writeSseEvent(res, buildChunk(completion, { content }));
+  }, onUsage);
+  startStream();
+  
+  const ollamaResponseTime = Date.now() - ollamaStartTime;
+  const totalResponseTime = Date.now() - startTime;
+  console.log(`Ollama (OpenAI stream): ${ollamaResponseTime}ms | Total: ${totalResponseTime}ms`);
+  
+  writeSseEvent(res, buildChunk(completion, {}, finishReason(finalChunk)));
+  if (includeUsage) {
+    writeSseEvent(res, { ...completion, object: 'chat.completion.chunk', choices: [], usage: toOpenAIUsage(finalChunk) });
+  }
+  writeSseEvent(res, '[DONE]');
+  res.end();
+}
+
+/**
+ * OpenAI-compatible Chat Completions Endpoint
+ * Lets tools written for the OpenAI API use the local Ollama models. Goes
+ * through the same validation, authentication, rate limits, queue and token
+ * quotas as /api/chat; errors use OpenAI's `{error: {message, type}}` format.
+ * 
+ * @route POST /v1/chat/completions
+ * @param {Array} req.body.messages - OpenAI messages (string or text-part content)
+ * @param {string} [req.body.model] - Installed Ollama model; defaults to MODEL_NAME
+ * @param {boolean} [req.body.stream=false] - Stream `chat.completion.chunk` server-sent events
+ * @param {Object} [req.body.stream_options] - `{include_usage: true}` adds a usage chunk
+ * @param {number} [req.body.temperature] - Also top_p, seed, stop and max_tokens / max_completion_tokens
+ * @returns {Object} `chat.completion` with choices, finish_reason and usage
  */
-app.post('/api/chat', async (req, res) => {
+app.post('/v1/chat/completions', rateLimit, enforceTokenQuota, async (req, res) => {
   const startTime = Date.now();
+  const signal = abortOnClientDisconnect(res);
+  const model = req.body?.model || MODEL_NAME;
+  let releaseSlot = null;
   
   try {
-    const { messages } = req.body;
+    const { stream = false, n = 1 } = req.body;
+    
+    if (n !== 1) {
+      return res.status(400).json({ error: 'Invalid request: only n=1 is supported' });
+    }
+    
+    const { messages, error: conversionError } = toOllamaMessages(req.body.messages);
+    const messagesError = conversionError || validateMessages(messages);
+    if (messagesError) {
+      return res.status(400).json({ error: messagesError });
+    }
     
-    // Fast validation with early returns
-    if (!messages?.length) {
+    const { options, error: optionsError } = validateGenerationOptions(toOllamaOptions(req.body));
+    if (optionsError) {
       return res.status(400).json({
-        error: 'Invalid request: non-empty messages array is required'
+        error: `Invalid request: ${optionsError}`
       });
     }
-
-    // Optimized validation - check only structure, not content details
-    const hasValidStructure = messages.every(msg => 
-      msg.role && msg.content && ['user', 'assistant', 'system'].includes(msg.role)
-    );
     
-    if (!hasValidStructure) {
-      return res.status(400).json({
-        error: 'Invalid message format: all messages must have valid role and content'
+    const modelError = await validateModel(model);
+    if (modelError) {
+      return res.status(404).json(openAIError(modelError, 404, 'model_not_found'));
+    }
+    
+    console.log(`Processing ${messages.length} messages for model: ${model} (OpenAI API${stream ? ', streaming' : ''})`);
+    
+    const ollamaRequest = buildOllamaRequest(messages, Boolean(stream), model, options);
+    releaseSlot = await waitForOllamaSlot(res, signal, false);
+    const completion = createCompletion(model);
+    
+    if (stream) {
+      return await streamCompletionChunks(res, ollamaRequest, completion, {
+        startTime,
+        signal,
+        includeUsage: Boolean(req.body.stream_options?.include_usage),
+        onUsage: (data) => recordTokenUsage(req, data)
       });
     }
-
-    console.log(`Processing ${messages.length} messages for model: ${MODEL_NAME}`);
-
-    // Optimize Ollama request - remove unnecessary options for faster processing
-    const ollamaRequest = {
-      model: MODEL_NAME,
-      messages: messages,
-      stream: false,
-      options: {
-        temperature: 0.6,
-        num_predict: 2048,
-        // Optimize for speed
-        num_ctx: 8192, // Context window
-        repeat_penalty: 1.1,
-        top_k: 40,
-        top_p: 0.9
-      }
-    };
-
-    // Make request to Ollama with optimized timing
+    
     const ollamaStartTime = Date.now();
     const response = await axios.post(`${OLLAMA_HOST}/api/chat`, ollamaRequest, {
-      timeout: 120000, // 120 second timeout (2 minutes) for complex queries
+      timeout: 120000,
       headers: {
         'Content-Type': 'application/json'
       },
-      // Optimize axios for performance
       maxContentLength: Infinity,
       maxBodyLength: Infinity,
-      validateStatus: (status) => status < 500 // Only retry on 5xx errors
+      signal
     });
     
-    const ollamaResponseTime = Date.now() - ollamaStartTime;
-    const totalResponseTime = Date.now() - startTime;
-
-    console.log(`Ollama: ${ollamaResponseTime}ms | Total: ${totalResponseTime}ms`);
-
-    // Fast response validation
-    const assistantMessage = response.data?.message;
-    if (!assistantMessage?.content) {
+    console.log(`Ollama (OpenAI): ${Date.now() - ollamaStartTime}ms | Total: ${Date.now() - startTime}ms`);
+    recordTokenUsage(req, response.data);
+    
+    const content = response.data?.message?.content;
+    if (typeof content !== 'string') {
       throw new Error('Invalid response from Ollama: missing message content');
     }
-
-    // Log the raw response content for debugging
-    console.log('Raw AI response content (first 200 chars):', assistantMessage.content.substring(0, 200));
-    console.log('Response contains HTML tags:', /<\/?[a-z][\s\S]*>/i.test(assistantMessage.content));
-
-    // Optimized response format
-    const optimizedResponse = {
-      reply: assistantMessage.content,
-      usage: {
-        prompt_tokens: response.data.prompt_eval_count || 0,
-        completion_tokens: response.data.eval_count || 0,
-        total_tokens: (response.data.prompt_eval_count || 0) + (response.data.eval_count || 0),
-        response_time_ms: totalResponseTime,
-        ollama_time_ms: ollamaResponseTime
-      }
-    };
-
-    res.json(optimizedResponse);
-
-  } catch (error) {
-    console.error('Error in /api/chat:', error.message);
     
-    // Handle specific error types with appropriate responses
-    if (error.code === 'ECONNREFUSED') {
-      return res.status(503).json({
-        error: 'Ollama service is not available. Please ensure Ollama is running.',
-        details: 'Connection refused to Ollama server'
-      });
-    }
+    res.json(buildCompletion(completion, content, response.data));
     
-    if (error.code === 'ENOTFOUND') {
-      return res.status(503).json({
-        error: 'Cannot reach Ollama server. Please check your configuration.',
-        details: 'Hostname not found'
-      });
+  } catch (error) {
+    // The client stopped the request; there is nobody left to respond to
+    if (signal.aborted) {
+      console.log('Client disconnected, cancelled Ollama request');
+      return;
     }
     
-    if (error.response && error.response.status === 404) {
-      return res.status(404).json({
-        error: `Model "${MODEL_NAME}" not found. Please pull the model first with: ollama pull ${MODEL_NAME}`,
-        details: 'Model not available in Ollama'
-      });
+    if (error instanceof LimitError) {
+      return sendLimitError(res, error);
     }
     
-    if (error.code === 'ETIMEDOUT') {
-      return res.status(408).json({
-        error: 'Request timeout. The model took too long to respond.',
-        details: 'Request timed out after 120 seconds'
-      });
+    console.error('Error in /v1/chat/completions:', error.message);
+    
+    const { status, body } = describeOllamaError(error, model);
+    
+    // The stream has started, so the error becomes the last event
+    if (res.headersSent) {
+      writeSseEvent(res, openAIError(body.error, status));
+      return res.end();
     }
     
-    // Generic error response for unhandled cases
-    res.status(500).json({
-      error: 'Internal server error occurred while processing your request.',
-      details: process.env.NODE_ENV === 'development' ? error.message : 'Please try again later'
+    res.status(status).json(body);
+  } finally {
+    releaseSlot?.();
+  }
+});
+
+/**
+ * OpenAI-compatible Model List Endpoint
+ * 
+ * @route GET /v1/models
+ * @returns {Object} `{object: "list", data: [{id, object: "model", created, owned_by}]}`
+ */
+app.get('/v1/models', async (req, res) => {
+  try {
+    const models = await getInstalledModels(true);
+    
+    res.json({
+      object: 'list',
+      data: models.map(toOpenAIModel)
     });
+  } catch (error) {
+    console.error('Error in /v1/models:', error.message);
+    
+    const { status, body } = describeOllamaError(error);
+    res.status(status).json(body);
+  }
+});
+
+/**
+ * OpenAI-compatible Model Endpoint
+ * 
+ * @route GET /v1/models/:model
+ * @returns {Object} The model object, or 404 if it is not installed
+ */
+app.get('/v1/models/:model', async (req, res) => {
+  try {
+    const model = (await getInstalledModels()).find(installed => installed.name === req.params.model);
+    if (!model) {
+      return res.status(404).json(openAIError(`Model "${req.params.model}" is not installed`, 404, 'model_not_found'));
+    }
+    
+    res.json(toOpenAIModel(model));
+  } catch (error) {
+    console.error('Error in /v1/models/:model:', error.message);
+    
+    const { status, body } = describeOllamaError(error);
+    res.status(status).json(body);
   }
 });
 
@@ -266,7 +1924,16 @@ app.get('/config', (req, res) => {
       port: currentServerPort,
       baseUrl: `http://localhost:${currentServerPort}`,
       apiUrl: `http://localhost:${currentServerPort}/api/chat`,
+      modelsUrl: `http://localhost:${currentServerPort}/api/models`,
+      sessionsUrl: `http://localhost:${currentServerPort}/api/sessions`,
+      authUrl: `http://localhost:${currentServerPort}/api/auth`,
       healthUrl: `http://localhost:${currentServerPort}/health`,
+      vendorUrl: `http://localhost:${currentServerPort}/vendor`,
+      authEnabled: AUTH_ENABLED,
+      defaultOptions: DEFAULT_OPTIONS,
+      optionLimits: OPTION_LIMITS,
+      tools: toolRegistry.list().map(({ name, description }) => ({ name, description })),
+      workspace: workspace ? { root: workspace.root, tools: WORKSPACE_TOOLS } : null,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -298,7 +1965,32 @@ app.use((req, res) => {
       'GET /',
       'GET /health',
       'GET /config',
-      'POST /api/chat'
+      'GET /api/models',
+      'POST /api/chat',
+      'GET /api/tools',
+      'POST /api/summarize',
+      'POST /api/title',
+      'POST /api/auth/login',
+      'POST /api/auth/logout',
+      'GET /api/auth/me',
+      'POST /api/auth/password',
+      'GET /api/users',
+      'POST /api/users',
+      'DELETE /api/users/:username',
+      'GET /api/keys',
+      'POST /api/keys',
+      'PATCH /api/keys/:id',
+      'DELETE /api/keys/:id',
+      'GET /api/sessions',
+      'POST /api/sessions',
+      'GET /api/sessions/:id',
+      'PATCH /api/sessions/:id',
+      'DELETE /api/sessions/:id',
+      'GET /api/sessions/:id/messages',
+      'POST /api/sessions/:id/messages',
+      'POST /v1/chat/completions',
+      'GET /v1/models',
+      'GET /v1/models/:model'
     ]
   });
 });
@@ -513,6 +2205,18 @@ async function startServer(port) {
     console.log(`Then pull the model with: ollama pull ${MODEL_NAME}`);
   }
   
+  await sessionStore.init();
+  await userStore.init();
+  await apiKeyStore.init();
+  
+  if (AUTH_ENABLED && !process.env.JWT_SECRET) {
+    console.log('Warning: JWT_SECRET is not set. Using a random secret, so everyone is signed out when the server restarts.');
+  }
+  if (AUTH_ENABLED && userStore.listUsers().length === 0) {
+    console.log('Warning: Authentication is enabled but no accounts exist yet.');
+    console.log('Create the first administrator with: npm run users -- add <username> --admin');
+  }
+  
   const server = app.listen(port, () => {
     // Update the global server port variable
     currentServerPort = port;
@@ -524,7 +2228,11 @@ async function startServer(port) {
       port: port,
       baseUrl: `http://localhost:${port}`,
       apiUrl: `http://localhost:${port}/api/chat`,
+      modelsUrl: `http://localhost:${port}/api/models`,
+      sessionsUrl: `http://localhost:${port}/api/sessions`,
+      authUrl: `http://localhost:${port}/api/auth`,
       healthUrl: `http://localhost:${port}/health`,
+      vendorUrl: `http://localhost:${port}/vendor`,
       timestamp: new Date().toISOString()
     };
     
@@ -542,10 +2250,15 @@ async function startServer(port) {
     console.log(`  Ollama host: ${OLLAMA_HOST}`);
     console.log(`  Model: ${MODEL_NAME}`);
     console.log(`  Auto-start Ollama: ${AUTO_START_OLLAMA ? 'enabled' : 'disabled'}`);
+    console.log(`  Authentication: ${AUTH_ENABLED ? 'enabled' : 'disabled'}`);
+    console.log(`  Workspace tools: ${workspace ? `${workspace.root} (${WORKSPACE_TOOLS.join(', ')})` : 'disabled'}`);
     console.log('');
     console.log('  API Endpoints:');
     console.log(`    Health check: http://localhost:${port}/health`);
     console.log(`    Chat API: http://localhost:${port}/api/chat`);
+    console.log(`    Models: http://localhost:${port}/api/models`);
+    console.log(`    Sessions: http://localhost:${port}/api/sessions`);
+    console.log(`    OpenAI-compatible: http://localhost:${port}/v1`);
     console.log('');
     console.log('  Frontend should connect to: http://localhost:' + port);
     console.log('');
@@ -0,0 +1,386 @@
+/**
+ * File-based Session Store
+ *
+ * Keeps chat sessions and their messages as one JSON file per session in the
+ * sessions/ subdirectory of the data directory, with an in-memory copy for
+ * reads. Session IDs come from clients, so they get a directory of their own
+ * where no ID can name another store's file (such as users.json). Writes go
+ * to a temporary file that is then renamed over the old one, so a crash
+ * never leaves a half-written session behind.
+ *
+ * Every change bumps the session's `revision`, which clients use to detect
+ * edits made elsewhere. Deleted sessions are kept as tombstones so other
+ * devices learn about the deletion when they sync.
+ *
+ * Sessions belong to the user who created them (`owner`: a user ID,
+ * `key:<id>` for an API key without an account, or null when authentication
+ * is off); every method only sees the caller's sessions.
+ *
+ * @version 1.0.0
+ * @author Kimi-K2 Chatbot Team
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+// Session fields clients may set, with their accepted types
+const SESSION_FIELDS = {
+  title: 'string',
+  titleSource: 'string',
+  model: 'string',
+  promptId: 'string',
+  options: 'object',
+  autoSummarize: 'boolean',
+  toolsEnabled: 'boolean',
+  summary: 'object',
+  selectedVersions: 'object',
+  createdAt: 'string',
+  lastActivity: 'string',
+  editedAt: 'string' // When a client last changed the fields above
+};
+
+// Message fields kept from clients (everything else is dropped)
+const MESSAGE_FIELDS = ['id', 'role', 'content', 'timestamp', 'parentId', 'version', 'usage', 'stopped', 'toolCalls', 'attachments'];
+
+const ID_PATTERN = /^[\w-]{1,100}$/;
+const MAX_TITLE_LENGTH = 200;
+
+/**
+ * Error with the HTTP status the API should answer with
+ */
+class StoreError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Error message for the client
+   * @param {Object} [session] - Current server copy of the session (sent with conflicts)
+   */
+  constructor(status, message, session = undefined) {
+    super(message);
+    this.name = 'StoreError';
+    this.status = status;
+    this.session = session;
+  }
+}
+
+class SessionStore {
+  /**
+   * @param {string} dataDir - Data directory; session files are kept in its sessions/ subdirectory
+   */
+  constructor(dataDir) {
+    this.legacyDir = dataDir; // Where earlier versions kept session files
+    this.dataDir = path.join(dataDir, 'sessions');
+    this.sessions = new Map(); // id -> { session, messages }
+    this.writeQueues = new Map(); // id -> Promise of the last queued write
+  }
+
+  /**
+   * Create the sessions directory and load every stored session
+   */
+  async init() {
+    const created = await fs.mkdir(this.dataDir, { recursive: true });
+    if (created) {
+      await this.migrateLegacyFiles();
+    }
+
+    const files = (await fs.readdir(this.dataDir)).filter(file => file.endsWith('.json'));
+    for (const file of files) {
+      try {
+        const record = JSON.parse(await fs.readFile(path.join(this.dataDir, file), 'utf8'));
+        if (record?.session?.id && Array.isArray(record.messages)) {
+          this.sessions.set(record.session.id, record);
+        }
+      } catch (error) {
+        console.error(`Skipping unreadable session file ${file}:`, error.message);
+      }
+    }
+
+    console.log(`Loaded ${this.sessions.size} stored sessions from ${this.dataDir}`);
+  }
+
+  /**
+   * Move session files kept directly in the data directory by earlier
+   * versions into the sessions directory. Only files holding a session
+   * record named after its session ID are moved.
+   */
+  async migrateLegacyFiles() {
+    const files = await fs.readdir(this.legacyDir).catch(() => []);
+    let moved = 0;
+
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      try {
+        const record = JSON.parse(await fs.readFile(path.join(this.legacyDir, file), 'utf8'));
+        if (record?.session?.id && Array.isArray(record.messages) && file === `${record.session.id}.json`) {
+          await fs.rename(path.join(this.legacyDir, file), path.join(this.dataDir, file));
+          moved++;
+        }
+      } catch (error) {
+        // Not a session file
+      }
+    }
+
+    if (moved > 0) {
+      console.log(`Moved ${moved} session file${moved === 1 ? '' : 's'} into ${this.dataDir}`);
+    }
+  }
+
+  /**
+   * List all sessions (including deletion tombstones), most recently changed first
+   * @param {string|null} owner - User whose sessions to list
+   * @returns {Array<Object>} Session records with messageCount
+   */
+  listSessions(owner = null) {
+    return Array.from(this.sessions.values())
+      .filter(record => this.isOwner(record, owner))
+      .map(record => this.describe(record))
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+  }
+
+  /**
+   * Get one live session
+   * @throws {StoreError} 404 if the session does not exist or was deleted
+   */
+  getSession(sessionId, owner = null) {
+    return this.describe(this.getRecord(sessionId, owner));
+  }
+
+  /**
+   * Get all messages of a live session, oldest first
+   */
+  getMessages(sessionId, owner = null) {
+    return this.getRecord(sessionId, owner).messages;
+  }
+
+  /**
+   * Create a session. A client-chosen ID is kept, so local and server copies
+   * share it; a deleted session's ID may be reused to restore it.
+   * @param {Object} fields - Session fields (and optional id)
+   * @param {Array} [messages] - Messages to store with the session
+   * @param {string|null} [owner] - User creating the session
+   * @throws {StoreError} 400 for invalid fields or messages, 409 if the ID is taken
+   */
+  async createSession(fields = {}, messages = [], owner = null) {
+    const sessionId = fields.id || `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    if (typeof sessionId !== 'string' || !ID_PATTERN.test(sessionId)) {
+      throw new StoreError(400, 'Invalid session id: use letters, digits, "_" and "-" only');
+    }
+
+    const existing = this.sessions.get(sessionId);
+    if (existing && !this.isOwner(existing, owner)) {
+      throw new StoreError(409, `Session ${sessionId} already exists`);
+    }
+    if (existing && !existing.session.deleted) {
+      throw new StoreError(409, `Session ${sessionId} already exists`, this.describe(existing));
+    }
+
+    const cleaned = messages.map((message, index) => ({
+      ...this.pickMessageFields(message, index),
+      sessionId
+    }));
+    const uniqueMessages = cleaned
+      .filter((message, index) => cleaned.findIndex(m => m.id === message.id) === index)
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    const now = new Date().toISOString();
+    const record = {
+      session: {
+        title: 'Untitled chat',
+        createdAt: now,
+        lastActivity: now,
+        ...this.pickSessionFields(fields),
+        id: sessionId,
+        ...(owner && { owner }),
+        revision: (existing?.session.revision || 0) + 1,
+        updatedAt: now
+      },
+      messages: uniqueMessages
+    };
+
+    await this.write(record);
+    return this.describe(record);
+  }
+
+  /**
+   * Change session fields
+   * @param {number} [baseRevision] - Revision the client's change is based on;
+   *   when given and outdated the update is refused
+   * @throws {StoreError} 404 if missing, 409 on a revision conflict
+   */
+  async updateSession(sessionId, fields = {}, baseRevision = undefined, owner = null) {
+    const record = this.getRecord(sessionId, owner);
+
+    if (baseRevision !== undefined && baseRevision !== record.session.revision) {
+      throw new StoreError(409, 'Session was changed by another client', this.describe(record));
+    }
+
+    const updated = {
+      ...record,
+      session: {
+        ...record.session,
+        ...this.pickSessionFields(fields),
+        revision: record.session.revision + 1,
+        updatedAt: new Date().toISOString()
+      }
+    };
+
+    await this.write(updated);
+    return this.describe(updated);
+  }
+
+  /**
+   * Delete a session, leaving a tombstone so other clients can remove their copy
+   * @throws {StoreError} 404 if the session does not exist
+   */
+  async deleteSession(sessionId, owner = null) {
+    const record = this.getRecord(sessionId, owner);
+    const now = new Date().toISOString();
+
+    await this.write({
+      session: {
+        id: sessionId,
+        ...(owner && { owner }),
+        deleted: true,
+        revision: record.session.revision + 1,
+        updatedAt: now,
+        lastActivity: now
+      },
+      messages: []
+    });
+  }
+
+  /**
+   * Add messages to a session. Messages never change once written, so
+   * messages whose ID is already stored are skipped.
+   * @returns {Promise<{session: Object, added: Array}>} Updated session and the new messages
+   * @throws {StoreError} 400 for invalid messages, 404 if the session is missing
+   */
+  async addMessages(sessionId, messages, owner = null) {
+    if (!Array.isArray(messages) || messages.length === 0) {
+      throw new StoreError(400, 'Invalid request: non-empty messages array is required');
+    }
+
+    const cleaned = messages.map((message, index) => this.pickMessageFields(message, index));
+    const record = this.getRecord(sessionId, owner);
+    const knownIds = new Set(record.messages.map(message => message.id));
+    const added = cleaned.filter(message => !knownIds.has(message.id) && knownIds.add(message.id));
+
+    if (added.length === 0) {
+      return { session: this.describe(record), added };
+    }
+
+    const now = new Date().toISOString();
+    const updated = {
+      session: {
+        ...record.session,
+        revision: record.session.revision + 1,
+        updatedAt: now,
+        lastActivity: now
+      },
+      messages: [...record.messages, ...added.map(message => ({ ...message, sessionId }))]
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    };
+
+    await this.write(updated);
+    return { session: this.describe(updated), added };
+  }
+
+  /**
+   * Look up a live session record
+   * @throws {StoreError} 404 if missing, deleted or owned by someone else
+   */
+  getRecord(sessionId, owner = null) {
+    const record = this.sessions.get(sessionId);
+    if (!record || record.session.deleted || !this.isOwner(record, owner)) {
+      throw new StoreError(404, `Session ${sessionId} not found`);
+    }
+    return record;
+  }
+
+  /**
+   * Whether a session record belongs to the given user
+   */
+  isOwner(record, owner) {
+    return (record.session.owner || null) === owner;
+  }
+
+  /**
+   * Session record as returned by the API
+   */
+  describe(record) {
+    return record.session.deleted
+      ? record.session
+      : { ...record.session, messageCount: record.messages.length };
+  }
+
+  /**
+   * Keep only known session fields, checking their types
+   * @throws {StoreError} 400 for a field of the wrong type
+   */
+  pickSessionFields(fields) {
+    const picked = {};
+
+    for (const [name, type] of Object.entries(SESSION_FIELDS)) {
+      if (!(name in fields)) continue;
+
+      const value = fields[name];
+      const isValid = value === null
+        ? name !== 'title'
+        : typeof value === type && !(type === 'object' && Array.isArray(value));
+      if (!isValid) {
+        throw new StoreError(400, `Invalid session field "${name}": expected ${type}`);
+      }
+      picked[name] = name === 'title' ? value.slice(0, MAX_TITLE_LENGTH) : value;
+    }
+
+    return picked;
+  }
+
+  /**
+   * Keep only known message fields, checking the required ones
+   * @throws {StoreError} 400 for an invalid message
+   */
+  pickMessageFields(message, index) {
+    if (!message || typeof message.id !== 'string' || !ID_PATTERN.test(message.id)) {
+      throw new StoreError(400, `Invalid message at index ${index}: id is missing or invalid`);
+    }
+    if (!['user', 'assistant'].includes(message.role) || typeof message.content !== 'string') {
+      throw new StoreError(400, `Invalid message at index ${index}: role and content are required`);
+    }
+
+    const picked = {};
+    MESSAGE_FIELDS.forEach(name => {
+      if (message[name] !== undefined) {
+        picked[name] = message[name];
+      }
+    });
+    picked.timestamp = picked.timestamp || new Date().toISOString();
+    return picked;
+  }
+
+  /**
+   * Save a session record to memory and disk. Writes to the same session
+   * run one after another.
+   */
+  async write(record) {
+    const sessionId = record.session.id;
+    this.sessions.set(sessionId, record);
+
+    const filePath = path.join(this.dataDir, `${sessionId}.json`);
+    const previous = this.writeQueues.get(sessionId) || Promise.resolve();
+    const next = previous
+      .catch(() => {})
+      .then(async () => {
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(this.sessions.get(sessionId), null, 2));
+        await fs.rename(tempPath, filePath);
+      });
+
+    this.writeQueues.set(sessionId, next);
+    await next;
+
+    if (this.writeQueues.get(sessionId) === next) {
+      this.writeQueues.delete(sessionId);
+    }
+  }
+}
+
+module.exports = { SessionStore, StoreError };
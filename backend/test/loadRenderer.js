@@ -0,0 +1,41 @@
+/**
+ * Frontend Renderer for Tests
+ *
+ * Loads marked, DOMPurify (the same files the page loads from /vendor) and
+ * frontend/app.js into a jsdom window, so tests can call the frontend's
+ * rendering methods without starting the app.
+ *
+ * @version 1.0.0
+ * @author Kimi-K2 Chatbot Team
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const APP_PATH = path.join(__dirname, '../../frontend/app.js');
+
+/**
+ * Load marked, DOMPurify and the frontend into a browser-like window
+ * @returns {Promise<{app: Object, window: Object}>} A ChatApp with only its
+ *   Markdown renderer set up, and the window it lives in
+ */
+async function loadRenderer() {
+  const { window } = new JSDOM('<!DOCTYPE html><body></body>', { runScripts: 'outside-only', url: 'http://localhost/' });
+
+  // Load app.js only after DOMContentLoaded, so it does not start the whole app
+  await new Promise(resolve => window.addEventListener('load', resolve));
+
+  window.eval(fs.readFileSync(require.resolve('marked/marked.min.js'), 'utf8'));
+  window.eval(fs.readFileSync(require.resolve('dompurify/dist/purify.min.js'), 'utf8'));
+  window.eval(`${fs.readFileSync(APP_PATH, 'utf8')}\nwindow.ChatApp = ChatApp;`);
+
+  const app = Object.create(window.ChatApp.prototype);
+  await app.setupMarkdown();
+  if (!app.markdown) {
+    throw new Error('Markdown libraries did not load');
+  }
+  return { app, window };
+}
+
+module.exports = { loadRenderer };
@@ -0,0 +1,56 @@
+/**
+ * Markdown Rendering Corpus
+ *
+ * Renders every entry of markdown-corpus.json with the frontend's
+ * formatContent (marked + DOMPurify, the same files the page loads from
+ * /vendor) and compares the sanitized HTML with the expected output, so
+ * changes to the parser setup or the sanitizer allow-list cannot slip
+ * through unnoticed.
+ *
+ * Usage:
+ *   node test/markdownCorpus.js           Check the corpus (exit code 1 on a mismatch)
+ *   node test/markdownCorpus.js --update  Rewrite the expected HTML; review the diff
+ *
+ * @version 1.0.0
+ * @author Kimi-K2 Chatbot Team
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadRenderer } = require('./loadRenderer');
+
+const CORPUS_PATH = path.join(__dirname, 'markdown-corpus.json');
+
+async function main() {
+  const update = process.argv.includes('--update');
+  const corpus = JSON.parse(fs.readFileSync(CORPUS_PATH, 'utf8'));
+  const { app } = await loadRenderer();
+
+  let failures = 0;
+  for (const entry of corpus) {
+    const actual = app.formatContent(entry.input);
+
+    if (update) {
+      entry.expected = actual;
+    } else if (actual !== entry.expected) {
+      failures++;
+      console.error(`FAIL ${entry.name}\n  input:    ${JSON.stringify(entry.input)}\n  expected: ${JSON.stringify(entry.expected)}\n  actual:   ${JSON.stringify(actual)}`);
+    }
+  }
+
+  if (update) {
+    fs.writeFileSync(CORPUS_PATH, `${JSON.stringify(corpus, null, 2)}\n`);
+    console.log(`Updated ${corpus.length} corpus entries`);
+    return;
+  }
+
+  console.log(`${corpus.length - failures} of ${corpus.length} corpus entries rendered as expected`);
+  if (failures > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
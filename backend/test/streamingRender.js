@@ -0,0 +1,94 @@
+/**
+ * Streaming Rendering Test
+ *
+ * Feeds replies to the frontend's streaming renderer a few characters at a
+ * time, finishes them, and checks that the bubble ends up exactly as if the
+ * whole reply had been rendered at once with formatContent. Blocks that were
+ * finished while streaming must survive the finish as the same elements.
+ *
+ * Usage:
+ *   node test/streamingRender.js  (exit code 1 on a mismatch)
+ *
+ * @version 1.0.0
+ * @author Kimi-K2 Chatbot Team
+ */
+
+const { loadRenderer } = require('./loadRenderer');
+
+// Replies whose blocks are easy to split or end at the wrong place
+const REPLIES = {
+  'unterminated fence': 'Here is the code:\n\n```js\nconst a = 1;\n\nconsole.log(a);\n',
+  'loose ordered list': 'Steps:\n\n1. First\n\n2. Second\n\n   Still the second item.\n\n3. Third\n\nThat is all.',
+  'table': 'Results:\n\n| Name | Score |\n|------|------:|\n| Ada | 3 |\n| Bob | 12 |\n\nDone.',
+  'tab-indented code': 'Run this:\n\n\tnpm install\n\tnpm start\n\nThen open the page.',
+  'display math': 'The sum is\n\n$$\n\\sum_{i=1}^{n} i = \\frac{n(n+1)}{2}\n$$\n\nfor every $n \\ge 1$.',
+  'mixed blocks': '# Title\n\nSome *text*.\n\n---\n\n```python\nprint("hi")\n```\n\n- a\n- b\n\n> quoted'
+};
+
+// Chunk sizes put the chunk boundaries at different places in each reply
+const CHUNK_SIZES = [1, 3, 7, 40];
+
+/**
+ * Stream a reply into a fresh bubble and finish it
+ * @returns {Promise<{content: Element, kept: Element|null}>} The finished
+ *   .message-content, and the first block rendered while streaming (if any)
+ */
+async function streamReply(app, window, reply, chunkSize) {
+  const messageElement = window.document.createElement('div');
+  const state = app.beginStreamingMessage(messageElement);
+
+  for (let i = 0; i < reply.length; i += chunkSize) {
+    state.message.content += reply.slice(i, i + chunkSize);
+    app.renderStreamingContent(state);
+  }
+
+  const kept = state.renderedLength > 0 ? state.contentDiv.firstElementChild : null;
+  await app.finishStreamingMessage(state, reply);
+  return { content: messageElement.querySelector('.message-content'), kept };
+}
+
+async function main() {
+  const { app, window } = await loadRenderer();
+
+  // Only what finishStreamingMessage needs besides rendering; math and
+  // diagram libraries stay unloaded, so both sides keep their source view
+  Object.assign(app, {
+    messages: [],
+    persistMessage: async () => null,
+    adoptHistoryId: () => {},
+    scrollToBottom: () => {},
+    loadVendorLibrary: () => new Promise(() => {})
+  });
+
+  let total = 0;
+  let failures = 0;
+  for (const [name, reply] of Object.entries(REPLIES)) {
+    const expected = window.document.createElement('div');
+    expected.innerHTML = app.formatContent(reply);
+    app.decorateContent(expected);
+
+    for (const chunkSize of CHUNK_SIZES) {
+      total++;
+      const { content, kept } = await streamReply(app, window, reply, chunkSize);
+      const actual = content.innerHTML.trim();
+
+      if (actual !== expected.innerHTML.trim()) {
+        failures++;
+        console.error(`FAIL ${name} (chunks of ${chunkSize})\n  expected: ${JSON.stringify(expected.innerHTML.trim())}\n  actual:   ${JSON.stringify(actual)}`);
+      } else if (kept && !content.contains(kept)) {
+        failures++;
+        console.error(`FAIL ${name} (chunks of ${chunkSize}): blocks rendered while streaming were rendered again`);
+      }
+    }
+  }
+
+  console.log(`${total - failures} of ${total} streamed replies rendered as expected`);
+  if (failures > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
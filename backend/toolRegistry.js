@@ -0,0 +1,191 @@
+/**
+ * Tool Registry
+ *
+ * Keeps the tools the model may call during a chat: a JSON-schema
+ * definition (sent to Ollama with the request) plus a handler that runs on
+ * the server. Arguments are checked against the schema before a handler
+ * runs, and every outcome, including errors, becomes text the model can read,
+ * so a bad call lets the model correct itself instead of failing the request.
+ *
+ * @version 1.0.0
+ * @author Kimi-K2 Chatbot Team
+ */
+
+const NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const DEFAULT_MAX_RESULT_CHARS = 16000;
+
+/**
+ * Whether a value matches a JSON-schema primitive type
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default: return true;
+  }
+}
+
+/**
+ * Check a value against the subset of JSON schema tools use: type, enum,
+ * properties, required, additionalProperties and items
+ *
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON schema
+ * @param {string} [at] - Path of the value, for error messages
+ * @returns {string|null} Validation error, or null if valid
+ */
+function validateSchema(value, schema, at = 'arguments') {
+  if (schema.type && !matchesType(value, schema.type)) {
+    return `${at} must be ${schema.type === 'integer' || schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `${at} must be one of: ${schema.enum.join(', ')}`;
+  }
+
+  if (schema.type === 'object') {
+    const properties = schema.properties || {};
+
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) return `${at}.${name} is required`;
+    }
+
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (!properties[name]) {
+        if (schema.additionalProperties === false) return `${at}.${name} is not a known parameter`;
+        continue;
+      }
+      const error = validateSchema(propertyValue, properties[name], `${at}.${name}`);
+      if (error) return error;
+    }
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    for (let i = 0; i < value.length; i++) {
+      const error = validateSchema(value[i], schema.items, `${at}[${i}]`);
+      if (error) return error;
+    }
+  }
+
+  return null;
+}
+
+class ToolRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxResultChars] - Longer results are cut off with a notice
+   */
+  constructor({ maxResultChars = DEFAULT_MAX_RESULT_CHARS } = {}) {
+    this.tools = new Map();
+    this.maxResultChars = maxResultChars;
+  }
+
+  /**
+   * Add a tool
+   * @param {Object} tool
+   * @param {string} tool.name - Letters, digits, "_" and "-"
+   * @param {string} tool.description - Tells the model when to use the tool
+   * @param {Object} tool.parameters - JSON schema of the arguments (type "object")
+   * @param {Function} tool.handler - `async (args, context) => string|Object`
+   * @throws {Error} If the definition is invalid or the name is taken
+   */
+  register({ name, description, parameters, handler }) {
+    if (!NAME_PATTERN.test(name || '')) {
+      throw new Error(`Invalid tool name "${name}"`);
+    }
+    if (this.tools.has(name)) {
+      throw new Error(`Tool "${name}" is already registered`);
+    }
+    if (typeof description !== 'string' || parameters?.type !== 'object' || typeof handler !== 'function') {
+      throw new Error(`Tool "${name}" needs a description, an object parameter schema and a handler`);
+    }
+
+    this.tools.set(name, { name, description, parameters, handler });
+  }
+
+  /**
+   * Whether a tool is registered
+   */
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  /**
+   * Registered tools without their handlers
+   * @returns {Array<{name: string, description: string, parameters: Object}>}
+   */
+  list() {
+    return Array.from(this.tools.values()).map(({ name, description, parameters }) => ({ name, description, parameters }));
+  }
+
+  /**
+   * Tool definitions in the format Ollama's `tools` request field expects
+   * @param {Array<string>} names - Tools to include
+   */
+  getDefinitions(names) {
+    return names
+      .filter(name => this.tools.has(name))
+      .map(name => {
+        const { description, parameters } = this.tools.get(name);
+        return { type: 'function', function: { name, description, parameters } };
+      });
+  }
+
+  /**
+   * Run a tool call from the model
+   *
+   * @param {string} name - Tool name
+   * @param {Object|string} args - Arguments object (or its JSON text)
+   * @param {Object} [context] - Passed to the handler (e.g. the requesting user)
+   * @returns {Promise<{content: string, isError: boolean}>} Result text for the model
+   */
+  async run(name, args, context = {}) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      return this.errorResult(`Unknown tool "${name}"`);
+    }
+
+    let parsedArgs = args ?? {};
+    if (typeof parsedArgs === 'string') {
+      try {
+        parsedArgs = parsedArgs.trim() ? JSON.parse(parsedArgs) : {};
+      } catch (error) {
+        return this.errorResult('Arguments are not valid JSON');
+      }
+    }
+
+    const validationError = validateSchema(parsedArgs, tool.parameters);
+    if (validationError) {
+      return this.errorResult(`Invalid arguments: ${validationError}`);
+    }
+
+    try {
+      const result = await tool.handler(parsedArgs, context);
+      const content = typeof result === 'string' ? result : JSON.stringify(result, null, 2);
+      return { content: this.truncate(content ?? ''), isError: false };
+    } catch (error) {
+      return this.errorResult(error.message || String(error));
+    }
+  }
+
+  /**
+   * Result reporting a failed call
+   */
+  errorResult(message) {
+    return { content: `Error: ${message}`, isError: true };
+  }
+
+  /**
+   * Cut a result down to maxResultChars, saying so at the end
+   */
+  truncate(content) {
+    if (content.length <= this.maxResultChars) return content;
+    return `${content.slice(0, this.maxResultChars)}\n\n[Result truncated: ${content.length - this.maxResultChars} more characters]`;
+  }
+}
+
+module.exports = { ToolRegistry, validateSchema };
@@ -0,0 +1,216 @@
+/**
+ * File-based User Store
+ *
+ * Keeps local user accounts in `users.json` inside the data directory.
+ * Passwords are stored as salted scrypt hashes, never in plain text.
+ *
+ * @version 1.0.0
+ * @author Kimi-K2 Chatbot Team
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { StoreError } = require('./sessionStore');
+
+const scrypt = promisify(crypto.scrypt);
+
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{1,31}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 1024;
+const ROLES = ['user', 'admin'];
+const KEY_LENGTH = 64;
+
+// Compared against when the username is unknown, so both cases take as long
+const DUMMY_HASH = `scrypt$${'00'.repeat(16)}$${'00'.repeat(KEY_LENGTH)}`;
+
+/**
+ * Hash a password with a random salt
+ * @returns {Promise<string>} "scrypt$<salt>$<hash>" (hex)
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash in constant time
+ */
+async function verifyPassword(password, storedHash) {
+  const [scheme, salt, hash] = String(storedHash).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+class UserStore {
+  /**
+   * @param {string} dataDir - Directory users.json is kept in
+   */
+  constructor(dataDir) {
+    this.filePath = path.join(dataDir, 'users.json');
+    this.users = [];
+    this.loadedMtime = 0;
+  }
+
+  /**
+   * Load the stored accounts (none if the file does not exist yet)
+   */
+  async init() {
+    try {
+      const [content, stats] = await Promise.all([fs.readFile(this.filePath, 'utf8'), fs.stat(this.filePath)]);
+      const data = JSON.parse(content);
+      this.users = Array.isArray(data.users) ? data.users : [];
+      this.loadedMtime = stats.mtimeMs;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.users = [];
+      this.loadedMtime = 0;
+    }
+  }
+
+  /**
+   * Reload the accounts if users.json changed on disk, e.g. through the
+   * manage-users CLI while the server is running
+   */
+  async refresh() {
+    const mtime = await fs.stat(this.filePath).then(stats => stats.mtimeMs, () => 0);
+    if (mtime !== this.loadedMtime) {
+      await this.init();
+    }
+  }
+
+  /**
+   * List all accounts without their password hashes
+   */
+  listUsers() {
+    return this.users.map(user => this.describe(user));
+  }
+
+  /**
+   * Get an account by ID (without its password hash), or null
+   */
+  getUser(userId) {
+    const user = this.users.find(u => u.id === userId);
+    return user ? this.describe(user) : null;
+  }
+
+  /**
+   * Create an account
+   * @param {string} username - Lowercase letters, digits, ".", "_" and "-"
+   * @param {string} password - At least 8 characters
+   * @param {string} [role] - "user" or "admin"
+   * @throws {StoreError} 400 for invalid input, 409 if the username is taken
+   */
+  async createUser(username, password, role = 'user') {
+    await this.refresh();
+    const name = String(username || '').trim().toLowerCase();
+    if (!USERNAME_PATTERN.test(name)) {
+      throw new StoreError(400, 'Invalid username: use 2-32 lowercase letters, digits, ".", "_" or "-"');
+    }
+    if (!ROLES.includes(role)) {
+      throw new StoreError(400, `Invalid role: expected ${ROLES.join(' or ')}`);
+    }
+    this.checkPassword(password);
+    if (this.users.some(u => u.username === name)) {
+      throw new StoreError(409, `User ${name} already exists`);
+    }
+
+    const user = {
+      id: `user_${crypto.randomUUID()}`,
+      username: name,
+      role,
+      passwordHash: await hashPassword(password),
+      createdAt: new Date().toISOString()
+    };
+
+    this.users.push(user);
+    await this.save();
+    return this.describe(user);
+  }
+
+  /**
+   * Replace an account's password
+   * @throws {StoreError} 400 for a weak password, 404 if the user does not exist
+   */
+  async setPassword(username, password) {
+    await this.refresh();
+    const user = this.findByUsername(username);
+    this.checkPassword(password);
+
+    user.passwordHash = await hashPassword(password);
+    user.passwordChangedAt = new Date().toISOString();
+    await this.save();
+    return this.describe(user);
+  }
+
+  /**
+   * Delete an account
+   * @throws {StoreError} 404 if the user does not exist
+   */
+  async deleteUser(username) {
+    await this.refresh();
+    const user = this.findByUsername(username);
+    this.users = this.users.filter(u => u !== user);
+    await this.save();
+  }
+
+  /**
+   * Check a username and password
+   * @returns {Promise<Object|null>} The account, or null if the credentials are wrong
+   */
+  async verifyCredentials(username, password) {
+    await this.refresh();
+    const name = String(username || '').trim().toLowerCase();
+    const user = this.users.find(u => u.username === name);
+    const valid = await verifyPassword(String(password || ''), user ? user.passwordHash : DUMMY_HASH);
+    return user && valid ? this.describe(user) : null;
+  }
+
+  /**
+   * Look up an account by username
+   * @throws {StoreError} 404 if the user does not exist
+   */
+  findByUsername(username) {
+    const name = String(username || '').trim().toLowerCase();
+    const user = this.users.find(u => u.username === name);
+    if (!user) {
+      throw new StoreError(404, `User ${name} not found`);
+    }
+    return user;
+  }
+
+  /**
+   * @throws {StoreError} 400 if the password is too short or too long
+   */
+  checkPassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+      throw new StoreError(400, `Invalid password: use at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+  }
+
+  /**
+   * Account as returned by the API (no password hash)
+   */
+  describe(user) {
+    const { passwordHash, ...publicFields } = user;
+    return publicFields;
+  }
+
+  /**
+   * Write all accounts to disk (temporary file, then rename)
+   */
+  async save() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify({ users: this.users }, null, 2), { mode: 0o600 });
+    await fs.rename(tempPath, this.filePath);
+    this.loadedMtime = (await fs.stat(this.filePath)).mtimeMs;
+  }
+}
+
+module.exports = { UserStore };
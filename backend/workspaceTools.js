@@ -0,0 +1,531 @@
+/**
+ * Workspace Tools
+ *
+ * Read-only tools that let the model look at a project on the server:
+ * read_file, list_directory and grep. Everything is confined to the
+ * configured workspace root:
+ * - Paths are resolved (symlinks included) and refused if they end up
+ *   outside the root.
+ * - Files and directories matched by .gitignore files are invisible, and so
+ *   are .git and .env* files whether or not they are ignored. A path is
+ *   checked both as requested and where its symlinks lead.
+ * - Large and binary files are not read, and listings and searches stop at
+ *   fixed limits. Searches run in a worker thread that is stopped after
+ *   GREP_TIME_LIMIT_MS, so a pathological regular expression cannot block
+ *   the server.
+ *
+ * @version 1.0.0
+ * @author Kimi-K2 Chatbot Team
+ */
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const WORKSPACE_TOOL_NAMES = ['read_file', 'list_directory', 'grep'];
+const ALWAYS_IGNORED = /^(\.git|\.env.*)$/; // Hidden even without a .gitignore
+const IGNORE_CACHE_MS = 5000; // How long parsed .gitignore files are reused
+const MAX_READ_LINES = 500; // Lines returned per read_file call
+const MAX_LIST_ENTRIES = 1000;
+const MAX_GREP_MATCHES = 200;
+const MAX_GREP_FILES = 5000;
+const MAX_GREP_LINE_LENGTH = 300; // Longer matching lines are shortened
+const GREP_TIME_LIMIT_MS = 10000;
+const BINARY_SNIFF_BYTES = 8000;
+
+/**
+ * Convert a gitignore-style glob to a regular expression source
+ * (`*`, `?`, `[...]` and `**` are supported)
+ */
+function globToRegexSource(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        // "**/" matches any number of directories, a trailing "**" everything
+        if (glob[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        const set = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+        source += `[${set.startsWith('!') ? '^' + set.slice(1) : set}]`;
+        i = end;
+      }
+    } else if (char === '\\' && i + 1 < glob.length) {
+      source += glob[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+
+  return source;
+}
+
+/**
+ * Parse the contents of a .gitignore file
+ * @returns {Array<{regex: RegExp, negate: boolean, directoryOnly: boolean, anchored: boolean}>}
+ */
+function parseGitignore(content) {
+  const rules = [];
+
+  for (let line of content.split(/\r?\n/)) {
+    line = line.replace(/(?<!\\)\s+$/, '');
+    if (!line || line.startsWith('#')) continue;
+
+    const negate = line.startsWith('!');
+    if (negate) line = line.slice(1);
+
+    const directoryOnly = line.endsWith('/');
+    if (directoryOnly) line = line.slice(0, -1);
+
+    // A slash anywhere but the end ties the pattern to this directory;
+    // otherwise it matches a name at any depth
+    const anchored = line.includes('/');
+    line = line.replace(/^\//, '');
+    if (!line) continue;
+
+    rules.push({ regex: new RegExp(`^${globToRegexSource(line)}$`), negate, directoryOnly, anchored });
+  }
+
+  return rules;
+}
+
+/**
+ * Human-readable file size
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Whether a buffer looks like binary data (contains a NUL byte early on)
+ */
+function isBinary(buffer) {
+  return buffer.subarray(0, BINARY_SNIFF_BYTES).includes(0);
+}
+
+/**
+ * Search files line by line (synchronously; run it in grepWorker.js)
+ *
+ * @param {Object} search
+ * @param {string} search.source - Regular expression source
+ * @param {string} search.flags - Regular expression flags
+ * @param {Array<{relative: string, absolute: string}>} search.files - Files to search, in order
+ * @param {number} search.maxFileBytes - Larger files are skipped
+ * @returns {{matches: Array<string>, filesSearched: number, filesMatched: number, stoppedEarly: boolean}}
+ */
+function searchFiles({ source, flags, files, maxFileBytes }) {
+  const matcher = new RegExp(source, flags);
+  const matches = [];
+  let filesSearched = 0;
+  let filesMatched = 0;
+
+  for (const file of files) {
+    if (matches.length >= MAX_GREP_MATCHES) break;
+    filesSearched++;
+
+    let buffer;
+    try {
+      if (fs.statSync(file.absolute).size > maxFileBytes) continue;
+      buffer = fs.readFileSync(file.absolute);
+    } catch (error) {
+      continue; // Removed or unreadable since it was listed
+    }
+    if (isBinary(buffer)) continue;
+
+    let matchedThisFile = false;
+    const lines = buffer.toString('utf8').split(/\r?\n/);
+    for (let i = 0; i < lines.length && matches.length < MAX_GREP_MATCHES; i++) {
+      if (!matcher.test(lines[i])) continue;
+
+      const text = lines[i].trim();
+      matches.push(`${file.relative}:${i + 1}: ${text.length > MAX_GREP_LINE_LENGTH ? `${text.slice(0, MAX_GREP_LINE_LENGTH)}...` : text}`);
+      matchedThisFile = true;
+    }
+    if (matchedThisFile) filesMatched++;
+  }
+
+  return { matches, filesSearched, filesMatched, stoppedEarly: filesSearched < files.length };
+}
+
+/**
+ * Run searchFiles in a worker thread, terminating it after GREP_TIME_LIMIT_MS
+ *
+ * @param {Object} search - Arguments for searchFiles
+ * @returns {Promise<Object>} Its result
+ * @throws {Error} If the time limit is hit or the worker fails
+ */
+function searchFilesInWorker(search) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, 'grepWorker.js'), { workerData: search });
+    const timer = setTimeout(() => {
+      worker.terminate();
+      reject(new Error(`The search was stopped after ${GREP_TIME_LIMIT_MS / 1000} seconds; simplify the pattern or narrow the search with path or include`));
+    }, GREP_TIME_LIMIT_MS);
+
+    worker.once('message', (result) => {
+      clearTimeout(timer);
+      resolve(result);
+    });
+    worker.once('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    worker.once('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`The search stopped unexpectedly (exit code ${code})`)); // No effect once resolved
+    });
+  });
+}
+
+class Workspace {
+  /**
+   * @param {string} root - Directory the tools may read
+   * @param {Object} [options]
+   * @param {number} [options.maxFileBytes] - Larger files are not read or searched
+   * @throws {Error} If the root does not exist or is not a directory
+   */
+  constructor(root, { maxFileBytes = 1024 * 1024 } = {}) {
+    this.root = fs.realpathSync(path.resolve(root));
+    if (!fs.statSync(this.root).isDirectory()) {
+      throw new Error(`${root} is not a directory`);
+    }
+    this.maxFileBytes = maxFileBytes;
+    this.ignoreCache = new Map(); // directory (relative) -> { rules, loadedAt }
+  }
+
+  /**
+   * Resolve a path given by the model to a location inside the workspace
+   *
+   * @param {string} [requestedPath] - Relative to the root (an absolute path inside the root also works)
+   * @returns {Promise<{absolute: string, relative: string, stats: fs.Stats}>}
+   *   `relative` uses forward slashes and is "" for the root itself
+   * @throws {Error} If the path is outside the workspace, ignored or missing
+   */
+  async resolve(requestedPath = '.') {
+    if (typeof requestedPath !== 'string' || requestedPath.includes('\0')) {
+      throw new Error('Invalid path');
+    }
+
+    const candidate = path.isAbsolute(requestedPath)
+      ? path.resolve(requestedPath)
+      : path.resolve(this.root, requestedPath || '.');
+    if (!this.contains(candidate)) {
+      throw new Error(`Path "${requestedPath}" is outside the workspace`);
+    }
+
+    // Symlinks may point anywhere; what counts is where they lead
+    let absolute;
+    try {
+      absolute = await fsp.realpath(candidate);
+    } catch (error) {
+      throw new Error(`Path "${requestedPath}" does not exist`);
+    }
+    if (!this.contains(absolute)) {
+      throw new Error(`Path "${requestedPath}" is outside the workspace`);
+    }
+
+    // A symlink must not make an ignored path readable under another name,
+    // nor an ignored name (a linked .env) lead to a file that is not ignored
+    const relative = path.relative(this.root, absolute).split(path.sep).join('/');
+    const requestedRelative = path.relative(this.root, candidate).split(path.sep).join('/');
+    const stats = await fsp.stat(absolute);
+    for (const checked of new Set([relative, requestedRelative])) {
+      if (checked && await this.isIgnored(checked, stats.isDirectory())) {
+        throw new Error(`Path "${requestedPath}" is excluded from the workspace`);
+      }
+    }
+
+    return { absolute, relative, stats };
+  }
+
+  /**
+   * Whether an absolute path is the root or inside it
+   */
+  contains(absolute) {
+    const relative = path.relative(this.root, absolute);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+  }
+
+  /**
+   * Whether a path or any directory above it is ignored
+   * @param {string} relative - Path relative to the root, with forward slashes
+   * @param {boolean} isDirectory - Whether the path itself is a directory
+   */
+  async isIgnored(relative, isDirectory) {
+    const parts = relative.split('/');
+    for (let i = 1; i <= parts.length; i++) {
+      if (await this.matchesIgnoreRules(parts.slice(0, i).join('/'), i < parts.length || isDirectory)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Whether the .gitignore files above a path exclude it (its parent
+   * directories are not checked). Deeper files and later lines win, and "!"
+   * patterns re-include, as in git.
+   */
+  async matchesIgnoreRules(relative, isDirectory) {
+    const parts = relative.split('/');
+    const name = parts[parts.length - 1];
+    if (ALWAYS_IGNORED.test(name)) return true;
+
+    let ignored = false;
+    for (let depth = 0; depth < parts.length; depth++) {
+      const directory = parts.slice(0, depth).join('/');
+      const pathInDirectory = parts.slice(depth).join('/');
+
+      for (const rule of await this.getIgnoreRules(directory)) {
+        if (rule.directoryOnly && !isDirectory) continue;
+        if (rule.regex.test(rule.anchored ? pathInDirectory : name)) {
+          ignored = !rule.negate;
+        }
+      }
+    }
+    return ignored;
+  }
+
+  /**
+   * Parsed rules of a directory's .gitignore (none if it has none)
+   * @param {string} directory - Relative to the root ("" for the root)
+   */
+  async getIgnoreRules(directory) {
+    const cached = this.ignoreCache.get(directory);
+    if (cached && Date.now() - cached.loadedAt < IGNORE_CACHE_MS) {
+      return cached.rules;
+    }
+
+    let rules = [];
+    try {
+      rules = parseGitignore(await fsp.readFile(path.join(this.root, directory, '.gitignore'), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') throw error;
+    }
+
+    this.ignoreCache.set(directory, { rules, loadedAt: Date.now() });
+    return rules;
+  }
+
+  /**
+   * Walk the files and directories below a directory, depth first in name
+   * order, skipping ignored entries and not following symlinks
+   *
+   * @param {string} relative - Directory to start from ("" for the root)
+   * @param {boolean} [recursive] - Descend into subdirectories
+   * @yields {{relative: string, absolute: string, entry: fs.Dirent}}
+   */
+  async *walk(relative, recursive = true) {
+    const entries = await fsp.readdir(path.join(this.root, relative), { withFileTypes: true });
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+      const entryRelative = relative ? `${relative}/${entry.name}` : entry.name;
+      if (await this.matchesIgnoreRules(entryRelative, entry.isDirectory())) continue;
+
+      yield { relative: entryRelative, absolute: path.join(this.root, entryRelative), entry };
+      if (recursive && entry.isDirectory()) {
+        yield* this.walk(entryRelative, true);
+      }
+    }
+  }
+
+  /**
+   * Read a text file, at most MAX_READ_LINES lines at a time
+   */
+  async readFile({ path: requestedPath, start_line: startLine = 1, end_line: endLine }) {
+    const { absolute, relative, stats } = await this.resolve(requestedPath);
+    if (stats.isDirectory()) {
+      throw new Error(`"${requestedPath}" is a directory; use list_directory`);
+    }
+    if (stats.size > this.maxFileBytes) {
+      throw new Error(`"${relative}" is too large to read (${formatSize(stats.size)}, limit ${formatSize(this.maxFileBytes)}); use grep to find the relevant lines`);
+    }
+
+    const buffer = await fsp.readFile(absolute);
+    if (isBinary(buffer)) {
+      throw new Error(`"${relative}" is a binary file`);
+    }
+
+    const lines = buffer.toString('utf8').split(/\r?\n/);
+    if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+
+    const first = Math.max(1, startLine);
+    const last = Math.min(lines.length, endLine || lines.length, first + MAX_READ_LINES - 1);
+    if (first > lines.length) {
+      throw new Error(`"${relative}" has only ${lines.length} lines`);
+    }
+    if (last < first) {
+      throw new Error('end_line must not be before start_line');
+    }
+
+    const more = last < lines.length ? `; call again with start_line ${last + 1} for more` : '';
+    const numbered = lines.slice(first - 1, last).map((line, index) => `${first + index}\t${line}`);
+    return `File: ${relative} (lines ${first}-${last} of ${lines.length}${more})\n${numbered.join('\n')}`;
+  }
+
+  /**
+   * List a directory, optionally with everything below it
+   */
+  async listDirectory({ path: requestedPath = '.', recursive = false }) {
+    const { relative, stats } = await this.resolve(requestedPath);
+    if (!stats.isDirectory()) {
+      throw new Error(`"${requestedPath}" is not a directory; use read_file`);
+    }
+
+    const lines = [];
+    let truncated = false;
+
+    for await (const { relative: entryRelative, absolute, entry } of this.walk(relative, recursive)) {
+      if (lines.length >= MAX_LIST_ENTRIES) {
+        truncated = true;
+        break;
+      }
+
+      if (entry.isDirectory()) {
+        lines.push(`${entryRelative}/`);
+      } else if (entry.isSymbolicLink()) {
+        lines.push(`${entryRelative}@`);
+      } else {
+        const { size } = await fsp.stat(absolute);
+        lines.push(`${entryRelative} (${formatSize(size)})`);
+      }
+    }
+
+    const heading = `Directory: ${relative || '.'} (${lines.length} entries${truncated ? `, stopped at ${MAX_LIST_ENTRIES}` : ''})`;
+    return lines.length > 0 ? `${heading}\n${lines.join('\n')}` : `${heading}\n(empty)`;
+  }
+
+  /**
+   * Search file contents for a literal string or regular expression
+   */
+  async grep({ pattern, path: requestedPath = '.', regex = false, case_sensitive: caseSensitive = false, include }) {
+    if (!pattern) {
+      throw new Error('pattern must not be empty');
+    }
+
+    let matcher;
+    try {
+      matcher = new RegExp(regex ? pattern : pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), caseSensitive ? '' : 'i');
+    } catch (error) {
+      throw new Error(error.message);
+    }
+    const includeMatcher = include ? new RegExp(`^${globToRegexSource(include)}$`) : null;
+
+    const { absolute, relative, stats } = await this.resolve(requestedPath);
+    const files = stats.isDirectory()
+      ? this.walk(relative)
+      : [{ relative, absolute, entry: { isFile: () => true } }];
+
+    const candidates = [];
+    let tooManyFiles = false;
+
+    for await (const file of files) {
+      if (!file.entry.isFile()) continue;
+      if (includeMatcher && !includeMatcher.test(include.includes('/') ? file.relative : path.posix.basename(file.relative))) continue;
+
+      if (candidates.length >= MAX_GREP_FILES) {
+        tooManyFiles = true;
+        break;
+      }
+      candidates.push({ relative: file.relative, absolute: file.absolute });
+    }
+
+    const { matches, filesSearched, filesMatched, stoppedEarly: stoppedAtMatches } = await searchFilesInWorker({
+      source: matcher.source,
+      flags: matcher.flags,
+      files: candidates,
+      maxFileBytes: this.maxFileBytes
+    });
+    const stoppedEarly = tooManyFiles || stoppedAtMatches;
+
+    const summary = `${matches.length} match${matches.length === 1 ? '' : 'es'} in ${filesMatched} file${filesMatched === 1 ? '' : 's'} (${filesSearched} searched${stoppedEarly ? '; stopped early, narrow the search with path or include' : ''})`;
+    return matches.length > 0 ? `${summary}\n${matches.join('\n')}` : summary;
+  }
+}
+
+/**
+ * Register the workspace tools
+ *
+ * @param {ToolRegistry} registry - Registry to add them to
+ * @param {Workspace} workspace - Directory the tools may read
+ * @param {Array<string>} [toolNames] - Which of WORKSPACE_TOOL_NAMES to offer
+ */
+function registerWorkspaceTools(registry, workspace, toolNames = WORKSPACE_TOOL_NAMES) {
+  const tools = {
+    read_file: {
+      description: `Read a text file from the project workspace. Returns up to ${MAX_READ_LINES} numbered lines; ` +
+        'use start_line and end_line to read other parts of long files.',
+      parameters: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', description: 'File path relative to the workspace root, e.g. "src/index.js"' },
+          start_line: { type: 'integer', description: 'First line to return (1-based)' },
+          end_line: { type: 'integer', description: 'Last line to return' }
+        },
+        required: ['path'],
+        additionalProperties: false
+      },
+      handler: (args) => workspace.readFile(args)
+    },
+    list_directory: {
+      description: 'List the files and folders of a directory in the project workspace. Folders end with "/". ' +
+        'Use recursive to see the whole tree below the directory.',
+      parameters: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', description: 'Directory relative to the workspace root; "." for the root' },
+          recursive: { type: 'boolean', description: 'Include everything below the directory' }
+        },
+        additionalProperties: false
+      },
+      handler: (args) => workspace.listDirectory(args)
+    },
+    grep: {
+      description: 'Search the contents of files in the project workspace. Returns matching lines as "path:line: text". ' +
+        'The pattern is a plain string unless regex is true.',
+      parameters: {
+        type: 'object',
+        properties: {
+          pattern: { type: 'string', description: 'Text (or regular expression) to search for' },
+          path: { type: 'string', description: 'File or directory to search, relative to the workspace root; defaults to everything' },
+          regex: { type: 'boolean', description: 'Treat pattern as a JavaScript regular expression' },
+          case_sensitive: { type: 'boolean', description: 'Match case exactly (default: ignore case)' },
+          include: { type: 'string', description: 'Only search files matching this glob, e.g. "*.js" or "src/**/*.ts"' }
+        },
+        required: ['pattern'],
+        additionalProperties: false
+      },
+      handler: (args) => workspace.grep(args)
+    }
+  };
+
+  const unknown = toolNames.find(name => !tools[name]);
+  if (unknown) {
+    throw new Error(`Unknown workspace tool "${unknown}". Available: ${WORKSPACE_TOOL_NAMES.join(', ')}`);
+  }
+
+  toolNames.forEach(name => registry.register({ name, ...tools[name] }));
+}
+
+module.exports = { Workspace, registerWorkspaceTools, WORKSPACE_TOOL_NAMES, parseGitignore, searchFiles };
@@ -14,7 +14,7 @@
 class ChatDatabase {
     constructor() {
         this.dbName = 'kimi-k2-chat-history';
-        this.version = 1;
+        this.version = 4;
         this.db = null;
     }
 
@@ -47,10 +47,131 @@ class ChatDatabase {
                     messageStore.createIndex('sessionId', 'sessionId', { unique: false });
                     messageStore.createIndex('timestamp', 'timestamp', { unique: false });
                 }
+
+                // Create system prompt library store (version 2), seeded with a few personas
+                if (!db.objectStoreNames.contains('prompts')) {
+                    const promptStore = db.createObjectStore('prompts', { keyPath: 'id' });
+                    promptStore.createIndex('name', 'name', { unique: false });
+                    ChatDatabase.defaultPrompts().forEach(prompt => promptStore.put(prompt));
+                }
+
+                // Messages form a tree through parentId (version 3); link older
+                // messages to the one before them
+                if (event.oldVersion > 0 && event.oldVersion < 3) {
+                    ChatDatabase.linkMessageParents(event.target.transaction.objectStore('messages'));
+                }
+
+                // Create full-text search index (version 4): one entry per term per message
+                if (!db.objectStoreNames.contains('searchIndex')) {
+                    const indexStore = db.createObjectStore('searchIndex', { keyPath: 'id' });
+                    indexStore.createIndex('term', 'term', { unique: false });
+                    indexStore.createIndex('sessionId', 'sessionId', { unique: false });
+
+                    if (event.oldVersion > 0) {
+                        const request = event.target.transaction.objectStore('messages').getAll();
+                        request.onsuccess = () => {
+                            request.result.forEach(message => ChatDatabase.indexMessage(indexStore, message));
+                        };
+                    }
+                }
             };
         });
     }
 
+    /**
+     * Give messages saved before version 3 a parentId pointing at the previous
+     * message of their session. Regenerated replies already point at the user
+     * message they answer and stay alternatives to the original reply.
+     * @param {IDBObjectStore} messageStore - Store from the upgrade transaction
+     */
+    static linkMessageParents(messageStore) {
+        const request = messageStore.getAll();
+        request.onsuccess = () => {
+            const sessions = new Map();
+            request.result.forEach(message => {
+                if (!sessions.has(message.sessionId)) {
+                    sessions.set(message.sessionId, []);
+                }
+                sessions.get(message.sessionId).push(message);
+            });
+
+            sessions.forEach(messages => {
+                messages.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+                let previous = null;
+                messages.forEach(message => {
+                    if (message.parentId === undefined) {
+                        message.parentId = previous ? previous.id : null;
+                        messageStore.put(message);
+                    }
+                    if (!(message.role === 'assistant' && message.version > 1)) {
+                        previous = message;
+                    }
+                });
+            });
+        };
+    }
+
+    /**
+     * Split text into lowercase search terms
+     * @returns {Map<string, number>} Term to number of occurrences
+     */
+    static tokenize(text) {
+        const terms = new Map();
+        const words = (text || '').toLowerCase().match(/[\p{L}\p{N}_]{2,}/gu) || [];
+        words.forEach(word => {
+            const term = word.slice(0, 40);
+            terms.set(term, (terms.get(term) || 0) + 1);
+        });
+        return terms;
+    }
+
+    /**
+     * Add a message's terms to the search index
+     * @param {IDBObjectStore} indexStore - searchIndex store of an open transaction
+     */
+    static indexMessage(indexStore, message) {
+        ChatDatabase.tokenize(message.content).forEach((count, term) => {
+            indexStore.put({
+                id: `${term}|${message.id}`,
+                term,
+                count,
+                messageId: message.id,
+                sessionId: message.sessionId
+            });
+        });
+    }
+
+    /**
+     * Built-in personas added when the prompt library is first created
+     */
+    static defaultPrompts() {
+        const now = new Date().toISOString();
+        return [
+            {
+                id: 'prompt_code_reviewer',
+                name: 'Code reviewer',
+                content: 'You are a meticulous senior engineer reviewing code. Point out bugs, security issues, performance problems and unclear naming, ordered by severity, and suggest concrete fixes. Today is {{date}}.',
+                createdAt: now,
+                updatedAt: now
+            },
+            {
+                id: 'prompt_sql_expert',
+                name: 'SQL expert',
+                content: 'You are an expert in relational databases and SQL. Write correct, efficient queries, explain query plans and indexing trade-offs, and mention when behaviour differs between PostgreSQL, MySQL and SQLite.',
+                createdAt: now,
+                updatedAt: now
+            },
+            {
+                id: 'prompt_explain_new',
+                name: 'Explain like I\'m new',
+                content: 'You are a patient programming teacher. Explain concepts step by step for someone new to programming, avoid jargon or define it when used, and include small runnable examples. Answer in the language for locale {{language}}.',
+                createdAt: now,
+                updatedAt: now
+            }
+        ];
+    }
+
     /**
      * Get all sessions ordered by last activity
      */
@@ -104,13 +225,19 @@ class ChatDatabase {
      * Delete a session and all its messages
      */
     async deleteSession(sessionId) {
-        const transaction = this.db.transaction(['sessions', 'messages'], 'readwrite');
+        const transaction = this.db.transaction(['sessions', 'messages', 'searchIndex'], 'readwrite');
         const sessionStore = transaction.objectStore('sessions');
         const messageStore = transaction.objectStore('messages');
+        const indexStore = transaction.objectStore('searchIndex');
         
         // Delete session
         sessionStore.delete(sessionId);
         
+        // Delete its search index entries
+        indexStore.index('sessionId').getAllKeys(sessionId).onsuccess = (event) => {
+            event.target.result.forEach(key => indexStore.delete(key));
+        };
+        
         // Delete all messages for this session
         const messageIndex = messageStore.index('sessionId');
         const deletePromises = [];
@@ -159,25 +286,122 @@ class ChatDatabase {
             sessionId: sessionId
         };
 
-        const transaction = this.db.transaction(['messages'], 'readwrite');
+        const transaction = this.db.transaction(['messages', 'searchIndex'], 'readwrite');
         const store = transaction.objectStore('messages');
         
         return new Promise((resolve, reject) => {
             const request = store.put(messageWithId);
-            request.onsuccess = () => resolve(messageWithId);
+            request.onsuccess = () => {
+                ChatDatabase.indexMessage(transaction.objectStore('searchIndex'), messageWithId);
+                resolve(messageWithId);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get a single message by ID
+     */
+    async getMessage(messageId) {
+        const transaction = this.db.transaction(['messages'], 'readonly');
+        const store = transaction.objectStore('messages');
+        
+        return new Promise((resolve, reject) => {
+            const request = store.get(messageId);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Count stored messages across all sessions
+     */
+    async countMessages() {
+        const transaction = this.db.transaction(['messages'], 'readonly');
+        const store = transaction.objectStore('messages');
+        
+        return new Promise((resolve, reject) => {
+            const request = store.count();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get search index entries for every term starting with the given prefix
+     */
+    async getIndexEntries(prefix) {
+        const transaction = this.db.transaction(['searchIndex'], 'readonly');
+        const index = transaction.objectStore('searchIndex').index('term');
+        
+        return new Promise((resolve, reject) => {
+            const request = index.getAll(IDBKeyRange.bound(prefix, `${prefix}\uffff`));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Store messages as they are, keeping their IDs (used by import)
+     */
+    async putMessages(messages) {
+        const transaction = this.db.transaction(['messages', 'searchIndex'], 'readwrite');
+        const store = transaction.objectStore('messages');
+        const indexStore = transaction.objectStore('searchIndex');
+        
+        return new Promise((resolve, reject) => {
+            messages.forEach(message => {
+                store.put(message);
+                ChatDatabase.indexMessage(indexStore, message);
+            });
+            transaction.oncomplete = () => resolve(messages);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Get all saved system prompts ordered by name
+     */
+    async getAllPrompts() {
+        const transaction = this.db.transaction(['prompts'], 'readonly');
+        const store = transaction.objectStore('prompts');
+        
+        return new Promise((resolve, reject) => {
+            const request = store.getAll();
+            request.onsuccess = () => {
+                const prompts = request.result.sort((a, b) => a.name.localeCompare(b.name));
+                resolve(prompts);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Save or update a system prompt
+     */
+    async savePrompt(prompt) {
+        const transaction = this.db.transaction(['prompts'], 'readwrite');
+        const store = transaction.objectStore('prompts');
+        
+        return new Promise((resolve, reject) => {
+            const request = store.put(prompt);
+            request.onsuccess = () => resolve(prompt);
             request.onerror = () => reject(request.error);
         });
     }
 
     /**
-     * Get recent N messages from a session (for context window)
+     * Delete a system prompt
      */
-    async getRecentMessages(sessionId, count = 10) {
-        const messages = await this.getSessionMessages(sessionId);
+    async deletePrompt(promptId) {
+        const transaction = this.db.transaction(['prompts'], 'readwrite');
+        const store = transaction.objectStore('prompts');
         
-        // Return last N messages, but ensure we have pairs (user + assistant)
-        const recentMessages = messages.slice(-count * 2);
-        return recentMessages;
+        return new Promise((resolve, reject) => {
+            const request = store.delete(promptId);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
     }
 
     /**
@@ -205,7 +429,20 @@ class ChatHistory {
         this.currentSessionId = null;
         this.sessions = [];
         this.maxSessions = 50;
-        this.contextWindowSize = 10; // Number of message pairs to include
+        this.defaultContextLength = 8192; // Used when the server does not report num_ctx
+        this.defaultReserveTokens = 2048; // Room left for the reply (num_predict)
+        this.charsPerToken = 3.5; // Rough average for mixed prose and code
+        this.messageOverheadTokens = 4; // Role markers and separators per message
+        this.calibrationKey = 'kimi-k2-token-calibration';
+        this.rootBranchKey = 'root'; // selectedVersions key for the first message of a session
+        this.exportFormat = 'kimi-k2-chat-export';
+        this.syncKey = 'kimi-k2-sync';
+        this.pendingDeletionsKey = 'kimi-k2-sync-deleted';
+        this.syncUserKey = 'kimi-k2-sync-user'; // Account the local sessions are synced with
+        // Session fields kept in sync with the server (messages are synced separately)
+        this.syncHeaders = {}; // Headers for sessions API requests (set per sync)
+        this.syncFields = ['title', 'titleSource', 'model', 'promptId', 'options', 'autoSummarize', 'toolsEnabled', 'summary', 'selectedVersions', 'createdAt'];
+        this.prompts = []; // Saved system prompts (persona library)
         this.systemPrompt = "You are Kimi-K2, a helpful AI coding assistant. Provide clear, accurate, and helpful responses about programming, software development, and technical topics.";
     }
 
@@ -216,6 +453,7 @@ class ChatHistory {
         try {
             await this.db.init();
             await this.loadSessions();
+            await this.loadPrompts();
             console.log('Chat history initialized successfully');
         } catch (error) {
             console.error('Failed to initialize chat history:', error);
@@ -234,14 +472,96 @@ class ChatHistory {
         }
     }
 
+    /**
+     * Load the system prompt library from IndexedDB
+     */
+    async loadPrompts() {
+        try {
+            this.prompts = await this.db.getAllPrompts();
+        } catch (error) {
+            console.error('Failed to load prompts:', error);
+            this.prompts = [];
+        }
+    }
+
+    /**
+     * Create or update a named system prompt
+     * @param {Object} prompt - Prompt with name and content (and id when editing)
+     */
+    async savePrompt({ id = null, name, content }) {
+        const now = new Date().toISOString();
+        const existing = id ? this.prompts.find(p => p.id === id) : null;
+        const prompt = {
+            id: existing ? existing.id : `prompt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            name: name.trim(),
+            content: content.trim(),
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now
+        };
+
+        try {
+            await this.db.savePrompt(prompt);
+            await this.loadPrompts();
+            return prompt;
+        } catch (error) {
+            console.error('Failed to save prompt:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a system prompt; sessions using it fall back to the default prompt
+     */
+    async deletePrompt(promptId) {
+        try {
+            await this.db.deletePrompt(promptId);
+            this.prompts = this.prompts.filter(p => p.id !== promptId);
+        } catch (error) {
+            console.error('Failed to delete prompt:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the system prompt text for a session, with template variables expanded
+     */
+    getSystemPromptForSession(session) {
+        const prompt = session?.promptId ? this.prompts.find(p => p.id === session.promptId) : null;
+        const template = prompt ? prompt.content : this.systemPrompt;
+        const now = new Date();
+
+        return this.expandPromptTemplate(template, {
+            date: now.toLocaleDateString(),
+            time: now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+            language: navigator.language || 'en',
+            model: session?.model || '',
+            title: session?.title || ''
+        });
+    }
+
+    /**
+     * Replace {{variable}} placeholders; unknown variables are left untouched
+     */
+    expandPromptTemplate(template, variables) {
+        return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+            Object.prototype.hasOwnProperty.call(variables, name) ? variables[name] : match
+        );
+    }
+
     /**
      * Create a new session
+     * @param {string} title - Session title (generated when omitted)
+     * @param {string} model - Model the session talks to (server default when omitted)
+     * @param {string} promptId - System prompt from the library (default prompt when omitted)
      */
-    async createSession(title = null) {
+    async createSession(title = null, model = null, promptId = null) {
         const sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
         const session = {
             id: sessionId,
             title: title || this.generateSessionTitle(),
+            titleSource: title ? 'user' : 'default', // 'default', 'generated' or 'user'
+            model: model,
+            promptId: promptId,
             lastActivity: new Date().toISOString(),
             messageCount: 0,
             createdAt: new Date().toISOString()
@@ -272,7 +592,7 @@ class ChatHistory {
                 throw new Error(`Session ${sessionId} not found`);
             }
 
-            const messages = await this.db.getSessionMessages(sessionId);
+            const messages = await this.getActiveMessages(sessionId, session);
             this.currentSessionId = sessionId;
             
             return { session, messages };
@@ -284,18 +604,28 @@ class ChatHistory {
 
     /**
      * Save a message to the current session
+     * @param {Object} metadata - Extra fields stored with the message (parentId, version, stopped).
+     *   Without a parentId the message continues the active branch.
      */
-    async saveMessage(role, content, usage = null) {
+    async saveMessage(role, content, usage = null, metadata = {}) {
         if (!this.currentSessionId) {
             // Create a new session if none exists
             await this.createSession();
         }
 
+        // Display-only fields from getActiveMessages are not stored
+        const { versionIndex, versionCount, ...fields } = metadata;
+        if (fields.parentId === undefined) {
+            const active = await this.getActiveMessages(this.currentSessionId);
+            fields.parentId = active.length > 0 ? active[active.length - 1].id : null;
+        }
+
         const message = {
             role,
             content,
             timestamp: new Date().toISOString(),
-            usage
+            usage,
+            ...fields
         };
 
         try {
@@ -312,588 +642,2620 @@ class ChatHistory {
     }
 
     /**
-     * Get messages for Ollama request (system + recent context)
+     * Get the active branch of a session's message tree, annotated with
+     * versionIndex/versionCount for messages that have alternatives
+     * 
+     * Every message points at the one before it through parentId, so edits and
+     * regenerated replies are siblings. At each step the child chosen in
+     * session.selectedVersions is followed, defaulting to the oldest.
      */
-    async getMessagesForRequest(sessionId = null) {
-        const targetSessionId = sessionId || this.currentSessionId;
-        if (!targetSessionId) {
-            return [{ role: 'system', content: this.systemPrompt }];
-        }
+    async getActiveMessages(sessionId, session = null) {
+        const targetSession = session || this.sessions.find(s => s.id === sessionId);
+        const messages = await this.db.getSessionMessages(sessionId);
+        return this.selectActiveBranch(messages, targetSession?.selectedVersions);
+    }
 
-        try {
-            const recentMessages = await this.db.getRecentMessages(targetSessionId, this.contextWindowSize);
-            
-            // Build request with system prompt + recent messages
-            const messages = [
-                { role: 'system', content: this.systemPrompt },
-                ...recentMessages.map(msg => ({
-                    role: msg.role,
-                    content: msg.content
-                }))
-            ];
+    /**
+     * Walk a session's messages (sorted by timestamp) along the selected branch
+     * @param {Array} messages - All messages of the session
+     * @param {Object} selectedVersions - Chosen child per parent ID
+     */
+    selectActiveBranch(messages, selectedVersions = {}) {
+        selectedVersions = selectedVersions || {};
+        const children = new Map();
+        messages.forEach(message => {
+            const key = message.parentId || this.rootBranchKey;
+            if (!children.has(key)) {
+                children.set(key, []);
+            }
+            children.get(key).push(message);
+        });
 
-            return messages;
-        } catch (error) {
-            console.error('Failed to get messages for request:', error);
-            return [{ role: 'system', content: this.systemPrompt }];
+        const active = [];
+        let key = this.rootBranchKey;
+        while (children.has(key)) {
+            const siblings = children.get(key);
+            const chosen = siblings.find(m => m.id === selectedVersions[key]) || siblings[0];
+            active.push({
+                ...chosen,
+                versionIndex: siblings.indexOf(chosen) + 1,
+                versionCount: siblings.length
+            });
+            key = chosen.id;
         }
+
+        return active;
     }
 
     /**
-     * Update session activity timestamp and message count
+     * Get every message sharing a parent (the alternatives at one point of the tree), oldest first
      */
-    async updateSessionActivity(sessionId) {
-        try {
-            const session = await this.db.getSession(sessionId);
-            if (session) {
-                const messages = await this.db.getSessionMessages(sessionId);
-                session.lastActivity = new Date().toISOString();
-                session.messageCount = messages.length;
-                
-                await this.db.saveSession(session);
-                
-                // Update local sessions array
-                const sessionIndex = this.sessions.findIndex(s => s.id === sessionId);
-                if (sessionIndex !== -1) {
-                    this.sessions[sessionIndex] = session;
-                    // Move to top if it's not already there
-                    if (sessionIndex > 0) {
-                        this.sessions.splice(sessionIndex, 1);
-                        this.sessions.unshift(session);
-                    }
-                }
-            }
-        } catch (error) {
-            console.error('Failed to update session activity:', error);
-        }
+    async getSiblingMessages(sessionId, parentId) {
+        const messages = await this.db.getSessionMessages(sessionId);
+        return messages.filter(message => (message.parentId || null) === (parentId || null));
     }
 
     /**
-     * Rename a session
+     * Choose which child of a message is followed on the active branch
+     * @param {string|null} parentId - Parent message (null for the first message)
+     * @param {string} messageId - Child to show
      */
-    async renameSession(sessionId, newTitle) {
+    async selectVersion(sessionId, parentId, messageId) {
+        const session = this.sessions.find(s => s.id === sessionId);
+        const key = parentId || this.rootBranchKey;
+        const selectedVersions = { ...(session?.selectedVersions || {}), [key]: messageId };
+
         try {
-            const session = await this.db.getSession(sessionId);
-            if (session) {
-                session.title = newTitle;
-                await this.db.saveSession(session);
-                
-                // Update local sessions array
-                const sessionIndex = this.sessions.findIndex(s => s.id === sessionId);
-                if (sessionIndex !== -1) {
-                    this.sessions[sessionIndex] = session;
-                }
-            }
+            await this.updateSession(sessionId, { selectedVersions });
         } catch (error) {
-            console.error('Failed to rename session:', error);
+            console.error('Failed to select message version:', error);
             throw error;
         }
     }
 
     /**
-     * Delete a session
+     * Collect sessions with all their messages (every branch) and the system
+     * prompts they use, in the lossless JSON export format
+     * @param {Array<string>|null} sessionIds - Sessions to export (all when null)
      */
-    async deleteSession(sessionId) {
+    async exportSessions(sessionIds = null) {
+        const sessions = sessionIds
+            ? this.sessions.filter(s => sessionIds.includes(s.id))
+            : this.sessions;
+
+        const exported = [];
+        for (const session of sessions) {
+            const messages = await this.db.getSessionMessages(session.id);
+            exported.push({ ...session, messages });
+        }
+
+        const promptIds = new Set(sessions.map(s => s.promptId).filter(Boolean));
+        return {
+            format: this.exportFormat,
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            sessions: exported,
+            prompts: this.prompts.filter(p => promptIds.has(p.id))
+        };
+    }
+
+    /**
+     * Import sessions from the JSON export format
+     * 
+     * Sessions whose ID already exists are either replaced or imported as a
+     * copy with fresh session and message IDs. Prompts are only added when
+     * no prompt with the same ID exists.
+     * @param {Object} data - Parsed export file
+     * @param {Object} options - { replaceExisting }
+     * @returns {Promise<Array>} The imported session records
+     */
+    async importSessions(data, { replaceExisting = false } = {}) {
+        if (!data || data.format !== this.exportFormat || !Array.isArray(data.sessions)) {
+            throw new Error('This file is not a Kimi-K2 chat export');
+        }
+
+        // Check everything before writing anything, so a bad entry cannot
+        // leave a half-imported file behind
+        data.sessions.forEach(entry => {
+            const validMessages = Array.isArray(entry?.messages) && entry.messages.every(m =>
+                m && typeof m.id === 'string' && ['user', 'assistant'].includes(m.role) && typeof m.content === 'string'
+            );
+            const validSummary = !entry?.summary || Array.isArray(entry.summary.messageIds);
+            if (typeof entry?.id !== 'string' || !validMessages || !validSummary) {
+                throw new Error(`Session "${entry?.title || entry?.id}" is not valid`);
+            }
+        });
+
+        const prompts = data.prompts || [];
+        const validPrompts = Array.isArray(prompts) && prompts.every(p =>
+            p && typeof p.id === 'string' && typeof p.name === 'string' && typeof p.content === 'string'
+        );
+        if (!validPrompts) {
+            throw new Error('The prompts in this file are not valid');
+        }
+
         try {
-            await this.db.deleteSession(sessionId);
-            
-            // Remove from local sessions array
-            this.sessions = this.sessions.filter(s => s.id !== sessionId);
-            
-            // If this was the current session, clear it
-            if (this.currentSessionId === sessionId) {
-                this.currentSessionId = null;
+            for (const prompt of prompts) {
+                if (!this.prompts.some(p => p.id === prompt.id)) {
+                    await this.db.savePrompt(prompt);
+                }
+            }
+
+            const imported = [];
+            for (const { messages, ...entry } of data.sessions) {
+                let session = entry;
+                let records = messages;
+
+                if (await this.db.getSession(entry.id)) {
+                    if (replaceExisting) {
+                        await this.db.deleteSession(entry.id);
+                    } else {
+                        ({ session, messages: records } = this.copyWithNewIds(entry, messages));
+                    }
+                }
+
+                await this.db.saveSession(session);
+                await this.db.putMessages(records.map(message => ({ ...message, sessionId: session.id })));
+                imported.push(session);
             }
+
+            await this.loadSessions();
+            await this.loadPrompts();
+            return imported;
         } catch (error) {
-            console.error('Failed to delete session:', error);
+            console.error('Failed to import sessions:', error);
             throw error;
         }
     }
 
     /**
-     * Generate a default session title
+     * Give an imported session and its messages new IDs, keeping the links
+     * between them (parentId, selected versions, summary)
      */
-    generateSessionTitle() {
-        const now = new Date();
-        const timeStr = now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-        const dateStr = now.toLocaleDateString([], { month: 'short', day: 'numeric' });
-        return `Chat ${dateStr} ${timeStr}`;
+    copyWithNewIds(session, messages) {
+        const sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const idMap = new Map(messages.map((message, index) => [
+            message.id,
+            `${sessionId}_${index}_${Math.random().toString(36).substr(2, 9)}`
+        ]));
+        const remap = id => idMap.get(id) || id;
+
+        const selectedVersions = {};
+        Object.entries(session.selectedVersions || {}).forEach(([parentKey, messageId]) => {
+            selectedVersions[remap(parentKey)] = remap(messageId);
+        });
+
+        return {
+            session: {
+                ...session,
+                id: sessionId,
+                title: `${session.title} (copy)`,
+                selectedVersions,
+                summary: session.summary ? { ...session.summary, messageIds: session.summary.messageIds.map(remap) } : session.summary
+            },
+            messages: messages.map(message => ({
+                ...message,
+                id: remap(message.id),
+                parentId: message.parentId ? remap(message.parentId) : null
+            }))
+        };
     }
 
     /**
-     * Search sessions by title
+     * Get messages for Ollama request (system prompt + as much recent context as fits)
+     * 
+     * Messages are added newest-first until the estimated token count would
+     * exceed the context length minus the room reserved for the reply. The
+     * system prompt and the latest user turn are always included. When the
+     * session has auto-summarize enabled, its rolling summary follows the
+     * system prompt and replaces the messages it covers.
+     * 
+     * @param {string} sessionId - Session to build context for (current session when omitted)
+     * @param {Object} budget - { contextLength, reserveTokens, model }
+     * @param {string} untilMessageId - Ignore messages after this one (used when regenerating)
+     * @returns {Promise<Object>} { messages, includedMessageIds, summarizedMessageIds, excludedMessages, excludedCount, estimatedTokens, tokenBudget, summary }
      */
-    searchSessions(query) {
-        if (!query.trim()) return this.sessions;
-        
-        const lowerQuery = query.toLowerCase();
-        return this.sessions.filter(session => 
-            session.title.toLowerCase().includes(lowerQuery)
-        );
-    }
+    async getMessagesForRequest(sessionId = null, budget = {}, untilMessageId = null) {
+        const targetSessionId = sessionId || this.currentSessionId;
+        const session = this.sessions.find(s => s.id === targetSessionId);
+        const systemMessage = { role: 'system', content: this.getSystemPromptForSession(session) };
+
+        const contextLength = budget.contextLength || this.defaultContextLength;
+        const reserveTokens = budget.reserveTokens !== undefined ? budget.reserveTokens : this.defaultReserveTokens;
+        const tokenBudget = Math.max(contextLength - reserveTokens, 0);
+        const calibration = this.getTokenCalibration(budget.model);
+
+        let summary = session?.autoSummarize && session.summary ? session.summary : null;
+        let history = [];
+        if (targetSessionId) {
+            try {
+                history = await this.getActiveMessages(targetSessionId, session);
+            } catch (error) {
+                console.error('Failed to get messages for request:', error);
+            }
+        }
+        if (untilMessageId) {
+            const untilIndex = history.findIndex(msg => msg.id === untilMessageId);
+            if (untilIndex !== -1) {
+                history = history.slice(0, untilIndex + 1);
+            }
+        }
+
+        // A summary only describes the branch it was written on
+        const historyIds = new Set(history.map(msg => msg.id));
+        if (summary && !summary.messageIds.every(id => historyIds.has(id))) {
+            summary = null;
+        }
+
+        const preamble = [systemMessage];
+        if (summary) {
+            preamble.push({ role: 'system', content: `Summary of the earlier conversation:\n${summary.content}` });
+        }
+        const preambleTokens = preamble.reduce((total, msg) => total + this.estimateMessageTokens(msg), 0);
+
+        const context = {
+            messages: preamble,
+            includedMessageIds: [],
+            summarizedMessageIds: [],
+            excludedMessages: [],
+            excludedCount: 0,
+            estimatedTokens: Math.round(preambleTokens * calibration),
+            rawEstimatedTokens: preambleTokens,
+            tokenBudget,
+            summary
+        };
+
+        if (history.length === 0) {
+            return context;
+        }
+
+        try {
+            const coveredIds = new Set(summary ? summary.messageIds : []);
+            const candidates = history.filter(msg => !coveredIds.has(msg.id));
+            const included = [];
+            let rawTokens = context.rawEstimatedTokens;
+
+            for (let i = candidates.length - 1; i >= 0; i--) {
+                const message = candidates[i];
+                const messageTokens = this.estimateMessageTokens(message);
+                const isLatestTurn = included.length === 0;
+
+                // Keep the context contiguous: stop at the first message that does not fit
+                if (!isLatestTurn && (rawTokens + messageTokens) * calibration > tokenBudget) {
+                    break;
+                }
+
+                included.unshift(message);
+                rawTokens += messageTokens;
+            }
+
+            context.messages = [
+                ...preamble,
+                ...included.map(msg => ({
+                    role: msg.role,
+                    content: this.buildRequestContent(msg)
+                }))
+            ];
+            context.includedMessageIds = included.map(msg => msg.id);
+            context.summarizedMessageIds = history.filter(msg => coveredIds.has(msg.id)).map(msg => msg.id);
+            context.excludedMessages = candidates.slice(0, candidates.length - included.length);
+            context.excludedCount = context.excludedMessages.length;
+            context.rawEstimatedTokens = rawTokens;
+            context.estimatedTokens = Math.round(rawTokens * calibration);
+
+            return context;
+        } catch (error) {
+            console.error('Failed to get messages for request:', error);
+            return context;
+        }
+    }
 
     /**
-     * Get current session info
+     * Estimate the token count of a chat message (uncalibrated)
      */
-    getCurrentSession() {
-        if (!this.currentSessionId) return null;
-        return this.sessions.find(s => s.id === this.currentSessionId);
+    estimateMessageTokens(message) {
+        return Math.ceil(this.buildRequestContent(message).length / this.charsPerToken) + this.messageOverheadTokens;
     }
-}
 
-/**
- * Main ChatApp class that manages the entire chat application
- */
-class ChatApp {
     /**
-     * Initialize the chat application
+     * Text sent to the model for a message: its content followed by each
+     * attached file in a fenced block, headed by the file name and language
      */
-    constructor() {
-        this.messages = [];
-        this.isLoading = false;
-        this.apiUrl = null;
-        this.healthUrl = null;
-        this.maxRetries = 3;
-        this.retryDelay = 1000;
-
-        // History system
-        this.chatHistory = new ChatHistory();
-        this.historyButton = null;
-        this.historySidebar = null;
-        this.isHistoryOpen = false;
-        
-        // Request optimization
-        this.activeRequest = null;
-        this.requestCache = new Map();
-        this.contextCache = null;
-        this.contextCacheTime = 0;
+    buildRequestContent(message) {
+        const files = (message.attachments || []).map(file => {
+            // The fence must be longer than any backtick run inside the file
+            const longestRun = Math.max(0, ...(file.content.match(/`+/g) || []).map(run => run.length));
+            const fence = '`'.repeat(Math.max(3, longestRun + 1));
+            const notice = file.truncated
+                ? `\n[Truncated: only the first ${file.content.length} characters of this ${file.size}-byte file are included]`
+                : '';
+            
+            return `Attached file: ${file.name} (${file.language})\n${fence}${file.language}\n${file.content}\n${fence}${notice}`;
+        });
         
-        this.initializeElements();
-        this.initializeApp();
+        return [message.content, ...files].filter(Boolean).join('\n\n');
     }
 
-    async initializeApp() {
-        // Initialize history system first
-        await this.chatHistory.init();
-        
-        this.bindEvents();
-        await this.initializeServerConfig();
-        
-        // Create history UI
-        this.createHistoryUI();
-        
-        // Check for existing session or create new one
-        if (this.chatHistory.sessions.length === 0 || !this.chatHistory.currentSessionId) {
-            await this.chatHistory.createSession();
-        } else {
-            // Load the most recent session
-            const latestSession = this.chatHistory.sessions;
-            await this.loadSession(latestSession.id);
-        }
-        
-        console.log('Chat application initialized successfully');
-    }
-    
     /**
-     * Cache DOM elements for better performance
+     * Get the learned ratio between actual and estimated prompt tokens for a model
      */
-    initializeElements() {
-        this.chatContainer = document.getElementById('chat-container');
-        this.messageInput = document.getElementById('message-input');
-        this.sendButton = document.getElementById('send-button');
-        this.loadingContainer = document.getElementById('loading-container');
-        this.charCount = document.getElementById('char-count');
-        this.welcomeMessage = document.getElementById('welcome-message');
-        this.statusIndicator = document.getElementById('status-indicator');
-        this.errorModal = document.getElementById('error-modal');
+    getTokenCalibration(model) {
+        try {
+            const calibrations = JSON.parse(localStorage.getItem(this.calibrationKey) || '{}');
+            return calibrations[model || 'default'] || 1;
+        } catch (error) {
+            return 1;
+        }
     }
 
     /**
-     * Create the history UI components
+     * Refine the token estimate using the prompt_tokens count reported by the backend
+     * @param {string} model - Model the request was sent to
+     * @param {number} rawEstimate - Uncalibrated estimate for the prompt that was sent
+     * @param {number} actualTokens - usage.prompt_tokens from the response
      */
-    createHistoryUI() {
-        // Add history button to the controls
-        const controls = document.querySelector('.controls');
-        if (controls && !this.historyButton) {
-            this.historyButton = document.createElement('button');
-            this.historyButton.id = 'history-button';
-            this.historyButton.innerHTML = '<i class="fas fa-history"></i> History';
-            this.historyButton.className = 'control-btn history-btn';
-            this.historyButton.title = 'Chat History';
-            
-            // Insert before the clear button
-            const clearButton = document.getElementById('clear-button');
-            controls.insertBefore(this.historyButton, clearButton);
-        }
+    calibrateTokenEstimate(model, rawEstimate, actualTokens) {
+        if (!rawEstimate || !actualTokens) return;
 
-        // Create history sidebar
-        if (!this.historySidebar) {
-            this.historySidebar = document.createElement('div');
-            this.historySidebar.id = 'history-sidebar';
-            this.historySidebar.className = 'history-sidebar';
-            this.historySidebar.innerHTML = `
-                <div class="history-header">
-                    <h3><i class="fas fa-history"></i> Chat History</h3>
-                    <div class="history-controls">
-                        <button id="new-session-btn" class="new-session-btn" title="New Chat">
-                            <i class="fas fa-plus"></i>
-                        </button>
-                        <button id="close-history-btn" class="close-history-btn" title="Close">
-                            <i class="fas fa-times"></i>
-                        </button>
-                    </div>
-                </div>
-                <div class="history-search">
-                    <input type="text" id="history-search-input" placeholder="Search sessions...">
-                    <i class="fas fa-search"></i>
-                </div>
-                <div class="history-list" id="history-list">
-                    <!-- Sessions will be populated here -->
-                </div>
-            `;
-            
-            document.body.appendChild(this.historySidebar);
-        }
+        const current = this.getTokenCalibration(model);
+        const observed = actualTokens / rawEstimate;
 
-        // Update sessions display
-        this.updateHistoryDisplay();
-        
-        // Bind history events
-        this.bindHistoryEvents();
+        // Ollama only counts prompt tokens it had to evaluate, so a cached
+        // prompt prefix makes the count look far too small; skip such samples
+        if (observed < current * 0.5) return;
+
+        // Exponential moving average, clamped to a sane range
+        const updated = Math.min(Math.max(current * 0.7 + observed * 0.3, 0.25), 4);
+
+        try {
+            const calibrations = JSON.parse(localStorage.getItem(this.calibrationKey) || '{}');
+            calibrations[model || 'default'] = Number(updated.toFixed(3));
+            localStorage.setItem(this.calibrationKey, JSON.stringify(calibrations));
+        } catch (error) {
+            console.error('Failed to store token calibration:', error);
+        }
     }
 
     /**
-     * Bind history-related event listeners
+     * Update session activity timestamp and message count
      */
-    bindHistoryEvents() {
-        // History button click
-        if (this.historyButton) {
-            this.historyButton.addEventListener('click', () => this.toggleHistory());
+    async updateSessionActivity(sessionId) {
+        try {
+            const session = await this.db.getSession(sessionId);
+            if (session) {
+                const messages = await this.db.getSessionMessages(sessionId);
+                session.lastActivity = new Date().toISOString();
+                session.messageCount = messages.length;
+                
+                await this.db.saveSession(session);
+                
+                // Update local sessions array
+                const sessionIndex = this.sessions.findIndex(s => s.id === sessionId);
+                if (sessionIndex !== -1) {
+                    this.sessions[sessionIndex] = session;
+                    // Move to top if it's not already there
+                    if (sessionIndex > 0) {
+                        this.sessions.splice(sessionIndex, 1);
+                        this.sessions.unshift(session);
+                    }
+                }
+            }
+        } catch (error) {
+            console.error('Failed to update session activity:', error);
         }
+    }
 
-        // Close history button
-        const closeHistoryBtn = document.getElementById('close-history-btn');
-        if (closeHistoryBtn) {
-            closeHistoryBtn.addEventListener('click', () => this.closeHistory());
+    /**
+     * Rename a session
+     * @param {string} source - 'user' for manual renames, 'generated' for titles suggested by the model
+     */
+    async renameSession(sessionId, newTitle, source = 'user') {
+        try {
+            await this.updateSession(sessionId, { title: newTitle, titleSource: source });
+        } catch (error) {
+            console.error('Failed to rename session:', error);
+            throw error;
         }
+    }
 
-        // New session button
-        const newSessionBtn = document.getElementById('new-session-btn');
-        if (newSessionBtn) {
-            newSessionBtn.addEventListener('click', () => this.createNewSession());
+    /**
+     * Merge fields into a stored session record
+     * (editedAt records when it was last changed on this device, for sync)
+     */
+    async updateSession(sessionId, fields) {
+        const session = await this.db.getSession(sessionId);
+        if (!session) return null;
+        
+        Object.assign(session, fields, { editedAt: new Date().toISOString() });
+        await this.db.saveSession(session);
+        
+        // Update local sessions array
+        const sessionIndex = this.sessions.findIndex(s => s.id === sessionId);
+        if (sessionIndex !== -1) {
+            this.sessions[sessionIndex] = session;
         }
+        
+        return session;
+    }
 
-        // History search
-        const searchInput = document.getElementById('history-search-input');
-        if (searchInput) {
-            searchInput.addEventListener('input', (e) => this.searchSessions(e.target.value));
+    /**
+     * Remember which model a session uses
+     */
+    async setSessionModel(sessionId, model) {
+        try {
+            await this.updateSession(sessionId, { model });
+        } catch (error) {
+            console.error('Failed to update session model:', error);
+            throw error;
         }
-
-        // Click outside to close
-        document.addEventListener('click', (e) => {
-            if (this.isHistoryOpen && 
-                !this.historySidebar.contains(e.target) && 
-                !this.historyButton.contains(e.target)) {
-                this.closeHistory();
-            }
-        });
     }
 
     /**
-     * Toggle history sidebar
+     * Choose the system prompt a session uses (null for the default prompt)
      */
-    toggleHistory() {
-        if (this.isHistoryOpen) {
-            this.closeHistory();
-        } else {
-            this.openHistory();
+    async setSessionPrompt(sessionId, promptId) {
+        try {
+            await this.updateSession(sessionId, { promptId });
+        } catch (error) {
+            console.error('Failed to update session prompt:', error);
+            throw error;
         }
     }
 
     /**
-     * Open history sidebar
+     * Turn rolling summarization of older messages on or off for a session
      */
-    openHistory() {
-        if (this.historySidebar) {
-            this.historySidebar.classList.add('open');
-            this.isHistoryOpen = true;
-            this.updateHistoryDisplay();
+    async setSessionAutoSummarize(sessionId, enabled) {
+        try {
+            await this.updateSession(sessionId, { autoSummarize: enabled });
+        } catch (error) {
+            console.error('Failed to update session auto-summarize:', error);
+            throw error;
         }
     }
 
     /**
-     * Close history sidebar
+     * Let the model call server tools in a session, or stop it from doing so
      */
-    closeHistory() {
-        if (this.historySidebar) {
-            this.historySidebar.classList.remove('open');
-            this.isHistoryOpen = false;
+    async setSessionTools(sessionId, enabled) {
+        try {
+            await this.updateSession(sessionId, { toolsEnabled: enabled });
+        } catch (error) {
+            console.error('Failed to update session tools:', error);
+            throw error;
         }
     }
 
     /**
-     * Update the history display with current sessions
+     * Store the rolling summary of a session's older messages
+     * @param {Object} summary - { content, messageIds, updatedAt }
      */
-    updateHistoryDisplay() {
-        const historyList = document.getElementById('history-list');
-        if (!historyList) return;
-
-        historyList.innerHTML = '';
-
-        if (this.chatHistory.sessions.length === 0) {
-            historyList.innerHTML = '<div class="no-sessions">No chat history yet</div>';
-            return;
+    async setSessionSummary(sessionId, summary) {
+        try {
+            await this.updateSession(sessionId, { summary });
+        } catch (error) {
+            console.error('Failed to update session summary:', error);
+            throw error;
         }
-
-        this.chatHistory.sessions.forEach(session => {
-            const sessionElement = this.createSessionElement(session);
-            historyList.appendChild(sessionElement);
-        });
     }
 
     /**
-     * Create a session element for the history list
+     * Store per-session generation option overrides (temperature, num_ctx, ...)
      */
-    createSessionElement(session) {
-        const sessionDiv = document.createElement('div');
-        sessionDiv.className = `session-item ${session.id === this.chatHistory.currentSessionId ? 'active' : ''}`;
-        sessionDiv.dataset.sessionId = session.id;
+    async setSessionOptions(sessionId, options) {
+        try {
+            await this.updateSession(sessionId, { options });
+        } catch (error) {
+            console.error('Failed to update session options:', error);
+            throw error;
+        }
+    }
 
-        const lastActivity = new Date(session.lastActivity);
-        const timeAgo = this.getTimeAgo(lastActivity);
+    /**
+     * Delete a session
+     */
+    async deleteSession(sessionId) {
+        try {
+            const session = this.sessions.find(s => s.id === sessionId);
+            await this.db.deleteSession(sessionId);
+            
+            // The server copy is deleted on the next sync
+            if (session?.syncedRevision) {
+                this.setPendingDeletions([...this.getPendingDeletions(), sessionId]);
+            }
+            
+            // Remove from local sessions array
+            this.sessions = this.sessions.filter(s => s.id !== sessionId);
+            
+            // If this was the current session, clear it
+            if (this.currentSessionId === sessionId) {
+                this.currentSessionId = null;
+            }
+        } catch (error) {
+            console.error('Failed to delete session:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Generate a default session title
+     */
+    generateSessionTitle() {
+        const now = new Date();
+        const timeStr = now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const dateStr = now.toLocaleDateString([], { month: 'short', day: 'numeric' });
+        return `Chat ${dateStr} ${timeStr}`;
+    }
+
+    /**
+     * Search sessions by title
+     */
+    searchSessions(query) {
+        if (!query.trim()) return this.sessions;
         
-        sessionDiv.innerHTML = `
-            <div class="session-info">
-                <div class="session-title" title="${session.title}">${session.title}</div>
-                <div class="session-meta">
-                    <span class="session-time">${timeAgo}</span>
-                    <span class="session-count">${session.messageCount || 0} messages</span>
-                </div>
-            </div>
-            <div class="session-actions">
-                <button class="session-action rename-session" title="Rename">
-                    <i class="fas fa-edit"></i>
-                </button>
-                <button class="session-action delete-session" title="Delete">
-                    <i class="fas fa-trash"></i>
-                </button>
-            </div>
-        `;
+        const lowerQuery = query.toLowerCase();
+        return this.sessions.filter(session => 
+            session.title.toLowerCase().includes(lowerQuery)
+        );
+    }
 
-        // Bind session events
-        sessionDiv.addEventListener('click', (e) => {
-            if (!e.target.closest('.session-actions')) {
-                this.loadSession(session.id);
+    /**
+     * Full-text search over message contents using the search index
+     * 
+     * Every query term must match the start of a word in the message. Results
+     * are ranked by TF-IDF, with exact word matches counting more than prefixes.
+     * @param {string} query - Search text
+     * @param {Object} filters - { role, model, language, from, to } (dates as YYYY-MM-DD)
+     * @param {number} limit - Maximum number of results
+     * @returns {Promise<Array<{message: Object, session: Object, score: number}>>}
+     */
+    async searchMessages(query, filters = {}, limit = 50) {
+        const terms = [...ChatDatabase.tokenize(query).keys()];
+        if (terms.length === 0) return [];
+
+        try {
+            const totalMessages = await this.db.countMessages();
+            let scores = null;
+
+            for (const term of terms) {
+                const entries = await this.db.getIndexEntries(term);
+                const documentFrequency = new Set(entries.map(entry => entry.messageId)).size;
+                const idf = Math.log(1 + totalMessages / Math.max(documentFrequency, 1));
+
+                const termScores = new Map();
+                entries.forEach(entry => {
+                    const weight = entry.term === term ? 1 : 0.5;
+                    const score = (1 + Math.log(entry.count)) * weight * idf;
+                    termScores.set(entry.messageId, Math.max(termScores.get(entry.messageId) || 0, score));
+                });
+
+                if (scores === null) {
+                    scores = termScores;
+                } else {
+                    const combined = new Map();
+                    scores.forEach((score, messageId) => {
+                        if (termScores.has(messageId)) {
+                            combined.set(messageId, score + termScores.get(messageId));
+                        }
+                    });
+                    scores = combined;
+                }
             }
-        });
 
-        const renameBtn = sessionDiv.querySelector('.rename-session');
-        renameBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.renameSession(session.id, session.title);
-        });
+            const from = filters.from ? new Date(`${filters.from}T00:00:00`) : null;
+            const to = filters.to ? new Date(`${filters.to}T23:59:59.999`) : null;
+            const language = filters.language ? filters.language.trim().toLowerCase() : '';
 
-        const deleteBtn = sessionDiv.querySelector('.delete-session');
-        deleteBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.deleteSession(session.id);
-        });
+            const results = [];
+            const ranked = [...scores.entries()].sort((a, b) => b[1] - a[1]);
+            for (const [messageId, score] of ranked) {
+                if (results.length >= limit) break;
 
-        return sessionDiv;
+                const message = await this.db.getMessage(messageId);
+                const session = message && this.sessions.find(s => s.id === message.sessionId);
+                if (!session) continue;
+
+                const timestamp = new Date(message.timestamp);
+                if (filters.role && message.role !== filters.role) continue;
+                if (filters.model && session.model !== filters.model) continue;
+                if (from && timestamp < from) continue;
+                if (to && timestamp > to) continue;
+                if (language && !this.getCodeLanguages(message.content).includes(language)) continue;
+
+                results.push({ message, session, score });
+            }
+
+            return results;
+        } catch (error) {
+            console.error('Failed to search messages:', error);
+            return [];
+        }
     }
 
     /**
-     * Get human-readable time ago string
+     * Languages of the fenced code blocks in a message (lowercase)
      */
-    getTimeAgo(date) {
-        const now = new Date();
-        const diffMs = now - date;
-        const diffMins = Math.floor(diffMs / 60000);
-        const diffHours = Math.floor(diffMs / 3600000);
-        const diffDays = Math.floor(diffMs / 86400000);
+    getCodeLanguages(content) {
+        return [...(content || '').matchAll(/```([\w+#.-]+)/g)].map(match => match[1].toLowerCase());
+    }
 
-        if (diffMins < 1) return 'Just now';
-        if (diffMins < 60) return `${diffMins}m ago`;
-        if (diffHours < 24) return `${diffHours}h ago`;
-        if (diffDays < 30) return `${diffDays}d ago`;
-        
-        return date.toLocaleDateString();
+    /**
+     * Select the branch that contains a message, so it is shown when the session loads
+     */
+    async selectBranchTo(sessionId, messageId) {
+        const messages = await this.db.getSessionMessages(sessionId);
+        const byId = new Map(messages.map(message => [message.id, message]));
+        const session = this.sessions.find(s => s.id === sessionId);
+        const selectedVersions = { ...(session?.selectedVersions || {}) };
+
+        let message = byId.get(messageId);
+        while (message) {
+            selectedVersions[message.parentId || this.rootBranchKey] = message.id;
+            message = byId.get(message.parentId);
+        }
+
+        try {
+            await this.updateSession(sessionId, { selectedVersions });
+        } catch (error) {
+            console.error('Failed to select branch:', error);
+            throw error;
+        }
     }
 
     /**
-     * Search sessions by title
+     * Whether sessions are synced with the server
      */
-    searchSessions(query) {
-        const sessions = this.chatHistory.searchSessions(query);
-        const historyList = document.getElementById('history-list');
-        
-        if (!historyList) return;
-        
-        historyList.innerHTML = '';
-        
-        if (sessions.length === 0) {
-            historyList.innerHTML = '<div class="no-sessions">No sessions found</div>';
-            return;
+    isSyncEnabled() {
+        return localStorage.getItem(this.syncKey) === 'true';
+    }
+
+    /**
+     * Turn server sync on or off
+     * @param {string|null} [userId] - Signed-in account the sessions are synced with
+     */
+    setSyncEnabled(enabled, userId = null) {
+        localStorage.setItem(this.syncKey, enabled ? 'true' : 'false');
+        if (enabled && userId) {
+            localStorage.setItem(this.syncUserKey, userId);
         }
+    }
 
-        sessions.forEach(session => {
-            const sessionElement = this.createSessionElement(session);
-            historyList.appendChild(sessionElement);
-        });
+    /**
+     * Account the local sessions were last synced with (null without accounts)
+     */
+    getSyncUser() {
+        return localStorage.getItem(this.syncUserKey);
     }
 
     /**
-     * Create a new chat session
+     * IDs of synced sessions deleted locally that the server still has to delete
      */
-    async createNewSession() {
+    getPendingDeletions() {
         try {
-            await this.chatHistory.createSession();
-            this.clearChat();
-            this.updateHistoryDisplay();
-            this.closeHistory();
+            return JSON.parse(localStorage.getItem(this.pendingDeletionsKey) || '[]');
         } catch (error) {
-            console.error('Failed to create new session:', error);
-            this.showError('Failed to create new session');
+            return [];
         }
     }
 
     /**
-     * Load a specific session
+     * Replace the list of deletions waiting to be sent to the server
      */
-    async loadSession(sessionId) {
-        try {
-            const { session, messages } = await this.chatHistory.loadSession(sessionId);
-            
-            // Clear current chat
-            this.clearChat();
-            
-            // Load messages into UI
-            this.messages = [];
-            messages.forEach(message => {
-                this.addMessage(message.role, message.content, message.usage, false); // false = don't save to history
+    setPendingDeletions(sessionIds) {
+        localStorage.setItem(this.pendingDeletionsKey, JSON.stringify(sessionIds));
+    }
+
+    /**
+     * Reconcile the local database with the server's copy of every session
+     * 
+     * Messages never change once written (edits and regenerations add new
+     * ones), so they are merged by ID in both directions. Session fields are
+     * merged three-way against the copy from the last sync (syncBase): a field
+     * changed on one side wins, and a field changed on both sides goes to the
+     * side edited last (editedAt). Deletions win unless the other side changed since.
+     * @param {string} sessionsUrl - URL of GET /api/sessions
+     * @param {Object} [headers] - Extra request headers (e.g. Authorization)
+     * @returns {Promise<Object>} { pushed, pulled, deleted, conflicts, changedSessionIds }
+     */
+    async syncWithServer(sessionsUrl, headers = {}) {
+        this.syncHeaders = headers;
+        const stats = { pushed: 0, pulled: 0, deleted: 0, conflicts: 0, changedSessionIds: new Set() };
+
+        // Deletions made while offline
+        const pendingDeletions = this.getPendingDeletions();
+        for (const sessionId of pendingDeletions) {
+            const response = await fetch(`${sessionsUrl}/${encodeURIComponent(sessionId)}`, {
+                method: 'DELETE',
+                headers: this.syncHeaders
             });
-            
-            // Update UI
-            this.updateHistoryDisplay();
-            this.closeHistory();
-            
-            console.log(`Loaded session: ${session.title}`);
-        } catch (error) {
-            console.error('Failed to load session:', error);
-            this.showError('Failed to load session');
+            if (!response.ok && response.status !== 404) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            this.setPendingDeletions(this.getPendingDeletions().filter(id => id !== sessionId));
+        }
+
+        const { sessions: remoteSessions } = await this.fetchSyncJson(sessionsUrl);
+        const remoteById = new Map(remoteSessions.map(session => [session.id, session]));
+        const localSessions = await this.db.getAllSessions();
+
+        for (const local of localSessions) {
+            const remote = remoteById.get(local.id);
+            remoteById.delete(local.id);
+
+            if (remote && !remote.deleted) {
+                await this.syncSession(sessionsUrl, local, remote, stats);
+            } else if (remote?.deleted && local.syncedRevision && !this.hasLocalChanges(local)) {
+                await this.db.deleteSession(local.id);
+                stats.deleted++;
+                stats.changedSessionIds.add(local.id);
+            } else if (local.messageCount > 0) {
+                // New here, changed after a remote delete, or missing from the server
+                await this.pushSession(sessionsUrl, local, stats);
+            }
         }
+
+        // Sessions created elsewhere; when the local history is full, skip ones
+        // older than everything kept here so pruned sessions don't come back
+        const oldestLocal = localSessions.length >= this.maxSessions
+            ? Math.min(...localSessions.map(session => new Date(session.lastActivity).getTime()))
+            : -Infinity;
+        for (const remote of remoteById.values()) {
+            if (remote.deleted || this.getPendingDeletions().includes(remote.id)) continue;
+            if (new Date(remote.lastActivity).getTime() <= oldestLocal) continue;
+
+            const { messages } = await this.fetchSyncJson(`${sessionsUrl}/${encodeURIComponent(remote.id)}/messages`);
+            await this.db.putMessages(messages);
+            await this.db.saveSession(this.buildSyncedSession(remote, remote, messages.length));
+            stats.pulled++;
+            stats.changedSessionIds.add(remote.id);
+        }
+
+        await this.db.pruneOldSessions(this.maxSessions);
+        await this.loadSessions();
+        return stats;
     }
 
     /**
-     * Rename a session
+     * Bring one session that exists on both sides up to date
      */
-    async renameSession(sessionId, currentTitle) {
-        const newTitle = prompt('Enter new session title:', currentTitle);
-        if (newTitle && newTitle.trim() && newTitle !== currentTitle) {
+    async syncSession(sessionsUrl, local, remote, stats) {
+        const sessionUrl = `${sessionsUrl}/${encodeURIComponent(local.id)}`;
+        const remoteChanged = remote.revision !== local.syncedRevision;
+        const messagesChanged = local.messageCount !== local.syncBase?.messageCount;
+        const fieldsChanged = this.hasLocalChanges(local, false);
+
+        if (!remoteChanged && !messagesChanged && !fieldsChanged) return;
+
+        let messageCount = local.messageCount;
+        if (remoteChanged || messagesChanged) {
+            const { messages: remoteMessages } = await this.fetchSyncJson(`${sessionUrl}/messages`);
+            const localMessages = await this.db.getSessionMessages(local.id);
+            const remoteIds = new Set(remoteMessages.map(message => message.id));
+            const localIds = new Set(localMessages.map(message => message.id));
+
+            const toPush = localMessages.filter(message => !remoteIds.has(message.id));
+            if (toPush.length > 0) {
+                ({ session: remote } = await this.fetchSyncJson(`${sessionUrl}/messages`, 'POST', {
+                    messages: toPush.map(({ sessionId, ...message }) => message)
+                }));
+                stats.pushed++;
+            }
+
+            const toPull = remoteMessages.filter(message => !localIds.has(message.id));
+            if (toPull.length > 0) {
+                await this.db.putMessages(toPull);
+                stats.pulled++;
+                stats.changedSessionIds.add(local.id);
+            }
+
+            messageCount = localIds.size + toPull.length;
+        }
+
+        // Three-way merge of the session fields, retried if the server copy
+        // changes while we merge
+        for (let attempt = 0; attempt < 3; attempt++) {
+            const merged = this.mergeSyncFields(local, remote, stats);
+            if (this.sameValue(merged, this.pickSyncFields(remote))) break;
+
             try {
-                await this.chatHistory.renameSession(sessionId, newTitle.trim());
-                this.updateHistoryDisplay();
+                remote = await this.fetchSyncJson(sessionUrl, 'PATCH', {
+                    ...merged,
+                    editedAt: [local.editedAt, remote.editedAt].filter(Boolean).sort().pop(),
+                    baseRevision: remote.revision
+                });
+                stats.pushed++;
+                break;
             } catch (error) {
-                console.error('Failed to rename session:', error);
-                this.showError('Failed to rename session');
+                if (error.status !== 409 || !error.session) throw error;
+                remote = error.session;
+            }
+        }
+
+        const synced = this.buildSyncedSession(local, remote, messageCount);
+        if (!this.sameValue(this.pickSyncFields(local), this.pickSyncFields(synced))) {
+            stats.changedSessionIds.add(local.id);
+        }
+        await this.db.saveSession(synced);
+    }
+
+    /**
+     * Upload a session (with all its messages) that the server does not have
+     */
+    async pushSession(sessionsUrl, local, stats) {
+        const messages = await this.db.getSessionMessages(local.id);
+
+        try {
+            const remote = await this.fetchSyncJson(sessionsUrl, 'POST', {
+                id: local.id,
+                ...this.pickSyncFields(local),
+                lastActivity: local.lastActivity,
+                editedAt: local.editedAt,
+                messages: messages.map(({ sessionId, ...message }) => message)
+            });
+            await this.db.saveSession(this.buildSyncedSession(local, remote, messages.length));
+            stats.pushed++;
+        } catch (error) {
+            // Created elsewhere in the meantime: merge instead
+            if (error.status !== 409 || !error.session) throw error;
+            await this.syncSession(sessionsUrl, local, error.session, stats);
+        }
+    }
+
+    /**
+     * Local session record after a sync: merged fields plus the sync bookkeeping
+     * (syncedRevision and syncBase, the state both sides agreed on)
+     */
+    buildSyncedSession(local, remote, messageCount) {
+        const fields = this.pickSyncFields(remote);
+        return {
+            ...local,
+            ...fields,
+            id: remote.id,
+            lastActivity: [local.lastActivity, remote.lastActivity].filter(Boolean).sort().pop(),
+            editedAt: remote.editedAt || local.editedAt,
+            messageCount,
+            syncedRevision: remote.revision,
+            syncBase: { ...fields, messageCount }
+        };
+    }
+
+    /**
+     * Merge session fields changed locally and on the server since the last sync
+     */
+    mergeSyncFields(local, remote, stats) {
+        const base = local.syncBase || {};
+        const merged = {};
+
+        this.syncFields.forEach(field => {
+            const localValue = local[field] ?? null;
+            const remoteValue = remote[field] ?? null;
+            const baseValue = base[field] ?? null;
+
+            if (this.sameValue(localValue, remoteValue) || this.sameValue(localValue, baseValue)) {
+                merged[field] = remoteValue;
+            } else if (this.sameValue(remoteValue, baseValue)) {
+                merged[field] = localValue;
+            } else if (field === 'selectedVersions') {
+                // Branch choices merge per branch point, keeping the local choice
+                merged[field] = { ...remoteValue, ...localValue };
+            } else {
+                stats.conflicts++;
+                merged[field] = new Date(local.editedAt || 0) > new Date(remote.editedAt || 0)
+                    ? localValue
+                    : remoteValue;
             }
+        });
+
+        return merged;
+    }
+
+    /**
+     * Whether a session changed locally since it was last synced
+     * @param {boolean} includeMessages - Also count new local messages
+     */
+    hasLocalChanges(session, includeMessages = true) {
+        const base = session.syncBase;
+        if (!base) return true;
+        if (includeMessages && session.messageCount !== base.messageCount) return true;
+        return this.syncFields.some(field => !this.sameValue(session[field] ?? null, base[field] ?? null));
+    }
+
+    /**
+     * The session fields that are synced
+     */
+    pickSyncFields(session) {
+        const fields = {};
+        this.syncFields.forEach(field => {
+            fields[field] = session[field] ?? null;
+        });
+        return fields;
+    }
+
+    /**
+     * Deep equality for plain JSON values
+     */
+    sameValue(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    /**
+     * Call the sessions API, throwing an error carrying the status (and the
+     * server's copy of the session for 409 conflicts) when the request fails
+     */
+    async fetchSyncJson(url, method = 'GET', body = undefined) {
+        const response = await fetch(url, {
+            method,
+            headers: {
+                ...this.syncHeaders,
+                'Content-Type': 'application/json'
+            },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            const error = new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+            error.status = response.status;
+            error.session = data.session;
+            throw error;
+        }
+        return data;
+    }
+
+    /**
+     * Get current session info
+     */
+    getCurrentSession() {
+        if (!this.currentSessionId) return null;
+        return this.sessions.find(s => s.id === this.currentSessionId);
+    }
+}
+
+/**
+ * Main ChatApp class that manages the entire chat application
+ */
+class ChatApp {
+    /**
+     * Initialize the chat application
+     */
+    constructor() {
+        this.messages = [];
+        this.isLoading = false;
+        this.apiUrl = null;
+        this.healthUrl = null;
+        this.modelsUrl = null;
+        this.summarizeUrl = null;
+        this.titleUrl = null;
+        this.sessionsUrl = null;
+        this.authUrl = null;
+        this.vendorUrl = null; // Where the backend serves the Markdown, math and diagram libraries
+        this.authEnabled = false;
+        this.authKey = 'kimi-k2-auth';
+        this.authToken = localStorage.getItem(this.authKey);
+        this.currentUser = null;
+        this.loginWaiters = []; // Resolved once the user signs in
+        this.defaultModel = null;
+        this.availableModels = [];
+        this.defaultOptions = {};
+        this.optionLimits = {};
+        this.tools = []; // Server tools a chat can enable: { name, description }
+        this.workspace = null; // Folder the workspace tools may read: { root, tools }
+        this.pendingAttachments = []; // Files attached to the message being written
+        this.maxAttachments = 5;
+        this.maxAttachmentChars = 16000; // Longer files are truncated
+        this.dragDepth = 0; // dragenter/dragleave nesting while files are dragged over the page
+        this.markdown = null; // Markdown parser (null when the library did not load)
+        this.sanitizer = null; // HTML sanitizer for rendered messages
+        this.sanitizeOptions = {};
+        this.vendorLoads = {}; // Library name -> promise of it being loaded
+        this.diagramCount = 0; // Unique IDs for rendered diagrams
+        this.maxRunOutputLines = 500; // Console lines shown per sandboxed code run
+        // File extension -> code fence language (Prism names), for attachments and code downloads
+        this.fileLanguages = {
+            js: 'javascript', mjs: 'javascript', cjs: 'javascript', jsx: 'jsx',
+            ts: 'typescript', tsx: 'tsx', py: 'python', rb: 'ruby', php: 'php',
+            java: 'java', kt: 'kotlin', scala: 'scala', go: 'go', rs: 'rust', swift: 'swift',
+            c: 'c', h: 'c', cpp: 'cpp', cc: 'cpp', hpp: 'cpp', cs: 'csharp',
+            html: 'html', htm: 'html', css: 'css', scss: 'scss', less: 'less', vue: 'html', svelte: 'html',
+            json: 'json', yaml: 'yaml', yml: 'yaml', toml: 'toml', ini: 'ini', xml: 'xml', svg: 'xml',
+            md: 'markdown', markdown: 'markdown', sql: 'sql', graphql: 'graphql',
+            sh: 'bash', bash: 'bash', zsh: 'bash', ps1: 'powershell', bat: 'batch',
+            lua: 'lua', r: 'r', dart: 'dart', ex: 'elixir', exs: 'elixir', hs: 'haskell',
+            txt: 'text', log: 'text', csv: 'csv', diff: 'diff', patch: 'diff'
+        };
+        this.editingPromptId = null;
+        this.exportSessionId = null; // Session picked in the export dialog (null = all)
+        this.searchRequestId = 0;
+        this.pendingTitles = new Set(); // Sessions waiting for a generated title
+        this.isSyncing = false;
+        this.syncInterval = 60000; // Background sync period while sync is on
+        this.maxRetries = 3;
+        this.retryDelay = 1000;
+
+        // History system
+        this.chatHistory = new ChatHistory();
+        this.historyButton = null;
+        this.historySidebar = null;
+        this.isHistoryOpen = false;
+        
+        // Request optimization
+        this.activeRequest = null;
+        this.stopController = null;
+        this.pendingSummary = null;
+        this.requestCache = new Map();
+        this.contextCache = null;
+        this.contextCacheTime = 0;
+        
+        this.initializeElements();
+        this.initializeApp();
+    }
+
+    async initializeApp() {
+        // Initialize history system first
+        await this.chatHistory.init();
+        
+        this.bindEvents();
+        await this.initializeServerConfig();
+        await this.setupMarkdown();
+        await this.ensureSignedIn();
+        await this.loadModels();
+        this.updatePromptOptions();
+        
+        // Create history UI
+        this.createHistoryUI();
+        
+        // Check for existing session or create new one
+        if (this.chatHistory.sessions.length === 0 || !this.chatHistory.currentSessionId) {
+            await this.chatHistory.createSession(null, this.modelSelect.value, this.promptSelect.value || null);
+        } else {
+            // Load the most recent session
+            const latestSession = this.chatHistory.sessions;
+            await this.loadSession(latestSession.id);
+        }
+        
+        // Keep sessions in sync with the server when enabled
+        window.addEventListener('online', () => this.syncNow());
+        setInterval(() => this.syncNow(), this.syncInterval);
+        this.syncNow();
+        
+        console.log('Chat application initialized successfully');
+    }
+    
+    /**
+     * Cache DOM elements for better performance
+     */
+    initializeElements() {
+        this.chatContainer = document.getElementById('chat-container');
+        this.messageInput = document.getElementById('message-input');
+        this.sendButton = document.getElementById('send-button');
+        this.stopButton = document.getElementById('stop-button');
+        this.loadingContainer = document.getElementById('loading-container');
+        this.charCount = document.getElementById('char-count');
+        this.contextInfo = document.getElementById('context-info');
+        this.attachButton = document.getElementById('attach-button');
+        this.attachInput = document.getElementById('attach-input');
+        this.attachmentList = document.getElementById('attachment-list');
+        this.inputWrapper = document.querySelector('.input-wrapper');
+        this.welcomeMessage = document.getElementById('welcome-message');
+        this.statusIndicator = document.getElementById('status-indicator');
+        this.errorModal = document.getElementById('error-modal');
+        this.modelSelect = document.getElementById('model-select');
+        this.settingsButton = document.getElementById('settings-button');
+        this.settingsModal = document.getElementById('settings-modal');
+        this.settingsForm = document.getElementById('settings-form');
+        this.promptSelect = document.getElementById('prompt-select');
+        this.promptLibraryButton = document.getElementById('prompt-library-button');
+        this.promptModal = document.getElementById('prompt-modal');
+        this.promptList = document.getElementById('prompt-list');
+        this.promptForm = document.getElementById('prompt-form');
+        this.promptNameInput = document.getElementById('prompt-name');
+        this.promptContentInput = document.getElementById('prompt-content');
+        this.exportModal = document.getElementById('export-modal');
+        this.exportForm = document.getElementById('export-form');
+        this.exportScopeLabel = document.getElementById('export-scope');
+        this.loginModal = document.getElementById('login-modal');
+        this.loginForm = document.getElementById('login-form');
+        this.loginError = document.getElementById('login-error');
+        this.logoutButton = document.getElementById('logout-button');
+    }
+
+    /**
+     * Create the history UI components
+     */
+    createHistoryUI() {
+        // History button lives in the header
+        this.historyButton = document.getElementById('history-button');
+
+        // Create history sidebar
+        if (!this.historySidebar) {
+            this.historySidebar = document.createElement('div');
+            this.historySidebar.id = 'history-sidebar';
+            this.historySidebar.className = 'history-sidebar';
+            this.historySidebar.innerHTML = `
+                <div class="history-header">
+                    <h3><i class="fas fa-history"></i> Chat History</h3>
+                    <div class="history-controls">
+                        <button id="new-session-btn" class="new-session-btn" title="New Chat">
+                            <i class="fas fa-plus"></i>
+                        </button>
+                        <button id="export-all-btn" class="new-session-btn" title="Export all chats">
+                            <i class="fas fa-file-export"></i>
+                        </button>
+                        <button id="import-btn" class="new-session-btn" title="Import chats (JSON)">
+                            <i class="fas fa-file-import"></i>
+                        </button>
+                        <input type="file" id="import-input" accept=".json,application/json" hidden>
+                        <button id="close-history-btn" class="close-history-btn" title="Close">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+                </div>
+                <div class="history-search">
+                    <input type="text" id="history-search-input" placeholder="Search chats and messages...">
+                    <i class="fas fa-search"></i>
+                </div>
+                <div class="history-filters" id="history-filters">
+                    <select id="search-role" title="Sender">
+                        <option value="">Anyone</option>
+                        <option value="user">You</option>
+                        <option value="assistant">Kimi-K2</option>
+                    </select>
+                    <select id="search-model" title="Model">
+                        <option value="">Any model</option>
+                    </select>
+                    <input type="text" id="search-language" placeholder="Code language" title="Only messages with a code block in this language">
+                    <input type="date" id="search-from" title="From">
+                    <input type="date" id="search-to" title="To">
+                </div>
+                <div class="history-list" id="history-list">
+                    <!-- Sessions will be populated here -->
+                </div>
+                <div class="history-sync">
+                    <label class="sync-toggle" title="Store chats on the server and sync them between devices">
+                        <input type="checkbox" id="sync-toggle">
+                        Sync with server
+                    </label>
+                    <span id="sync-status" class="sync-status">Stored in this browser only</span>
+                </div>
+            `;
+            
+            document.body.appendChild(this.historySidebar);
+        }
+
+        // Update sessions display
+        this.updateHistoryDisplay();
+        
+        // Bind history events
+        this.bindHistoryEvents();
+    }
+
+    /**
+     * Bind history-related event listeners
+     */
+    bindHistoryEvents() {
+        // History button click
+        if (this.historyButton) {
+            this.historyButton.addEventListener('click', () => this.toggleHistory());
+        }
+
+        // Close history button
+        const closeHistoryBtn = document.getElementById('close-history-btn');
+        if (closeHistoryBtn) {
+            closeHistoryBtn.addEventListener('click', () => this.closeHistory());
+        }
+
+        // New session button
+        const newSessionBtn = document.getElementById('new-session-btn');
+        if (newSessionBtn) {
+            newSessionBtn.addEventListener('click', () => this.createNewSession());
+        }
+
+        // Export and import
+        document.getElementById('export-all-btn')?.addEventListener('click', () => this.openExport());
+        const importInput = document.getElementById('import-input');
+        document.getElementById('import-btn')?.addEventListener('click', () => importInput.click());
+        importInput?.addEventListener('change', () => {
+            if (importInput.files[0]) {
+                this.importSessionsFromFile(importInput.files[0]);
+            }
+            importInput.value = '';
+        });
+
+        // Server sync
+        const syncToggle = document.getElementById('sync-toggle');
+        if (syncToggle) {
+            syncToggle.checked = this.chatHistory.isSyncEnabled();
+            syncToggle.addEventListener('change', () => this.setSyncEnabled(syncToggle.checked));
+        }
+
+        // History search
+        const searchInput = document.getElementById('history-search-input');
+        if (searchInput) {
+            const search = this.debounce(() => this.searchSessions(searchInput.value), 200);
+            searchInput.addEventListener('input', search);
+            document.getElementById('history-filters').addEventListener('input', search);
+        }
+
+        // Click outside to close (modals opened from the sidebar don't count)
+        document.addEventListener('click', (e) => {
+            if (this.isHistoryOpen && 
+                !this.historySidebar.contains(e.target) && 
+                !this.historyButton.contains(e.target) &&
+                !e.target.closest('.modal-overlay')) {
+                this.closeHistory();
+            }
+        });
+    }
+
+    /**
+     * Toggle history sidebar
+     */
+    toggleHistory() {
+        if (this.isHistoryOpen) {
+            this.closeHistory();
+        } else {
+            this.openHistory();
+        }
+    }
+
+    /**
+     * Open history sidebar
+     */
+    openHistory() {
+        if (this.historySidebar) {
+            this.historySidebar.classList.add('open');
+            this.isHistoryOpen = true;
+            this.updateSearchModelOptions();
+            this.updateHistoryDisplay();
+        }
+    }
+
+    /**
+     * Close history sidebar
+     */
+    closeHistory() {
+        if (this.historySidebar) {
+            this.historySidebar.classList.remove('open');
+            this.isHistoryOpen = false;
+        }
+    }
+
+    /**
+     * Update the history display with current sessions
+     */
+    updateHistoryDisplay() {
+        const historyList = document.getElementById('history-list');
+        if (!historyList) return;
+
+        historyList.innerHTML = '';
+
+        if (this.chatHistory.sessions.length === 0) {
+            historyList.innerHTML = '<div class="no-sessions">No chat history yet</div>';
+            return;
+        }
+
+        this.chatHistory.sessions.forEach(session => {
+            const sessionElement = this.createSessionElement(session);
+            historyList.appendChild(sessionElement);
+        });
+    }
+
+    /**
+     * Create a session element for the history list
+     */
+    createSessionElement(session) {
+        const sessionDiv = document.createElement('div');
+        sessionDiv.className = `session-item ${session.id === this.chatHistory.currentSessionId ? 'active' : ''}`;
+        sessionDiv.dataset.sessionId = session.id;
+
+        const lastActivity = new Date(session.lastActivity);
+        const timeAgo = this.getTimeAgo(lastActivity);
+        
+        sessionDiv.innerHTML = `
+            <div class="session-info">
+                <div class="session-title" title="${this.escapeHtml(session.title)}">${this.escapeHtml(session.title)}</div>
+                <div class="session-meta">
+                    <span class="session-time">${timeAgo}</span>
+                    <span class="session-count">${session.messageCount || 0} messages</span>
+                </div>
+            </div>
+            <div class="session-actions">
+                <button class="session-action rename-session" title="Rename">
+                    <i class="fas fa-edit"></i>
+                </button>
+                <button class="session-action export-session" title="Export">
+                    <i class="fas fa-download"></i>
+                </button>
+                <button class="session-action delete-session" title="Delete">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+        `;
+
+        // Bind session events
+        sessionDiv.addEventListener('click', (e) => {
+            if (!e.target.closest('.session-actions')) {
+                this.loadSession(session.id);
+            }
+        });
+
+        const renameBtn = sessionDiv.querySelector('.rename-session');
+        renameBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.renameSession(session.id, session.title);
+        });
+
+        const exportBtn = sessionDiv.querySelector('.export-session');
+        exportBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.openExport(session.id);
+        });
+
+        const deleteBtn = sessionDiv.querySelector('.delete-session');
+        deleteBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.deleteSession(session.id);
+        });
+
+        return sessionDiv;
+    }
+
+    /**
+     * Get human-readable time ago string
+     */
+    getTimeAgo(date) {
+        const now = new Date();
+        const diffMs = now - date;
+        const diffMins = Math.floor(diffMs / 60000);
+        const diffHours = Math.floor(diffMs / 3600000);
+        const diffDays = Math.floor(diffMs / 86400000);
+
+        if (diffMins < 1) return 'Just now';
+        if (diffMins < 60) return `${diffMins}m ago`;
+        if (diffHours < 24) return `${diffHours}h ago`;
+        if (diffDays < 30) return `${diffDays}d ago`;
+        
+        return date.toLocaleDateString();
+    }
+
+    /**
+     * Search session titles and message contents (with the sidebar filters)
+     */
+    async searchSessions(query) {
+        const historyList = document.getElementById('history-list');
+        if (!historyList) return;
+        
+        if (!query.trim()) {
+            this.updateHistoryDisplay();
+            return;
+        }
+        
+        // Ignore results of a search that finished after a newer one
+        const searchId = ++this.searchRequestId;
+        const sessions = this.chatHistory.searchSessions(query);
+        const hits = await this.chatHistory.searchMessages(query, this.readSearchFilters());
+        if (searchId !== this.searchRequestId) return;
+        
+        historyList.innerHTML = '';
+        
+        if (sessions.length === 0 && hits.length === 0) {
+            historyList.innerHTML = '<div class="no-sessions">No results found</div>';
+            return;
+        }
+        
+        if (sessions.length > 0) {
+            historyList.insertAdjacentHTML('beforeend', '<div class="search-section-title">Chats</div>');
+            sessions.forEach(session => {
+                historyList.appendChild(this.createSessionElement(session));
+            });
+        }
+        
+        if (hits.length > 0) {
+            const terms = [...ChatDatabase.tokenize(query).keys()];
+            historyList.insertAdjacentHTML('beforeend', '<div class="search-section-title">Messages</div>');
+            hits.forEach(hit => {
+                historyList.appendChild(this.createSearchHitElement(hit, terms));
+            });
+        }
+    }
+    
+    /**
+     * Read the message search filters from the history sidebar
+     */
+    readSearchFilters() {
+        return {
+            role: document.getElementById('search-role').value,
+            model: document.getElementById('search-model').value,
+            language: document.getElementById('search-language').value,
+            from: document.getElementById('search-from').value,
+            to: document.getElementById('search-to').value
+        };
+    }
+    
+    /**
+     * Offer every model used by a session or installed on the server in the model filter
+     */
+    updateSearchModelOptions() {
+        const select = document.getElementById('search-model');
+        if (!select) return;
+        
+        const models = new Set([
+            ...this.availableModels.map(model => model.name),
+            ...this.chatHistory.sessions.map(session => session.model).filter(Boolean)
+        ]);
+        const selected = select.value;
+        
+        select.innerHTML = '<option value="">Any model</option>';
+        [...models].sort().forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        select.value = models.has(selected) ? selected : '';
+    }
+    
+    /**
+     * Create a list entry for a message search result
+     * @param {Object} hit - { message, session } from ChatHistory.searchMessages
+     * @param {Array<string>} terms - Query terms to highlight
+     */
+    createSearchHitElement(hit, terms) {
+        const { message, session } = hit;
+        const hitDiv = document.createElement('div');
+        hitDiv.className = 'search-hit';
+        hitDiv.innerHTML = `
+            <div class="search-hit-meta">
+                <span class="search-hit-session">${this.escapeHtml(session.title)}</span>
+                <span>${message.role === 'user' ? 'You' : 'Kimi-K2'} · ${this.getTimeAgo(new Date(message.timestamp))}</span>
+            </div>
+            <div class="search-hit-snippet">${this.buildSearchSnippet(message.content, terms)}</div>
+        `;
+        
+        hitDiv.addEventListener('click', () => this.openSearchHit(session.id, message.id));
+        return hitDiv;
+    }
+    
+    /**
+     * Cut the part of a message around the first match and highlight the query terms
+     * @returns {string} Escaped HTML
+     */
+    buildSearchSnippet(content, terms, radius = 80) {
+        const escapedTerms = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        const wordPattern = new RegExp(`(?<![\\p{L}\\p{N}_])(?:${escapedTerms.join('|')})[\\p{L}\\p{N}_]*`, 'giu');
+        const firstMatch = wordPattern.exec(content);
+        const matchIndex = firstMatch ? firstMatch.index : 0;
+        
+        const start = Math.max(0, matchIndex - radius);
+        const end = Math.min(content.length, matchIndex + radius * 2);
+        const excerpt = content.slice(start, end).replace(/\s+/g, ' ');
+        
+        let html = '';
+        let lastIndex = 0;
+        wordPattern.lastIndex = 0;
+        for (const match of excerpt.matchAll(wordPattern)) {
+            html += this.escapeHtml(excerpt.slice(lastIndex, match.index));
+            html += `<mark>${this.escapeHtml(match[0])}</mark>`;
+            lastIndex = match.index + match[0].length;
+        }
+        html += this.escapeHtml(excerpt.slice(lastIndex));
+        
+        return `${start > 0 ? '…' : ''}${html}${end < content.length ? '…' : ''}`;
+    }
+    
+    /**
+     * Open the session of a search result on the branch containing the
+     * message and scroll to it
+     */
+    async openSearchHit(sessionId, messageId) {
+        try {
+            await this.chatHistory.selectBranchTo(sessionId, messageId);
+            await this.loadSession(sessionId);
+            
+            const messageElement = this.findMessageElement(messageId);
+            if (messageElement) {
+                messageElement.scrollIntoView({ block: 'center' });
+                messageElement.classList.add('search-highlight');
+                setTimeout(() => messageElement.classList.remove('search-highlight'), 2000);
+            }
+        } catch (error) {
+            console.error('Failed to open search result:', error);
+            this.showError('Failed to open search result', error.message);
+        }
+    }
+    
+    /**
+     * Create a new chat session
+     */
+    async createNewSession() {
+        try {
+            await this.chatHistory.createSession(null, this.modelSelect.value, this.promptSelect.value || null);
+            this.updateSettingsIndicator();
+            await this.refreshContextDisplay();
+            this.clearChat();
+            this.updateHistoryDisplay();
+            this.closeHistory();
+        } catch (error) {
+            console.error('Failed to create new session:', error);
+            this.showError('Failed to create new session');
+        }
+    }
+
+    /**
+     * Load a specific session
+     */
+    async loadSession(sessionId) {
+        try {
+            const { session, messages } = await this.chatHistory.loadSession(sessionId);
+            
+            // Clear current chat
+            this.clearChat();
+            
+            // Continue with the model this session was using
+            if (session.model) {
+                this.selectModel(session.model);
+            }
+            this.updateSettingsIndicator();
+            this.selectPrompt(session.promptId);
+            
+            // Load messages into UI
+            this.messages = [];
+            this.renderHistoryMessages(messages);
+            
+            // Update UI
+            await this.refreshContextDisplay();
+            this.updateHistoryDisplay();
+            this.closeHistory();
+            
+            console.log(`Loaded session: ${session.title}`);
+        } catch (error) {
+            console.error('Failed to load session:', error);
+            this.showError('Failed to load session');
+        }
+    }
+
+    /**
+     * Rename a session
+     */
+    async renameSession(sessionId, currentTitle) {
+        const newTitle = prompt('Enter new session title:', currentTitle);
+        if (newTitle && newTitle.trim() && newTitle !== currentTitle) {
+            try {
+                await this.chatHistory.renameSession(sessionId, newTitle.trim());
+                this.updateHistoryDisplay();
+                this.debouncedSync();
+            } catch (error) {
+                console.error('Failed to rename session:', error);
+                this.showError('Failed to rename session');
+            }
+        }
+    }
+
+    /**
+     * Delete a session
+     */
+    async deleteSession(sessionId) {
+        const session = this.chatHistory.sessions.find(s => s.id === sessionId);
+        if (!session) return;
+
+        if (confirm(`Are you sure you want to delete "${session.title}"?`)) {
+            try {
+                await this.chatHistory.deleteSession(sessionId);
+                
+                // If this was the current session, create a new one
+                if (sessionId === this.chatHistory.currentSessionId) {
+                    this.clearChat();
+                    await this.chatHistory.createSession(null, this.modelSelect.value, this.promptSelect.value || null);
+                }
+                
+                this.updateHistoryDisplay();
+                this.debouncedSync();
+            } catch (error) {
+                console.error('Failed to delete session:', error);
+                this.showError('Failed to delete session');
+            }
+        }
+    }
+
+    /**
+     * Turn server sync on or off from the history sidebar
+     */
+    async setSyncEnabled(enabled) {
+        this.chatHistory.setSyncEnabled(enabled, this.currentUser?.id);
+        if (enabled) {
+            await this.syncNow();
+        } else {
+            this.updateSyncStatus('Stored in this browser only');
+        }
+    }
+
+    /**
+     * Sync sessions with the server, then refresh whatever the sync changed
+     */
+    async syncNow() {
+        if (!this.chatHistory.isSyncEnabled() || !this.sessionsUrl || this.isSyncing) return;
+        if (this.authEnabled && !this.currentUser) return;
+        
+        // Never upload one person's chats into another person's account
+        const syncUser = this.chatHistory.getSyncUser();
+        if (this.currentUser && syncUser && syncUser !== this.currentUser.id) {
+            this.chatHistory.setSyncEnabled(false);
+            const syncToggle = document.getElementById('sync-toggle');
+            if (syncToggle) syncToggle.checked = false;
+            this.updateSyncStatus('Sync turned off: the chats here were synced with another account', 'error');
+            return;
+        }
+        if (this.currentUser && !syncUser) {
+            this.chatHistory.setSyncEnabled(true, this.currentUser.id);
+        }
+
+        this.isSyncing = true;
+        this.updateSyncStatus('Syncing...');
+        try {
+            const stats = await this.chatHistory.syncWithServer(this.sessionsUrl, this.authHeaders());
+            const currentId = this.chatHistory.currentSessionId;
+
+            if (currentId && !this.chatHistory.sessions.some(s => s.id === currentId)) {
+                // Deleted on another device
+                this.clearChat();
+                await this.chatHistory.createSession(null, this.modelSelect.value, this.promptSelect.value || null);
+            } else if (stats.changedSessionIds.has(currentId) && !this.isLoading && !this.activeRequest) {
+                this.contextCache = null;
+                this.updateSettingsIndicator();
+                await this.showActiveBranch();
+            }
+
+            if (!document.getElementById('history-search-input')?.value.trim()) {
+                this.updateHistoryDisplay();
+            }
+
+            const conflicts = stats.conflicts > 0
+                ? ` (${stats.conflicts} conflicting change${stats.conflicts === 1 ? '' : 's'} resolved)`
+                : '';
+            this.updateSyncStatus(`Synced at ${new Date().toLocaleTimeString()}${conflicts}`);
+        } catch (error) {
+            // Offline changes stay local until the next successful sync
+            console.error('Failed to sync sessions:', error);
+            this.updateSyncStatus('Offline - changes will sync later', 'error');
+        } finally {
+            this.isSyncing = false;
+        }
+    }
+
+    /**
+     * Show the last sync result under the sync toggle
+     */
+    updateSyncStatus(text, type = '') {
+        const status = document.getElementById('sync-status');
+        if (status) {
+            status.textContent = text;
+            status.className = `sync-status ${type}`;
+        }
+    }
+    
+    /**
+     * Bind event listeners to DOM elements
+     */
+    bindEvents() {
+        // Send button click handler
+        this.sendButton.addEventListener('click', () => this.sendMessage());
+        
+        // Stop button aborts the reply currently being generated
+        this.stopButton.addEventListener('click', () => this.stopGeneration());
+        
+        // Keyboard shortcuts for sending messages
+        this.messageInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                this.sendMessage();
+            } else if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                this.sendMessage();
+            }
+        });
+        
+        // Per-message actions (edit, regenerate, switch version)
+        this.chatContainer.addEventListener('click', (e) => {
+            const button = e.target.closest('.message-action, .message-edit button');
+            const messageElement = e.target.closest('.message[data-message-id]');
+            if (!button || !messageElement || button.disabled) return;
+            
+            const messageId = messageElement.dataset.messageId;
+            if (button.classList.contains('edit-message')) {
+                this.startEditingMessage(messageId);
+            } else if (button.classList.contains('message-edit-save')) {
+                this.editMessage(messageId, messageElement.querySelector('.message-edit-input').value);
+            } else if (button.classList.contains('message-edit-cancel')) {
+                this.cancelEditingMessage(messageId);
+            } else if (button.classList.contains('regenerate-message')) {
+                this.regenerateMessage(messageId);
+            } else if (button.classList.contains('version-prev')) {
+                this.switchMessageVersion(messageId, -1);
+            } else if (button.classList.contains('version-next')) {
+                this.switchMessageVersion(messageId, 1);
+            }
+        });
+        
+        // Switch math and diagrams between the rendered view and their source
+        this.chatContainer.addEventListener('click', (e) => {
+            const toggle = e.target.closest('.rich-toggle, .math-inline.rendered');
+            if (toggle) this.toggleRichSource(toggle.closest('.rich-view'));
+        });
+        this.chatContainer.addEventListener('keydown', (e) => {
+            if ((e.key === 'Enter' || e.key === ' ') && e.target.matches('.math-inline.rendered')) {
+                e.preventDefault();
+                this.toggleRichSource(e.target);
+            }
+        });
+        
+        // Code block toolbars
+        this.chatContainer.addEventListener('click', (e) => {
+            const button = e.target.closest('.code-action');
+            if (button) this.handleCodeAction(button);
+        });
+        this.chatContainer.addEventListener('change', (e) => {
+            if (e.target.classList.contains('code-language')) this.setCodeLanguage(e.target);
+        });
+        
+        // Console output of code run in sandboxed frames (their origin is opaque, so match the frame instead)
+        window.addEventListener('message', (e) => {
+            if (!e.data?.codeRun) return;
+            const frame = Array.from(this.chatContainer.querySelectorAll('.code-run-frame')).find(f => f.contentWindow === e.source);
+            if (!frame) return;
+            
+            if (e.data.ready !== undefined) {
+                if (e.data.ready === frame.dataset.runToken) frame.dataset.ready = 'true';
+            } else {
+                this.appendRunOutput(frame.closest('.code-run'), String(e.data.level), String(e.data.text));
+            }
+        });
+        
+        this.chatContainer.addEventListener('keydown', (e) => {
+            if (!e.target.classList.contains('message-edit-input')) return;
+            
+            const messageId = e.target.closest('.message[data-message-id]').dataset.messageId;
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                this.editMessage(messageId, e.target.value);
+            } else if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.cancelEditingMessage(messageId);
+            }
+        });
+        
+        // Model picker
+        this.modelSelect.addEventListener('change', () => this.changeModel(this.modelSelect.value));
+        
+        // Generation settings panel
+        this.settingsButton.addEventListener('click', () => this.openSettings());
+        this.settingsForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveSettings();
+        });
+        document.getElementById('settings-reset').addEventListener('click', () => this.resetSettings());
+        this.settingsModal.querySelectorAll('[data-close-settings]').forEach(button => {
+            button.addEventListener('click', () => this.closeSettings());
+        });
+        
+        // System prompt picker and library
+        this.promptSelect.addEventListener('change', () => this.changePrompt(this.promptSelect.value));
+        this.promptLibraryButton.addEventListener('click', () => this.openPromptLibrary());
+        this.promptForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.savePromptFromForm();
+        });
+        document.getElementById('prompt-new').addEventListener('click', () => this.editPrompt(null));
+        document.getElementById('prompt-delete').addEventListener('click', () => this.deleteEditingPrompt());
+        this.promptModal.querySelectorAll('[data-close-prompts]').forEach(button => {
+            button.addEventListener('click', () => this.closePromptLibrary());
+        });
+        
+        // Export dialog
+        this.exportForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.exportFromForm();
+        });
+        this.exportModal.querySelectorAll('[data-close-export]').forEach(button => {
+            button.addEventListener('click', () => this.closeExport());
+        });
+        
+        // Sign in and out
+        this.loginForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.signIn();
+        });
+        this.logoutButton.addEventListener('click', () => this.signOut());
+        
+        // Input validation and character counting
+        this.messageInput.addEventListener('input', () => {
+            this.updateCharCount();
+            this.validateInput();
+            this.autoResize();
+        });
+        
+        // File attachments: picker, drag and drop, and removing chips
+        this.attachButton.addEventListener('click', () => this.attachInput.click());
+        this.attachInput.addEventListener('change', () => {
+            this.attachFiles(this.attachInput.files);
+            this.attachInput.value = '';
+        });
+        this.attachmentList.addEventListener('click', (e) => {
+            const button = e.target.closest('.attachment-remove');
+            if (button) this.removeAttachment(Number(button.dataset.index));
+        });
+        document.addEventListener('dragenter', (e) => {
+            if (!this.isFileDrag(e)) return;
+            this.dragDepth++;
+            this.inputWrapper.classList.add('drag-over');
+        });
+        document.addEventListener('dragleave', (e) => {
+            if (!this.isFileDrag(e)) return;
+            this.dragDepth = Math.max(0, this.dragDepth - 1);
+            if (this.dragDepth === 0) this.inputWrapper.classList.remove('drag-over');
+        });
+        document.addEventListener('dragover', (e) => {
+            if (this.isFileDrag(e)) e.preventDefault();
+        });
+        document.addEventListener('drop', (e) => {
+            if (!this.isFileDrag(e)) return;
+            e.preventDefault();
+            this.dragDepth = 0;
+            this.inputWrapper.classList.remove('drag-over');
+            this.attachFiles(e.dataTransfer.files);
+        });
+    }
+    
+    /**
+     * Initialize server configuration by detecting the backend port
+     */
+    async initializeServerConfig() {
+        // Try to detect the server configuration
+        const possiblePorts =[3000, 3001, 3002];
+        
+        for (const port of possiblePorts) {
+            try {
+                const configUrl = `http://localhost:${port}/config`;
+                const controller = new AbortController();
+                const timeoutId = setTimeout(() => controller.abort(), 3000); // Increased timeout to 3 seconds
+                
+                const response = await fetch(configUrl, { 
+                    signal: controller.signal,
+                    method: 'GET'
+                });
+                
+                clearTimeout(timeoutId);
+                
+                if (response.ok) {
+                    const config = await response.json();
+                    this.apiUrl = config.apiUrl;
+                    this.healthUrl = config.healthUrl;
+                    this.modelsUrl = config.modelsUrl || `${config.baseUrl}/api/models`;
+                    this.summarizeUrl = `${config.baseUrl}/api/summarize`;
+                    this.titleUrl = `${config.baseUrl}/api/title`;
+                    this.sessionsUrl = config.sessionsUrl || `${config.baseUrl}/api/sessions`;
+                    this.authUrl = config.authUrl || `${config.baseUrl}/api/auth`;
+                    this.vendorUrl = config.vendorUrl || `${config.baseUrl}/vendor`;
+                    this.authEnabled = config.authEnabled === true;
+                    this.defaultOptions = config.defaultOptions || {};
+                    this.optionLimits = config.optionLimits || {};
+                    this.tools = config.tools || [];
+                    this.workspace = config.workspace || null;
+                    console.log(`Connected to backend on port ${config.port}`);
+                    console.log(`API URL: ${this.apiUrl}`);
+                    
+                    // Update status and check backend health
+                    this.checkBackendStatus();
+                    return;
+                }
+            } catch (error) {
+                // Continue trying other ports
+                console.log(`Failed to connect to port ${port}:`, error.message);
+                continue;
+            }
+        }
+        
+        // Fallback: use default URLs and show warning
+        console.warn('Could not detect backend server. Using default configuration.');
+        this.apiUrl = 'http://localhost:3000/api/chat';
+        this.healthUrl = 'http://localhost:3000/health';
+        this.modelsUrl = 'http://localhost:3000/api/models';
+        this.summarizeUrl = 'http://localhost:3000/api/summarize';
+        this.titleUrl = 'http://localhost:3000/api/title';
+        this.sessionsUrl = 'http://localhost:3000/api/sessions';
+        this.authUrl = 'http://localhost:3000/api/auth';
+        this.vendorUrl = 'http://localhost:3000/vendor';
+        this.updateStatus('Backend Not Found', 'error');
+    }
+    
+    /**
+     * Make sure someone is signed in when the server requires accounts,
+     * showing the login screen and waiting for it if needed
+     */
+    async ensureSignedIn() {
+        if (!this.authEnabled) return;
+        
+        try {
+            const response = await this.authFetch(`${this.authUrl}/me`);
+            if (response.ok) {
+                this.setCurrentUser((await response.json()).user);
+                return;
+            }
+        } catch (error) {
+            // Backend unreachable: carry on, requests will report the error
+            console.error('Failed to check sign-in:', error);
+            return;
+        }
+        
+        await new Promise(resolve => this.loginWaiters.push(resolve));
+    }
+    
+    /**
+     * Fetch with the signed-in user's token; a 401 response opens the login screen
+     * @returns {Promise<Response>}
+     */
+    async authFetch(url, options = {}) {
+        const response = await fetch(url, {
+            ...options,
+            headers: this.authHeaders(options.headers)
+        });
+        
+        if (response.status === 401 && this.authEnabled) {
+            const hadToken = Boolean(this.authToken);
+            this.clearAuthToken();
+            this.showLogin(hadToken ? 'Your session has expired. Please sign in again.' : '');
+        }
+        return response;
+    }
+    
+    /**
+     * Request headers with the Authorization header added when signed in
+     */
+    authHeaders(headers = {}) {
+        return this.authToken
+            ? { ...headers, 'Authorization': `Bearer ${this.authToken}` }
+            : { ...headers };
+    }
+    
+    /**
+     * Show the login screen
+     * @param {string} [message] - Shown above the form (e.g. why sign-in is needed)
+     */
+    showLogin(message = '') {
+        if (this.loginModal.style.display === 'flex') return;
+        
+        this.loginError.textContent = message;
+        this.loginModal.style.display = 'flex';
+        document.getElementById('login-username').focus();
+    }
+    
+    /**
+     * Sign in with the login form's credentials
+     */
+    async signIn() {
+        const usernameInput = document.getElementById('login-username');
+        const passwordInput = document.getElementById('login-password');
+        const submitButton = document.getElementById('login-submit');
+        
+        if (!usernameInput.value.trim() || !passwordInput.value) {
+            this.loginError.textContent = 'Enter your username and password.';
+            return;
+        }
+        
+        submitButton.disabled = true;
+        this.loginError.textContent = '';
+        try {
+            const response = await fetch(`${this.authUrl}/login`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    username: usernameInput.value.trim(),
+                    password: passwordInput.value
+                })
+            });
+            
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+            }
+            
+            this.authToken = data.token;
+            localStorage.setItem(this.authKey, data.token);
+            this.setCurrentUser(data.user);
+            
+            passwordInput.value = '';
+            this.loginModal.style.display = 'none';
+            this.loginWaiters.splice(0).forEach(resolve => resolve());
+            this.syncNow();
+        } catch (error) {
+            console.error('Sign-in failed:', error);
+            this.loginError.textContent = error.message;
+        } finally {
+            submitButton.disabled = false;
+        }
+    }
+    
+    /**
+     * Sign out: revoke the token on the server and return to the login screen
+     */
+    async signOut() {
+        if (!confirm(`Sign out${this.currentUser ? ` ${this.currentUser.username}` : ''}?`)) return;
+        
+        try {
+            await this.authFetch(`${this.authUrl}/logout`, { method: 'POST' });
+        } catch (error) {
+            // The token is dropped locally either way
+            console.error('Failed to sign out on the server:', error);
+        }
+        
+        this.clearAuthToken();
+        window.location.reload();
+    }
+    
+    /**
+     * Remember who is signed in and show the sign-out button
+     */
+    setCurrentUser(user) {
+        this.currentUser = user;
+        this.logoutButton.style.display = user ? '' : 'none';
+        this.logoutButton.title = user ? `Sign out (${user.username})` : 'Sign out';
+    }
+    
+    /**
+     * Forget the stored token
+     */
+    clearAuthToken() {
+        this.authToken = null;
+        localStorage.removeItem(this.authKey);
+        this.setCurrentUser(null);
+    }
+    
+    /**
+     * Fetch installed models from the backend and populate the model picker
+     */
+    async loadModels() {
+        try {
+            const response = await this.authFetch(this.modelsUrl);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            
+            const data = await response.json();
+            this.defaultModel = data.default;
+            this.availableModels = data.models || [];
+            
+            const selected = this.modelSelect.value;
+            this.modelSelect.innerHTML = '';
+            this.availableModels.forEach(model => {
+                const option = document.createElement('option');
+                option.value = model.name;
+                option.textContent = model.name;
+                option.title = this.describeModel(model);
+                this.modelSelect.appendChild(option);
+            });
+            
+            this.selectModel(this.availableModels.some(m => m.name === selected) ? selected : this.defaultModel);
+        } catch (error) {
+            // Keep the default option from the page so chat still works
+            console.warn('Failed to load model list:', error.message);
+        }
+    }
+    
+    /**
+     * Build a tooltip describing an installed model
+     * @param {Object} model - Model entry from /api/models
+     * @returns {string} Human-readable model details
+     */
+    describeModel(model) {
+        const details = [
+            model.family,
+            model.parameter_size,
+            model.quantization,
+            model.size ? `${(model.size / 1e9).toFixed(1)} GB` : null,
+            model.modified_at ? `modified ${new Date(model.modified_at).toLocaleDateString()}` : null
+        ];
+        return details.filter(Boolean).join(' • ');
+    }
+    
+    /**
+     * Select a model in the picker, adding it if it is not in the list
+     * (e.g. a session created with a model that has since been removed)
+     * @param {string} modelName - Model to select
+     */
+    selectModel(modelName) {
+        if (!modelName) return;
+        
+        const exists = Array.from(this.modelSelect.options).some(option => option.value === modelName);
+        if (!exists) {
+            const option = document.createElement('option');
+            option.value = modelName;
+            option.textContent = `${modelName} (not installed)`;
+            this.modelSelect.appendChild(option);
+        }
+        
+        this.modelSelect.value = modelName;
+    }
+    
+    /**
+     * Switch the current session to another model
+     * @param {string} modelName - Model selected in the picker
+     */
+    async changeModel(modelName) {
+        if (!this.chatHistory.currentSessionId) return;
+        
+        try {
+            await this.chatHistory.setSessionModel(this.chatHistory.currentSessionId, modelName);
+            console.log(`Session now using model: ${modelName}`);
+            await this.refreshContextDisplay();
+        } catch (error) {
+            console.error('Failed to change model:', error);
+            this.showError('Failed to change model', error.message);
+        }
+    }
+    
+    /**
+     * Open the generation settings panel for the current session
+     */
+    openSettings() {
+        const session = this.chatHistory.getCurrentSession();
+        const options = session?.options || {};
+        
+        document.getElementById('setting-auto-summarize').checked = Boolean(session?.autoSummarize);
+        
+        const toolsCheckbox = document.getElementById('setting-tools');
+        toolsCheckbox.checked = Boolean(session?.toolsEnabled) && this.tools.length > 0;
+        toolsCheckbox.disabled = this.tools.length === 0;
+        document.getElementById('setting-tools-list').textContent = this.tools.length > 0
+            ? `Available: ${this.tools.map(tool => tool.name).join(', ')}` +
+                (this.workspace ? ` (files under ${this.workspace.root}, read-only)` : '')
+            : 'The server has no tools configured';
+        
+        this.settingsForm.querySelectorAll('[data-option]').forEach(field => {
+            const key = field.dataset.option;
+            const limits = this.optionLimits[key];
+            const defaultValue = this.defaultOptions[key];
+            
+            if (key === 'stop') {
+                field.value = (options.stop || []).join('\n');
+                return;
+            }
+            
+            if (limits) {
+                field.min = limits.min;
+                field.max = limits.max;
+            }
+            field.placeholder = defaultValue !== undefined ? `Default: ${defaultValue}` : 'Model default';
+            field.value = options[key] !== undefined ? options[key] : '';
+        });
+        
+        this.settingsModal.style.display = 'flex';
+    }
+    
+    /**
+     * Close the generation settings panel
+     */
+    closeSettings() {
+        this.settingsModal.style.display = 'none';
+    }
+    
+    /**
+     * Read overrides from the settings form; empty fields fall back to server defaults
+     * @returns {Object} Generation option overrides
+     */
+    readSettingsForm() {
+        const options = {};
+        
+        this.settingsForm.querySelectorAll('[data-option]').forEach(field => {
+            const key = field.dataset.option;
+            
+            if (key === 'stop') {
+                const stop = field.value.split('\n').filter(line => line.length > 0);
+                if (stop.length > 0) options.stop = stop;
+                return;
+            }
+            
+            if (field.value.trim() !== '') {
+                options[key] = Number(field.value);
+            }
+        });
+        
+        return options;
+    }
+    
+    /**
+     * Save the settings form as overrides for the current session
+     */
+    async saveSettings() {
+        if (!this.settingsForm.reportValidity()) return;
+        if (!this.chatHistory.currentSessionId) return;
+        
+        const sessionId = this.chatHistory.currentSessionId;
+        const autoSummarize = document.getElementById('setting-auto-summarize').checked;
+        const toolsEnabled = document.getElementById('setting-tools').checked;
+        
+        try {
+            await this.chatHistory.setSessionOptions(sessionId, this.readSettingsForm());
+            await this.chatHistory.setSessionAutoSummarize(sessionId, autoSummarize);
+            await this.chatHistory.setSessionTools(sessionId, toolsEnabled);
+            this.updateSettingsIndicator();
+            await this.refreshContextDisplay();
+            this.scheduleSummarization();
+            this.closeSettings();
+        } catch (error) {
+            console.error('Failed to save settings:', error);
+            this.showError('Failed to save settings', error.message);
+        }
+    }
+    
+    /**
+     * Clear the form so every option uses the server default
+     */
+    resetSettings() {
+        this.settingsForm.querySelectorAll('[data-option]').forEach(field => {
+            field.value = '';
+        });
+        document.getElementById('setting-auto-summarize').checked = false;
+        document.getElementById('setting-tools').checked = false;
+    }
+    
+    /**
+     * Highlight the settings button when the current session has overrides
+     */
+    updateSettingsIndicator() {
+        const session = this.chatHistory.getCurrentSession();
+        const options = session?.options || {};
+        const hasOverrides = Object.keys(options).length > 0 || Boolean(session?.autoSummarize) || Boolean(session?.toolsEnabled);
+        
+        this.settingsButton.classList.toggle('active', hasOverrides);
+        this.settingsButton.title = hasOverrides ? 'Generation settings (customized for this chat)' : 'Generation settings';
+    }
+    
+    /**
+     * Rebuild the system prompt picker from the prompt library
+     */
+    updatePromptOptions() {
+        const selected = this.promptSelect.value;
+        
+        this.promptSelect.innerHTML = '<option value="">Default assistant</option>';
+        this.chatHistory.prompts.forEach(prompt => {
+            const option = document.createElement('option');
+            option.value = prompt.id;
+            option.textContent = prompt.name;
+            this.promptSelect.appendChild(option);
+        });
+        
+        this.selectPrompt(selected);
+    }
+    
+    /**
+     * Select a prompt in the picker, falling back to the default prompt if it no longer exists
+     * @param {string|null} promptId - Prompt to select
+     */
+    selectPrompt(promptId) {
+        const exists = this.chatHistory.prompts.some(prompt => prompt.id === promptId);
+        this.promptSelect.value = exists ? promptId : '';
+    }
+    
+    /**
+     * Switch the current session to another system prompt
+     * @param {string} promptId - Prompt selected in the picker ('' for the default)
+     */
+    async changePrompt(promptId) {
+        if (!this.chatHistory.currentSessionId) return;
+        
+        try {
+            await this.chatHistory.setSessionPrompt(this.chatHistory.currentSessionId, promptId || null);
+            await this.refreshContextDisplay();
+        } catch (error) {
+            console.error('Failed to change system prompt:', error);
+            this.showError('Failed to change system prompt', error.message);
+        }
+    }
+    
+    /**
+     * Open the system prompt library
+     */
+    openPromptLibrary() {
+        this.editPrompt(this.promptSelect.value || null);
+        this.promptModal.style.display = 'flex';
+        this.promptNameInput.focus();
+    }
+    
+    /**
+     * Close the system prompt library
+     */
+    closePromptLibrary() {
+        this.promptModal.style.display = 'none';
+    }
+    
+    /**
+     * Render the list of saved prompts in the library
+     */
+    renderPromptList() {
+        this.promptList.innerHTML = '';
+        
+        if (this.chatHistory.prompts.length === 0) {
+            this.promptList.innerHTML = '<div class="no-sessions">No saved prompts</div>';
+            return;
+        }
+        
+        this.chatHistory.prompts.forEach(prompt => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = `prompt-item ${prompt.id === this.editingPromptId ? 'active' : ''}`;
+            item.textContent = prompt.name;
+            item.addEventListener('click', () => this.editPrompt(prompt.id));
+            this.promptList.appendChild(item);
+        });
+    }
+    
+    /**
+     * Load a prompt into the editor, or clear it to create a new one
+     * @param {string|null} promptId - Prompt to edit, null for a new prompt
+     */
+    editPrompt(promptId) {
+        const prompt = this.chatHistory.prompts.find(p => p.id === promptId);
+        
+        this.editingPromptId = prompt ? prompt.id : null;
+        this.promptNameInput.value = prompt ? prompt.name : '';
+        this.promptContentInput.value = prompt ? prompt.content : '';
+        document.getElementById('prompt-delete').disabled = !prompt;
+        
+        this.renderPromptList();
+    }
+    
+    /**
+     * Save the prompt in the editor to the library
+     */
+    async savePromptFromForm() {
+        if (!this.promptForm.reportValidity()) return;
+        
+        try {
+            const prompt = await this.chatHistory.savePrompt({
+                id: this.editingPromptId,
+                name: this.promptNameInput.value,
+                content: this.promptContentInput.value
+            });
+            
+            this.updatePromptOptions();
+            this.editPrompt(prompt.id);
+            this.contextCache = null;
+        } catch (error) {
+            console.error('Failed to save prompt:', error);
+            this.showError('Failed to save prompt', error.message);
+        }
+    }
+    
+    /**
+     * Delete the prompt currently open in the editor
+     */
+    async deleteEditingPrompt() {
+        const prompt = this.chatHistory.prompts.find(p => p.id === this.editingPromptId);
+        if (!prompt) return;
+        
+        if (confirm(`Delete the system prompt "${prompt.name}"? Chats using it will switch to the default assistant.`)) {
+            try {
+                await this.chatHistory.deletePrompt(prompt.id);
+                this.updatePromptOptions();
+                this.editPrompt(null);
+                this.contextCache = null;
+            } catch (error) {
+                console.error('Failed to delete prompt:', error);
+                this.showError('Failed to delete prompt', error.message);
+            }
+        }
+    }
+    
+    /**
+     * Open the export dialog for one session, or for all sessions
+     * @param {string|null} sessionId - Session to export (all when null)
+     */
+    openExport(sessionId = null) {
+        const session = sessionId ? this.chatHistory.sessions.find(s => s.id === sessionId) : null;
+        if (sessionId && !session) return;
+        
+        this.exportSessionId = sessionId;
+        this.exportScopeLabel.textContent = session
+            ? `Export "${session.title}"`
+            : `Export all ${this.chatHistory.sessions.length} chats`;
+        this.exportModal.style.display = 'flex';
+    }
+    
+    /**
+     * Close the export dialog
+     */
+    closeExport() {
+        this.exportModal.style.display = 'none';
+    }
+    
+    /**
+     * Export the chosen sessions in the format picked in the dialog and download the file
+     */
+    async exportFromForm() {
+        const format = this.exportForm.elements['export-format'].value;
+        
+        try {
+            const data = await this.chatHistory.exportSessions(this.exportSessionId ? [this.exportSessionId] : null);
+            if (data.sessions.length === 0) {
+                throw new Error('There are no chats to export');
+            }
+            
+            const baseName = this.exportSessionId
+                ? this.slugify(data.sessions[0].title) || 'chat'
+                : `kimi-k2-chats-${new Date().toISOString().slice(0, 10)}`;
+            
+            if (format === 'json') {
+                this.downloadFile(`${baseName}.json`, JSON.stringify(data, null, 2), 'application/json');
+            } else if (format === 'html') {
+                this.downloadFile(`${baseName}.html`, this.buildHtmlExport(data), 'text/html');
+            } else {
+                this.downloadFile(`${baseName}.md`, this.buildMarkdownExport(data), 'text/markdown');
+            }
+            
+            this.closeExport();
+        } catch (error) {
+            console.error('Failed to export chats:', error);
+            this.showError('Failed to export chats', error.message);
+        }
+    }
+    
+    /**
+     * Render exported sessions as Markdown (selected branch only).
+     * Message content is already Markdown, so code fences are kept as written.
+     * @param {Object} data - Export from ChatHistory.exportSessions
+     */
+    buildMarkdownExport(data) {
+        return data.sessions.map(session => {
+            const details = this.describeExportedSession(session, data.prompts);
+            const lines = [
+                `# ${session.title}`,
+                '',
+                ...details.map(detail => `- ${detail}`),
+                ''
+            ];
+            
+            this.chatHistory.selectActiveBranch(session.messages, session.selectedVersions).forEach(message => {
+                const sender = message.role === 'user' ? 'You' : 'Kimi-K2';
+                lines.push(`## ${sender} · ${new Date(message.timestamp).toLocaleString()}`, '', message.content.trim(), '');
+                if (message.attachments?.length) {
+                    lines.push(`*Attached: ${message.attachments.map(file => file.name).join(', ')}*`, '');
+                }
+                if (message.usage) {
+                    lines.push(`*Tokens: ${message.usage.total_tokens || 0} (${message.usage.prompt_tokens || 0}+${message.usage.completion_tokens || 0})*`, '');
+                }
+            });
+            
+            return lines.join('\n');
+        }).join('\n---\n\n');
+    }
+    
+    /**
+     * Render exported sessions as a standalone HTML page (selected branch only)
+     * @param {Object} data - Export from ChatHistory.exportSessions
+     */
+    buildHtmlExport(data) {
+        const sessions = data.sessions.map(session => {
+            const details = this.describeExportedSession(session, data.prompts)
+                .map(detail => this.escapeHtml(detail))
+                .join(' · ');
+            const messages = this.chatHistory.selectActiveBranch(session.messages, session.selectedVersions).map(message => `
+                <article class="message ${message.role}">
+                    <header>${message.role === 'user' ? 'You' : 'Kimi-K2'} · ${this.escapeHtml(new Date(message.timestamp).toLocaleString())}</header>
+                    <div class="message-content">${this.formatContent(message.content)}</div>${message.attachments?.length ? `
+                    <p class="details">Attached: ${this.escapeHtml(message.attachments.map(file => file.name).join(', '))}</p>` : ''}
+                </article>`).join('');
+            
+            return `
+            <section>
+                <h1>${this.escapeHtml(session.title)}</h1>
+                <p class="details">${details}</p>${messages}
+            </section>`;
+        }).join('');
+        
+        const title = data.sessions.length === 1 ? data.sessions[0].title : 'Kimi-K2 chats';
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${this.escapeHtml(title)}</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f8f9fa; color: #2c3e50; margin: 0; padding: 2rem 1rem; }
+        section { max-width: 860px; margin: 0 auto 3rem; }
+        h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+        .details { color: #6c757d; font-size: 0.9rem; margin-top: 0; }
+        .message { margin: 1rem 0; }
+        .message header { font-size: 0.85rem; font-weight: 600; color: #6c757d; margin-bottom: 0.25rem; }
+        .message-content { padding: 0.75rem 1rem; border-radius: 8px; border-left: 4px solid; line-height: 1.6; overflow-wrap: anywhere; }
+        .message.user .message-content { background: #e3f2fd; border-left-color: #3498db; }
+        .message.assistant .message-content { background: #e8f5e8; border-left-color: #27ae60; }
+        pre { background: #2d2d2d; color: #f8f8f2; padding: 1rem; border-radius: 6px; overflow-x: auto; }
+        code { font-family: 'Fira Code', Consolas, monospace; font-size: 0.9em; }
+        :not(pre) > code { background: rgba(0, 0, 0, 0.06); padding: 0.1rem 0.3rem; border-radius: 3px; }
+        table { border-collapse: collapse; }
+        th, td { border: 1px solid #dee2e6; padding: 0.4rem 0.75rem; }
+    </style>
+</head>
+<body>${sessions}
+</body>
+</html>
+`;
+    }
+    
+    /**
+     * One-line facts about an exported session (model, prompt, dates)
+     */
+    describeExportedSession(session, prompts = []) {
+        const details = [];
+        if (session.model) {
+            details.push(`Model: ${session.model}`);
+        }
+        const prompt = prompts.find(p => p.id === session.promptId);
+        if (prompt) {
+            details.push(`System prompt: ${prompt.name}`);
         }
+        details.push(`Created: ${new Date(session.createdAt).toLocaleString()}`);
+        details.push(`Messages: ${session.messages.length}`);
+        return details;
     }
-
+    
     /**
-     * Delete a session
+     * Import sessions from a JSON export file chosen by the user
+     * @param {File} file - Selected file
      */
-    async deleteSession(sessionId) {
-        const session = this.chatHistory.sessions.find(s => s.id === sessionId);
-        if (!session) return;
-
-        if (confirm(`Are you sure you want to delete "${session.title}"?`)) {
+    async importSessionsFromFile(file) {
+        try {
+            let data;
             try {
-                await this.chatHistory.deleteSession(sessionId);
-                
-                // If this was the current session, create a new one
-                if (sessionId === this.chatHistory.currentSessionId) {
-                    this.clearChat();
-                    await this.chatHistory.createSession();
-                }
-                
-                this.updateHistoryDisplay();
+                data = JSON.parse(await file.text());
             } catch (error) {
-                console.error('Failed to delete session:', error);
-                this.showError('Failed to delete session');
+                throw new Error('The file is not valid JSON');
+            }
+            
+            const existingIds = new Set(this.chatHistory.sessions.map(s => s.id));
+            const conflicts = Array.isArray(data?.sessions)
+                ? data.sessions.filter(session => existingIds.has(session?.id)).length
+                : 0;
+            const replaceExisting = conflicts > 0 &&
+                confirm(`${conflicts} of the imported chats already exist. OK to replace them, Cancel to keep both copies.`);
+            
+            const imported = await this.chatHistory.importSessions(data, { replaceExisting });
+            
+            this.updatePromptOptions();
+            this.updateHistoryDisplay();
+            this.updateStatus(`Imported ${imported.length} chat${imported.length === 1 ? '' : 's'}`, 'success');
+            
+            // The open chat may have been replaced
+            const currentSessionId = this.chatHistory.currentSessionId;
+            if (replaceExisting && imported.some(session => session.id === currentSessionId)) {
+                await this.loadSession(currentSessionId);
             }
+        } catch (error) {
+            console.error('Failed to import chats:', error);
+            this.showError('Failed to import chats', error.message);
         }
     }
     
     /**
-     * Bind event listeners to DOM elements
+     * Save generated text as a file download
      */
-    bindEvents() {
-        // Send button click handler
-        this.sendButton.addEventListener('click', () => this.sendMessage());
-        
-        // Keyboard shortcuts for sending messages
-        this.messageInput.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
-                e.preventDefault();
-                this.sendMessage();
-            } else if (e.key === 'Enter' && !e.shiftKey) {
-                e.preventDefault();
-                this.sendMessage();
-            }
-        });
-        
-        // Input validation and character counting
-        this.messageInput.addEventListener('input', () => {
-            this.updateCharCount();
-            this.validateInput();
-            this.autoResize();
-        });
+    downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
     
     /**
-     * Initialize server configuration by detecting the backend port
+     * Turn a title into a safe file name
      */
-    async initializeServerConfig() {
-        // Try to detect the server configuration
-        const possiblePorts =[3000, 3001, 3002];
-        
-        for (const port of possiblePorts) {
-            try {
-                const configUrl = `http://localhost:${port}/config`;
-                const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), 3000); // Increased timeout to 3 seconds
-                
-                const response = await fetch(configUrl, { 
-                    signal: controller.signal,
-                    method: 'GET'
-                });
-                
-                clearTimeout(timeoutId);
-                
-                if (response.ok) {
-                    const config = await response.json();
-                    this.apiUrl = config.apiUrl;
-                    this.healthUrl = config.healthUrl;
-                    console.log(`Connected to backend on port ${config.port}`);
-                    console.log(`API URL: ${this.apiUrl}`);
-                    
-                    // Update status and check backend health
-                    this.checkBackendStatus();
-                    return;
-                }
-            } catch (error) {
-                // Continue trying other ports
-                console.log(`Failed to connect to port ${port}:`, error.message);
-                continue;
-            }
-        }
-        
-        // Fallback: use default URLs and show warning
-        console.warn('Could not detect backend server. Using default configuration.');
-        this.apiUrl = 'http://localhost:3000/api/chat';
-        this.healthUrl = 'http://localhost:3000/health';
-        this.updateStatus('Backend Not Found', 'error');
+    slugify(text) {
+        return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
     }
     
     /**
@@ -917,7 +3279,8 @@ class ChatApp {
      */
     validateInput() {
         const message = this.messageInput.value.trim();
-        const isValid = message.length > 0 && message.length <= 4000 && !this.isLoading;
+        const hasContent = message.length > 0 || this.pendingAttachments.length > 0;
+        const isValid = hasContent && message.length <= 4000 && !this.isLoading;
         
         this.sendButton.disabled = !isValid;
         this.sendButton.style.opacity = isValid ? '1' : '0.6';
@@ -931,6 +3294,140 @@ class ChatApp {
         this.messageInput.style.height = Math.min(this.messageInput.scrollHeight, 120) + 'px';
     }
     
+    /**
+     * Whether a drag event carries files (not text or a link)
+     */
+    isFileDrag(e) {
+        return Array.from(e.dataTransfer?.types || []).includes('Files');
+    }
+    
+    /**
+     * Read dropped or picked files and add them to the message being written
+     * 
+     * Only text is accepted. Files longer than maxAttachmentChars are cut off;
+     * the chip and the text sent to the model both say so.
+     * @param {FileList|Array<File>} files - Files to attach
+     */
+    async attachFiles(files) {
+        const problems = [];
+        
+        for (const file of Array.from(files)) {
+            if (this.pendingAttachments.length >= this.maxAttachments) {
+                problems.push(`${file.name}: at most ${this.maxAttachments} files can be attached to a message`);
+                continue;
+            }
+            
+            try {
+                // Read only what can be sent; UTF-8 needs at most 4 bytes per character
+                const text = await file.slice(0, this.maxAttachmentChars * 4).text();
+                if (text.includes('\u0000')) {
+                    problems.push(`${file.name}: binary files cannot be attached`);
+                    continue;
+                }
+                
+                const content = text.slice(0, this.maxAttachmentChars);
+                this.pendingAttachments.push({
+                    name: file.name,
+                    language: this.detectLanguage(file.name),
+                    size: file.size,
+                    content,
+                    truncated: content.length < text.length || file.size > this.maxAttachmentChars * 4
+                });
+            } catch (error) {
+                problems.push(`${file.name}: ${error.message}`);
+            }
+        }
+        
+        this.renderPendingAttachments();
+        this.validateInput();
+        
+        if (problems.length > 0) {
+            this.showError('Some files could not be attached', problems.join('\n'));
+        }
+    }
+    
+    /**
+     * Drop a file from the message being written
+     * @param {number} index - Position in pendingAttachments
+     */
+    removeAttachment(index) {
+        this.pendingAttachments.splice(index, 1);
+        this.renderPendingAttachments();
+        this.validateInput();
+        this.messageInput.focus();
+    }
+    
+    /**
+     * Show the chips of the files attached to the message being written
+     */
+    renderPendingAttachments() {
+        this.attachmentList.innerHTML = this.pendingAttachments
+            .map((file, index) => this.formatAttachmentChip(file, index))
+            .join('');
+    }
+    
+    /**
+     * Chip for an attached file
+     * @param {Object} file - { name, language, size, content, truncated }
+     * @param {number|null} index - Position in pendingAttachments (adds a remove button)
+     */
+    formatAttachmentChip(file, index = null) {
+        const name = this.escapeHtml(file.name);
+        const truncated = file.truncated
+            ? `<span class="attachment-truncated" title="Only the first ${file.content.length} characters are sent">truncated</span>`
+            : '';
+        const remove = index !== null ? `
+            <button type="button" class="attachment-remove" data-index="${index}" title="Remove" aria-label="Remove attachment">
+                <i class="fas fa-times" aria-hidden="true"></i>
+            </button>` : '';
+        
+        return `
+            <span class="attachment-chip">
+                <i class="fas fa-file-code" aria-hidden="true"></i>
+                <span class="attachment-name">${name}</span>
+                <small>${this.escapeHtml(file.language)} · ${this.formatFileSize(file.size)}</small>
+                ${truncated}${remove}
+            </span>`;
+    }
+    
+    /**
+     * Human-readable file size
+     */
+    formatFileSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    
+    /**
+     * Language of a file from its name, as used for code fences (Prism names)
+     * @param {string} fileName - e.g. "server.js" or "Dockerfile"
+     * @returns {string} Language, "text" when unknown
+     */
+    detectLanguage(fileName) {
+        const names = { dockerfile: 'docker', makefile: 'makefile', cmakelists: 'cmake' };
+        const lowerName = fileName.toLowerCase();
+        const baseName = lowerName.split('.')[0];
+        const extension = lowerName.includes('.') ? lowerName.split('.').pop() : '';
+        if (Object.hasOwn(this.fileLanguages, extension)) return this.fileLanguages[extension];
+        return Object.hasOwn(names, baseName) ? names[baseName] : 'text';
+    }
+    
+    /**
+     * File extension for code in a language, for downloads ("txt" if unknown)
+     * @param {string} language - Code fence language, e.g. "python", "py" or "c++"
+     */
+    languageExtension(language) {
+        const aliases = {
+            'c++': 'cpp', 'c#': 'cs', golang: 'go', shell: 'sh', console: 'sh', zsh: 'sh',
+            plaintext: 'txt', plain: 'txt', yml: 'yaml', javascriptreact: 'jsx', typescriptreact: 'tsx'
+        };
+        const name = language.toLowerCase();
+        const extension = Object.keys(this.fileLanguages).find(key => this.fileLanguages[key] === name);
+        if (Object.hasOwn(aliases, name)) return aliases[name];
+        return extension || (Object.hasOwn(this.fileLanguages, name) ? name : 'txt');
+    }
+    
     /**
      * Check backend server health and update status indicator
      */
@@ -977,12 +3474,38 @@ class ChatApp {
         }
     }
     
+    /**
+     * Show the session's rolling summary at the top of the chat
+     * @param {Object|null} summary - Summary stored on the session
+     */
+    renderSummaryNotice(summary) {
+        let notice = document.getElementById('summary-notice');
+        
+        if (!summary) {
+            if (notice) notice.remove();
+            return;
+        }
+        
+        if (!notice) {
+            notice = document.createElement('details');
+            notice.id = 'summary-notice';
+            notice.className = 'summary-notice';
+            notice.innerHTML = '<summary></summary><div class="summary-notice-content"></div>';
+            this.chatContainer.insertBefore(notice, this.chatContainer.querySelector('.message'));
+        }
+        
+        const count = summary.messageIds.length;
+        notice.querySelector('summary').textContent = `Earlier conversation summarized (${count} message${count === 1 ? '' : 's'})`;
+        notice.querySelector('.summary-notice-content').textContent = summary.content;
+    }
+    
     /**
      * Send a message to the chat API with optimizations
      */
     async sendMessage() {
         const messageText = this.messageInput.value.trim();
-        if (!messageText || this.isLoading) return;
+        const attachments = this.pendingAttachments;
+        if ((!messageText && attachments.length === 0) || this.isLoading) return;
         
         // Prevent duplicate requests
         if (this.activeRequest) {
@@ -997,37 +3520,280 @@ class ChatApp {
         
         // Clear and reset input field early for better UX
         this.messageInput.value = '';
+        this.pendingAttachments = [];
+        this.renderPendingAttachments();
         this.updateCharCount();
         this.validateInput();
         this.autoResize();
         
-        // Show loading state
+        // Show loading state
+        this.setLoading(true);
+        
+        try {
+            // Add user message to chat (optimized to batch with response)
+            const userMessage = await this.addMessage('user', messageText, null, true, attachments.length > 0 ? { attachments } : {});
+            
+            // Let a summary started after the previous reply land first
+            if (this.pendingSummary) {
+                await this.pendingSummary;
+            }
+            
+            // Get messages for API request with caching
+            const context = await this.getOptimizedMessagesForRequest();
+            this.updateContextDisplay(context);
+            
+            // Create request signature for deduplication
+            const requestSignature = this.createRequestSignature(context.messages);
+            
+            // Set active request
+            this.activeRequest = requestSignature;
+            
+            await this.generateReply(context, { parentId: userMessage.id });
+            
+        } catch (error) {
+            console.error('Chat error:', error);
+            this.showError('Failed to get response', error.message);
+            this.updateStatus('Error', 'error');
+        } finally {
+            this.setLoading(false);
+            this.activeRequest = null;
+        }
+    }
+    
+    /**
+     * Stream a reply for the given context into a new bubble (or an existing
+     * one when regenerating) and save it to history
+     * 
+     * @param {Object} context - Context built by ChatHistory.getMessagesForRequest
+     * @param {Object} reply - { parentId, version, messageElement }: the user message
+     *   being answered, the version number of this reply and the bubble to reuse
+     * @returns {Promise<Object|null>} The new message, or null if stopped before any output
+     */
+    async generateReply(context, { parentId = null, version = 1, messageElement = null } = {}) {
+        this.stopController = new AbortController();
+        const metadata = { parentId, version };
+        
+        // The assistant bubble is created when the first token arrives
+        let streamState = null;
+        
+        try {
+            const response = await this.callChatAPI(context.messages, (token) => {
+                if (!streamState) {
+                    this.loadingContainer.style.display = 'none';
+                    streamState = this.beginStreamingMessage(messageElement);
+                }
+                if (!streamState.generating) {
+                    streamState.generating = true;
+                    this.updateStatus('Generating...', 'warning');
+                }
+                this.appendStreamingToken(streamState, token);
+            }, this.stopController.signal, 0, (event) => {
+                if (!streamState) {
+                    this.loadingContainer.style.display = 'none';
+                    streamState = this.beginStreamingMessage(messageElement);
+                }
+                streamState.generating = false;
+                this.updateStatus(event.type === 'tool_call' ? `Running ${event.name}...` : 'Thinking...', 'warning');
+                this.applyToolEvent(streamState, event);
+            });
+            
+            // Use the real prompt size to sharpen future estimates (with tool
+            // calls it covers several requests to the model, so it doesn't count)
+            if (response.usage && !response.toolCalls) {
+                this.chatHistory.calibrateTokenEstimate(this.modelSelect.value, context.rawEstimatedTokens, response.usage.prompt_tokens);
+            }
+            
+            if (!response.reply) {
+                throw new Error('Empty response from server');
+            }
+            
+            if (!streamState) {
+                streamState = this.beginStreamingMessage(messageElement);
+            }
+            const message = await this.finishStreamingMessage(streamState, response.reply, response.usage, metadata);
+            this.scheduleSummarization();
+            this.suggestSessionTitle(this.chatHistory.currentSessionId);
+            return message;
+            
+        } catch (error) {
+            if (this.stopController.signal.aborted) {
+                return this.handleStoppedGeneration(streamState, metadata);
+            }
+            
+            if (streamState) {
+                streamState.finished = true;
+                streamState.messageElement.classList.remove('streaming');
+            }
+            throw error;
+        } finally {
+            this.stopController = null;
+        }
+    }
+    
+    /**
+     * Abort the reply currently being generated
+     */
+    stopGeneration() {
+        if (this.stopController) {
+            console.log('Stopping generation at user request');
+            this.stopController.abort();
+        }
+    }
+    
+    /**
+     * Keep whatever part of the reply arrived before the user pressed Stop
+     * @param {Object|null} streamState - Streaming state, if any tokens arrived
+     * @param {Object} metadata - Fields saved with the reply (parentId, version)
+     * @returns {Promise<Object|null>} The partial message, or null if nothing arrived
+     */
+    async handleStoppedGeneration(streamState, metadata = {}) {
+        this.updateStatus('Stopped', 'warning');
+        
+        if (!streamState || !streamState.message.content) {
+            return null;
+        }
+        
+        return this.finishStreamingMessage(streamState, streamState.message.content, null, { ...metadata, stopped: true });
+    }
+    
+    /**
+     * Generate a new version of an assistant reply from the same context.
+     * The new reply starts a branch; later messages stay on the old one.
+     * @param {string} messageId - Reply to regenerate
+     */
+    async regenerateMessage(messageId) {
+        if (this.isLoading || this.activeRequest) return;
+        
+        const sessionId = this.chatHistory.currentSessionId;
+        const original = this.messages.find(m => String(m.id) === String(messageId));
+        const messageElement = this.findMessageElement(messageId);
+        if (!sessionId || !original || !messageElement) return;
+        
+        this.setLoading(true);
+        this.activeRequest = `regenerate:${messageId}`;
+        
+        try {
+            const parentId = original.parentId;
+            if (!parentId) {
+                throw new Error('Could not find the message this reply answers');
+            }
+            
+            const siblings = await this.chatHistory.getSiblingMessages(sessionId, parentId);
+            const context = await this.chatHistory.getMessagesForRequest(sessionId, this.getContextBudget(), parentId);
+            
+            this.removeMessagesAfter(messageElement);
+            const message = await this.generateReply(context, {
+                parentId,
+                version: siblings.length + 1,
+                messageElement
+            });
+            
+            if (message) {
+                await this.chatHistory.selectVersion(sessionId, parentId, message.id);
+                await this.refreshContextDisplay();
+            } else {
+                // Stopped before any output: put the original branch back
+                await this.showActiveBranch();
+            }
+        } catch (error) {
+            console.error('Regenerate error:', error);
+            await this.showActiveBranch();
+            this.showError('Failed to regenerate response', error.message);
+            this.updateStatus('Error', 'error');
+        } finally {
+            this.setLoading(false);
+            this.activeRequest = null;
+        }
+    }
+    
+    /**
+     * Replace a user message's text with an inline editor
+     * @param {string} messageId - User message to edit
+     */
+    startEditingMessage(messageId) {
+        if (this.isLoading) return;
+        
+        const message = this.messages.find(m => String(m.id) === String(messageId));
+        const messageElement = this.findMessageElement(messageId);
+        if (!message || !messageElement) return;
+        
+        const contentDiv = messageElement.querySelector('.message-content');
+        contentDiv.innerHTML = `
+            <div class="message-edit">
+                <textarea class="message-edit-input" rows="3" maxlength="4000" aria-label="Edit message"></textarea>
+                <div class="message-edit-actions">
+                    <button type="button" class="btn btn-secondary message-edit-cancel">Cancel</button>
+                    <button type="button" class="btn btn-primary message-edit-save">Save & Submit</button>
+                </div>
+            </div>
+        `;
+        messageElement.querySelector('.message-actions')?.remove();
+        
+        const input = contentDiv.querySelector('.message-edit-input');
+        input.value = message.content;
+        input.focus();
+    }
+    
+    /**
+     * Close the inline editor without changing the message
+     */
+    cancelEditingMessage(messageId) {
+        const message = this.messages.find(m => String(m.id) === String(messageId));
+        const messageElement = this.findMessageElement(messageId);
+        if (!message || !messageElement) return;
+        
+        this.updateMessageContent(messageElement, message, message.usage);
+    }
+    
+    /**
+     * Save an edited user message as a new branch from the same point of the
+     * conversation and get a reply to it. The original branch is kept.
+     * @param {string} messageId - User message that was edited
+     * @param {string} content - New message text
+     */
+    async editMessage(messageId, content) {
+        const text = content.trim();
+        if (this.isLoading || this.activeRequest) return;
+        
+        const sessionId = this.chatHistory.currentSessionId;
+        const original = this.messages.find(m => String(m.id) === String(messageId));
+        const messageElement = this.findMessageElement(messageId);
+        if (!sessionId || !original || !messageElement) return;
+        if (!text && !original.attachments?.length) return;
+        
+        if (text === original.content) {
+            this.cancelEditingMessage(messageId);
+            return;
+        }
+        
         this.setLoading(true);
+        this.activeRequest = `edit:${messageId}`;
         
         try {
-            // Add user message to chat (optimized to batch with response)
-            const userMessage = await this.addMessage('user', messageText);
-            
-            // Get messages for API request with caching
-            const messages = await this.getOptimizedMessagesForRequest();
-            
-            // Create request signature for deduplication
-            const requestSignature = this.createRequestSignature(messages);
+            const parentId = original.parentId || null;
+            const siblings = await this.chatHistory.getSiblingMessages(sessionId, parentId);
+            const version = siblings.length + 1;
             
-            // Set active request
-            this.activeRequest = requestSignature;
+            this.removeMessagesAfter(messageElement);
+            messageElement.remove();
+            this.messages = this.messages.filter(m => m !== original);
             
-            const response = await this.callChatAPI(messages);
+            const userMessage = await this.addMessage('user', text, null, true, {
+                ...(original.attachments ? { attachments: original.attachments } : {}),
+                parentId,
+                version,
+                versionIndex: version,
+                versionCount: version
+            });
+            await this.chatHistory.selectVersion(sessionId, parentId, userMessage.id);
             
-            if (response.reply) {
-                // Add assistant message
-                await this.addMessage('assistant', response.reply, response.usage);
-            } else {
-                throw new Error('Empty response from server');
-            }
+            const context = await this.getOptimizedMessagesForRequest();
+            this.updateContextDisplay(context);
             
+            await this.generateReply(context, { parentId: userMessage.id });
         } catch (error) {
-            console.error('Chat error:', error);
+            console.error('Edit error:', error);
+            await this.showActiveBranch();
             this.showError('Failed to get response', error.message);
             this.updateStatus('Error', 'error');
         } finally {
@@ -1036,45 +3802,166 @@ class ChatApp {
         }
     }
     
+    /**
+     * Switch to the previous or next alternative of a message (an edit or a
+     * regenerated reply) and show the branch that continues from it
+     * @param {string} messageId - Message currently shown
+     * @param {number} direction - -1 for previous, 1 for next
+     */
+    async switchMessageVersion(messageId, direction) {
+        if (this.isLoading) return;
+        
+        const sessionId = this.chatHistory.currentSessionId;
+        const current = this.messages.find(m => String(m.id) === String(messageId));
+        if (!sessionId || !current) return;
+        
+        try {
+            const siblings = await this.chatHistory.getSiblingMessages(sessionId, current.parentId);
+            const index = siblings.findIndex(m => m.id === current.id) + direction;
+            if (index < 0 || index >= siblings.length) return;
+            
+            const next = siblings[index];
+            await this.chatHistory.selectVersion(sessionId, current.parentId, next.id);
+            await this.showActiveBranch();
+            
+            this.findMessageElement(next.id)?.scrollIntoView({ block: 'nearest' });
+        } catch (error) {
+            console.error('Failed to switch version:', error);
+            this.showError('Failed to switch version', error.message);
+        }
+    }
+    
+    /**
+     * Re-render the current session along its selected branch
+     */
+    async showActiveBranch() {
+        const sessionId = this.chatHistory.currentSessionId;
+        if (!sessionId) return;
+        
+        const messages = await this.chatHistory.getActiveMessages(sessionId);
+        this.clearChat();
+        this.renderHistoryMessages(messages);
+        await this.refreshContextDisplay();
+    }
+    
+    /**
+     * Render stored messages without saving them again
+     * @param {Array} messages - Messages from ChatHistory.getActiveMessages
+     */
+    renderHistoryMessages(messages) {
+        messages.forEach(message => {
+            this.addMessage(message.role, message.content, message.usage, false, { // false = don't save to history
+                id: message.id,
+                timestamp: new Date(message.timestamp),
+                parentId: message.parentId,
+                stopped: message.stopped,
+                toolCalls: message.toolCalls,
+                attachments: message.attachments,
+                versionIndex: message.versionIndex,
+                versionCount: message.versionCount
+            });
+        });
+    }
+    
+    /**
+     * Remove every message shown after the given bubble (they belong to
+     * another branch once a new one starts there)
+     */
+    removeMessagesAfter(messageElement) {
+        const elements = Array.from(this.chatContainer.querySelectorAll('.message[data-message-id]'));
+        const laterElements = elements.slice(elements.indexOf(messageElement) + 1);
+        const laterIds = new Set(laterElements.map(element => element.dataset.messageId));
+        
+        laterElements.forEach(element => element.remove());
+        this.messages = this.messages.filter(m => !laterIds.has(String(m.id)));
+    }
+    
+    /**
+     * Find the bubble rendered for a message
+     */
+    findMessageElement(messageId) {
+        return Array.from(this.chatContainer.querySelectorAll('.message[data-message-id]'))
+            .find(element => element.dataset.messageId === String(messageId)) || null;
+    }
+    
     /**
      * Make API call to chat endpoint with retry logic
+     * 
+     * The reply is streamed: `onToken` is called with each chunk of text as
+     * it arrives and the promise resolves with the final `{reply, usage}`.
+     * 
      * @param {Array} messages - Array of message objects
+     * @param {Function} onToken - Callback invoked with each streamed token
+     * @param {AbortSignal} stopSignal - Aborts the request when the user presses Stop
      * @param {number} retryCount - Current retry attempt
+     * @param {Function} onToolEvent - Callback invoked with each tool_call and tool_result event
      * @returns {Promise<Object>} API response data
      */
-    async callChatAPI(messages, retryCount = 0) {
+    async callChatAPI(messages, onToken = () => {}, stopSignal = null, retryCount = 0, onToolEvent = () => {}) {
+        let receivedTokens = false;
+        
         try {
-            // Create abort controller for timeout
+            // Abort if the server goes quiet for 60 seconds (reset on every chunk)
             const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 60000); // 60 second timeout
+            let timeoutId = setTimeout(() => controller.abort(), 60000);
+            
+            // Closing the connection makes the backend cancel the Ollama request
+            if (stopSignal) {
+                if (stopSignal.aborted) controller.abort();
+                stopSignal.addEventListener('abort', () => controller.abort(), { once: true });
+            }
+            const resetTimeout = () => {
+                clearTimeout(timeoutId);
+                timeoutId = setTimeout(() => controller.abort(), 60000);
+            };
             
             console.log(`Making API request to: ${this.apiUrl}`);
             const startTime = Date.now();
             
-            const response = await fetch(this.apiUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Cache-Control': 'no-cache',
-                },
-                body: JSON.stringify({ messages }),
-                signal: controller.signal,
-                cache: 'no-cache'
-            });
-            
-            clearTimeout(timeoutId);
-            const responseTime = Date.now() - startTime;
-            console.log(`Frontend request completed in ${responseTime}ms`);
-            
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+            try {
+                const response = await this.authFetch(this.apiUrl, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Cache-Control': 'no-cache',
+                    },
+                    body: JSON.stringify(this.buildChatRequestBody(messages)),
+                    signal: controller.signal,
+                    cache: 'no-cache'
+                });
+                
+                if (!response.ok) {
+                    const errorData = await response.json();
+                    const message = errorData.error || `HTTP ${response.status}: ${response.statusText}`;
+                    
+                    // Rate limited or the server's queue is full
+                    if (response.status === 429 && errorData.retryAfter) {
+                        throw new Error(`${message}. Please try again in ${errorData.retryAfter} s.`);
+                    }
+                    throw new Error(message);
+                }
+                
+                const data = await this.readChatStream(response, (token) => {
+                    receivedTokens = true;
+                    onToken(token);
+                }, resetTimeout, (position) => {
+                    // Waiting for a free slot on a busy server
+                    this.updateStatus(position ? `Queued (#${position})` : 'Thinking...', 'warning');
+                }, (event) => {
+                    // Tools may have side effects, so don't retry once they ran
+                    receivedTokens = true;
+                    onToolEvent(event);
+                });
+                
+                const responseTime = Date.now() - startTime;
+                console.log(`Frontend request completed in ${responseTime}ms`);
+                
+                this.updateStatus('Ready', 'success');
+                return data;
+            } finally {
+                clearTimeout(timeoutId);
             }
             
-            const data = await response.json();
-            this.updateStatus('Ready', 'success');
-            return data;
-            
         } catch (error) {
             // Log detailed error information
             console.error('Chat API Error:', {
@@ -1084,22 +3971,104 @@ class ChatApp {
                 apiUrl: this.apiUrl
             });
             
-            // Retry logic for network-related errors
-            if (retryCount < this.maxRetries && (
+            // Retry logic for network-related errors, unless the user stopped
+            // the request or part of the reply has already been shown
+            if (!receivedTokens && !stopSignal?.aborted && retryCount < this.maxRetries && (
                 error.name === 'AbortError' || 
                 error.message.includes('fetch') ||
                 error.message.includes('network')
             )) {
                 console.log(`Retrying API call (${retryCount + 1}/${this.maxRetries})...`);
                 await this.delay(this.retryDelay * (retryCount + 1));
-                return this.callChatAPI(messages, retryCount + 1);
+                return this.callChatAPI(messages, onToken, stopSignal, retryCount + 1, onToolEvent);
             }
             throw error;
         }
     }
     
+    /**
+     * Build the JSON body for a chat request
+     * @param {Array} messages - Array of message objects
+     * @returns {Object} Request body for the chat endpoint
+     */
+    buildChatRequestBody(messages) {
+        const session = this.chatHistory.getCurrentSession();
+        const options = session?.options;
+        
+        return {
+            messages,
+            model: this.modelSelect.value || undefined,
+            options: options && Object.keys(options).length > 0 ? options : undefined,
+            tools: session?.toolsEnabled && this.tools.length > 0 ? true : undefined,
+            stream: true
+        };
+    }
+    
+    /**
+     * Read the NDJSON event stream returned by the chat endpoint
+     * @param {Response} response - Fetch response with a streaming body
+     * @param {Function} onToken - Callback invoked with each token
+     * @param {Function} onActivity - Callback invoked whenever data arrives
+     * @param {Function} onQueued - Callback invoked with the queue position while
+     *   the request waits on the server, and with null once it starts
+     * @param {Function} onToolEvent - Callback invoked with tool_call and tool_result events
+     * @returns {Promise<Object>} Final reply, usage statistics and tool calls
+     */
+    async readChatStream(response, onToken, onActivity, onQueued = () => {}, onToolEvent = () => {}) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let result = null;
+        
+        const handleLine = (line) => {
+            if (!line.trim()) return;
+            
+            const event = JSON.parse(line);
+            switch (event.type) {
+                case 'token':
+                    onToken(event.content);
+                    break;
+                case 'queued':
+                    onQueued(event.position);
+                    break;
+                case 'started':
+                    onQueued(null);
+                    break;
+                case 'tool_call':
+                case 'tool_result':
+                    onToolEvent(event);
+                    break;
+                case 'done':
+                    result = { reply: event.reply, usage: event.usage, toolCalls: event.toolCalls };
+                    break;
+                case 'error':
+                    throw new Error(event.error || 'Stream error');
+            }
+        };
+        
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            
+            onActivity();
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach(handleLine);
+        }
+        
+        handleLine(buffer + decoder.decode());
+        
+        if (!result) {
+            throw new Error('Response stream ended unexpectedly');
+        }
+        
+        return result;
+    }
+    
     /**
      * Get optimized messages for request with caching
+     * @returns {Promise<Object>} Context built by ChatHistory.getMessagesForRequest
      */
     async getOptimizedMessagesForRequest() {
         const now = Date.now();
@@ -1110,13 +4079,202 @@ class ChatApp {
         }
         
         // Get fresh context
-        const messages = await this.chatHistory.getMessagesForRequest();
+        const context = await this.chatHistory.getMessagesForRequest(null, this.getContextBudget());
         
         // Cache for future use
-        this.contextCache = messages;
+        this.contextCache = context;
         this.contextCacheTime = now;
         
-        return messages;
+        return context;
+    }
+    
+    /**
+     * Work out how many tokens of history fit in the model's context window
+     * @returns {Object} Budget for ChatHistory.getMessagesForRequest
+     */
+    getContextBudget() {
+        const options = {
+            ...this.defaultOptions,
+            ...(this.chatHistory.getCurrentSession()?.options || {})
+        };
+        const contextLength = options.num_ctx || this.chatHistory.defaultContextLength;
+        
+        // num_predict of -1 (unlimited) or -2 (fill context) has no fixed size
+        let reserveTokens = options.num_predict !== undefined ? options.num_predict : this.chatHistory.defaultReserveTokens;
+        if (reserveTokens < 0) {
+            reserveTokens = Math.min(this.chatHistory.defaultReserveTokens, Math.floor(contextLength / 4));
+        }
+        
+        return {
+            contextLength,
+            reserveTokens,
+            model: this.modelSelect.value
+        };
+    }
+    
+    /**
+     * Start folding messages that no longer fit into the session summary,
+     * if the current session has auto-summarize enabled
+     */
+    scheduleSummarization() {
+        const session = this.chatHistory.getCurrentSession();
+        if (!session?.autoSummarize || this.pendingSummary) return;
+        
+        this.pendingSummary = this.summarizeOlderMessages(session.id)
+            .finally(() => {
+                this.pendingSummary = null;
+            });
+    }
+    
+    /**
+     * Ask the backend to merge messages outside the context window into the
+     * session's rolling summary
+     * @param {string} sessionId - Session to summarize
+     */
+    async summarizeOlderMessages(sessionId) {
+        const budget = this.getContextBudget();
+        const context = await this.chatHistory.getMessagesForRequest(sessionId, budget);
+        if (context.excludedMessages.length === 0) return;
+        
+        // Very long messages are shortened so the summary request itself fits
+        const maxChars = 6000;
+        const messages = context.excludedMessages.map(msg => {
+            const content = this.chatHistory.buildRequestContent(msg);
+            return {
+                role: msg.role,
+                content: content.length > maxChars ? `${content.slice(0, maxChars)}\n...[truncated]` : content
+            };
+        });
+        
+        this.updateStatus('Summarizing...', 'warning');
+        
+        try {
+            const response = await this.authFetch(this.summarizeUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    messages,
+                    summary: context.summary?.content || '',
+                    model: budget.model || undefined
+                })
+            });
+            
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+            }
+            
+            await this.chatHistory.setSessionSummary(sessionId, {
+                content: data.summary,
+                messageIds: [
+                    ...(context.summary?.messageIds || []),
+                    ...context.excludedMessages.map(msg => msg.id)
+                ],
+                updatedAt: new Date().toISOString()
+            });
+            
+            console.log(`Summarized ${messages.length} older messages`);
+            this.updateStatus('Ready', 'success');
+            
+            if (sessionId === this.chatHistory.currentSessionId) {
+                await this.refreshContextDisplay();
+            }
+        } catch (error) {
+            // Summaries are best-effort: the chat keeps working with plain truncation
+            console.error('Failed to summarize older messages:', error);
+            this.updateStatus('Summary failed', 'warning');
+        }
+    }
+    
+    /**
+     * Ask the backend for a descriptive title once a new chat has its first
+     * reply. Titles set by the user (and chats from before titles were
+     * generated) are never replaced.
+     * @param {string} sessionId - Session that just got a reply
+     */
+    async suggestSessionTitle(sessionId) {
+        const session = this.chatHistory.sessions.find(s => s.id === sessionId);
+        if (session?.titleSource !== 'default' || this.pendingTitles.has(sessionId)) return;
+        
+        this.pendingTitles.add(sessionId);
+        
+        try {
+            const messages = (await this.chatHistory.getActiveMessages(sessionId))
+                .slice(0, 2)
+                .map(({ role, content }) => ({ role, content }));
+            
+            const response = await this.authFetch(this.titleUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    messages,
+                    model: this.modelSelect.value || undefined
+                })
+            });
+            
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+            }
+            
+            // The user may have renamed the chat while the title was generated
+            const current = this.chatHistory.sessions.find(s => s.id === sessionId);
+            if (current?.titleSource !== 'default') return;
+            
+            await this.chatHistory.renameSession(sessionId, data.title, 'generated');
+            this.updateHistoryDisplay();
+            this.debouncedSync();
+        } catch (error) {
+            // Titles are best-effort: the default title stays and the next reply tries again
+            console.error('Failed to generate session title:', error);
+        } finally {
+            this.pendingTitles.delete(sessionId);
+        }
+    }
+    
+    /**
+     * Refresh which messages of the current session fit in the context window
+     */
+    async refreshContextDisplay() {
+        this.contextCache = null;
+        const context = await this.getOptimizedMessagesForRequest();
+        this.updateContextDisplay(context);
+    }
+    
+    /**
+     * Mark messages left out of the context window and show the token estimate
+     * @param {Object} context - Context built by ChatHistory.getMessagesForRequest
+     */
+    updateContextDisplay(context) {
+        const included = new Set(context.includedMessageIds.map(String));
+        const summarized = new Set(context.summarizedMessageIds.map(String));
+        
+        this.chatContainer.querySelectorAll('.message[data-message-id]').forEach(element => {
+            const id = element.dataset.messageId;
+            const isSummarized = summarized.has(id);
+            const outOfContext = !included.has(id) && !isSummarized;
+            
+            element.classList.toggle('summarized', isSummarized);
+            element.classList.toggle('out-of-context', outOfContext);
+            
+            if (isSummarized) {
+                element.title = 'Sent to the model as part of the conversation summary';
+            } else {
+                element.title = outOfContext ? 'Not sent to the model: outside the context window' : '';
+            }
+        });
+        
+        this.renderSummaryNotice(context.summary);
+        
+        const formatTokens = (tokens) => tokens >= 1000 ? `${(tokens / 1000).toFixed(1)}k` : String(Math.round(tokens));
+        const excluded = context.excludedCount > 0 ? ` • ${context.excludedCount} older message${context.excludedCount === 1 ? '' : 's'} left out` : '';
+        
+        this.contextInfo.textContent = `Context ~${formatTokens(context.estimatedTokens)}/${formatTokens(context.tokenBudget)} tokens${excluded}`;
+        this.contextInfo.classList.toggle('warning', context.estimatedTokens > context.tokenBudget);
     }
     
     /**
@@ -1162,50 +4320,68 @@ class ChatApp {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
     
-    async addMessage(role, content, usage = null, saveToHistory = true) {
+    async addMessage(role, content, usage = null, saveToHistory = true, metadata = {}) {
         const message = {
             id: Date.now(),
             role,
             content,
             timestamp: new Date(),
-            usage
+            usage,
+            ...metadata
         };
         
         this.messages.push(message);
         
         const messageElement = this.renderMessage(message);
-
-        if (role === 'assistant') {
-            await this.streamMessageContent(messageElement, message, usage);
-        } else {
-            this.updateMessageContent(messageElement, message, usage);
-            // Highlight syntax for user-posted code blocks
-            if (window.Prism) {
-                Prism.highlightAllUnder(messageElement);
-            }
-        }
+        this.updateMessageContent(messageElement, message, usage);
+        
+        // Highlight code, typeset math and draw diagrams
+        this.decorateContent(messageElement);
         
         this.scrollToBottom();
 
-        // Optimize: Save to history with debouncing for better performance
         if (saveToHistory) {
-            try {
-                // Use immediate save for better UX, debounce session updates
-                await this.chatHistory.saveMessage(role, content, usage);
-                
-                // Debounce session activity updates
-                this.debouncedUpdateActivity();
-                
-                // Invalidate context cache after save
-                this.contextCache = null;
-            } catch (error) {
-                console.error('Failed to save message to history:', error);
-            }
+            const savedMessage = await this.persistMessage(role, content, usage, metadata);
+            this.adoptHistoryId(message, messageElement, savedMessage);
         }
         
         return message;
     }
     
+    /**
+     * Save a message to the current session's history
+     * @returns {Promise<Object|null>} Stored message, or null if saving failed
+     */
+    async persistMessage(role, content, usage = null, metadata = {}) {
+        // Optimize: Save to history with debouncing for better performance
+        try {
+            // Use immediate save for better UX, debounce session updates
+            const savedMessage = await this.chatHistory.saveMessage(role, content, usage, metadata);
+            
+            // Debounce session activity updates
+            this.debouncedUpdateActivity();
+            
+            // Invalidate context cache after save
+            this.contextCache = null;
+            
+            return savedMessage;
+        } catch (error) {
+            console.error('Failed to save message to history:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Switch a rendered message over to the ID it was stored under in history
+     */
+    adoptHistoryId(message, messageElement, savedMessage) {
+        if (!savedMessage) return;
+        
+        message.id = savedMessage.id;
+        message.parentId = savedMessage.parentId;
+        messageElement.setAttribute('data-message-id', savedMessage.id);
+    }
+    
     /**
      * Debounced session activity update to optimize IndexedDB operations
      */
@@ -1214,11 +4390,17 @@ class ChatApp {
             if (this.chatHistory.currentSessionId) {
                 await this.chatHistory.updateSessionActivity(this.chatHistory.currentSessionId);
             }
+            this.debouncedSync();
         } catch (error) {
             console.error('Failed to update session activity:', error);
         }
     }, 1000);
     
+    /**
+     * Debounced server sync after local changes
+     */
+    debouncedSync = this.debounce(() => this.syncNow(), 3000);
+    
     /**
      * Debounce utility function
      */
@@ -1258,472 +4440,910 @@ class ChatApp {
             `;
         }
 
-        messageElement.innerHTML = `
-            <div class="message-header">
-                <div class="message-avatar">${avatar}</div>
-                <div class="message-sender">${sender}</div>
-                <div class="message-timestamp">${timestamp}</div>
-            </div>
-            <div class="message-content">
-                ${this.formatContent(message.content)}
-            </div>
-            ${usageInfo}
-        `;
-    }
-
-    async streamMessageContent(messageElement, message, usage = null) {
-        const avatar = message.role === 'user' ? '👤' : '🤖';
-        const sender = message.role === 'user' ? 'You' : 'Kimi-K2';
-        const timestamp = this.formatTime(message.timestamp);
-
-        // Initial render with empty content
-        messageElement.innerHTML = `
-            <div class="message-header">
-                <div class="message-avatar">${avatar}</div>
-                <div class="message-sender">${sender}</div>
-                <div class="message-timestamp">${timestamp}</div>
-            </div>
-            <div class="message-content"></div>
-        `;
-
-        const contentDiv = messageElement.querySelector('.message-content');
-        const formattedContent = this.formatContent(message.content);
-        
-        // Check if content is already HTML-formatted
-        const htmlTagPattern = /<\/?[a-z][\s\S]*>/i;
-        const isHTMLFormatted = htmlTagPattern.test(formattedContent);
-        
-        if (isHTMLFormatted) {
-            // Content is HTML, render it directly without streaming animation
-            contentDiv.innerHTML = formattedContent;
-        } else {
-            // Content is plain text, use streaming animation
-            const tokens = formattedContent.split(/(\s+|&[a-z]+;|<[^>]+>)/g);
-            
-            for (let i = 0; i < tokens.length; i++) {
-                const token = tokens[i];
-                
-                if (token.startsWith('<')) {
-                    // If it's an HTML tag, append it instantly
-                    contentDiv.innerHTML += token;
-                } else {
-                    contentDiv.innerHTML += token;
-                }
-
-                this.scrollToBottom();
-
-                // Delay for typing effect
-                let delay = Math.random() * (120 - 50) + 50; // 50-120ms
-                if (token.endsWith(',')) delay = 180;
-                if (token.endsWith('.')) delay = 350;
-                await this.delay(delay);
-            }
+        if (message.stopped) {
+            usageInfo += `
+                <div class="message-stopped">
+                    <small><i class="fas fa-stop-circle" aria-hidden="true"></i> Generation stopped</small>
+                </div>
+            `;
         }
-
-        // Render usage info after streaming is complete
-        if (usage) {
-            const usageInfo = `
-                <div class="message-usage">
-                    <small>
-                        Tokens: ${usage.total_tokens || 0}
-                        (${usage.prompt_tokens || 0}+${usage.completion_tokens || 0})
-                        • Response time: ${usage.response_time_ms || 0}ms
-                    </small>
+
+        let actions = '';
+        if (message.content || message.attachments?.length) {
+            const versionCount = message.versionCount || 1;
+            const versionIndex = message.versionIndex || 1;
+            const versionNav = versionCount > 1 ? `
+                <button class="message-action version-prev" title="Previous version" aria-label="Previous version" ${versionIndex <= 1 ? 'disabled' : ''}>‹</button>
+                <span class="version-label">${versionIndex}/${versionCount}</span>
+                <button class="message-action version-next" title="Next version" aria-label="Next version" ${versionIndex >= versionCount ? 'disabled' : ''}>›</button>
+            ` : '';
+            const primaryAction = message.role === 'user' ? `
+                <button class="message-action edit-message" title="Edit message" aria-label="Edit message">
+                    <i class="fas fa-pen" aria-hidden="true"></i>
+                </button>
+            ` : `
+                <button class="message-action regenerate-message" title="Regenerate response" aria-label="Regenerate response">
+                    <i class="fas fa-redo" aria-hidden="true"></i>
+                </button>
+            `;
+            actions = `
+                <div class="message-actions">
+                    ${versionNav}
+                    ${primaryAction}
                 </div>
             `;
-            messageElement.innerHTML += usageInfo;
         }
 
-        // Highlight syntax after streaming
-        if (window.Prism) {
-            Prism.highlightAllUnder(messageElement);
-        }
+        messageElement.innerHTML = `
+            <div class="message-header">
+                <div class="message-avatar">${avatar}</div>
+                <div class="message-sender">${sender}</div>
+                <div class="message-timestamp">${timestamp}</div>
+            </div>
+            ${message.role === 'assistant' ? `<div class="message-tools">${(message.toolCalls || []).map(call => this.formatToolCall(call)).join('')}</div>` : ''}
+            ${message.attachments?.length ? `<div class="message-attachments">${message.attachments.map(file => this.formatAttachmentChip(file)).join('')}</div>` : ''}
+            <div class="message-content">
+                ${this.formatContent(message.content)}
+            </div>
+            ${usageInfo}
+            ${actions}
+        `;
     }
-    
-    formatContent(content) {
-        // Add debugging to understand the content we're receiving
-        console.log('formatContent input (first 200 chars):', content.substring(0, 200));
-        
-        // Check if the content is already HTML-formatted (contains HTML tags)
-        const htmlTagPattern = /<\/?[a-z][\s\S]*>/i;
-        const hasHTMLTags = htmlTagPattern.test(content);
-        
-        console.log('Content has HTML tags:', hasHTMLTags);
-        
-        if (hasHTMLTags) {
-            // Content is already HTML-formatted, return as-is but clean up any encoding issues
-            let cleanedContent = content;
-            
-            // Fix common HTML encoding issues
-            cleanedContent = cleanedContent.replace(/&lt;/g, '<');
-            cleanedContent = cleanedContent.replace(/&gt;/g, '>');
-            cleanedContent = cleanedContent.replace(/&amp;/g, '&');
-            cleanedContent = cleanedContent.replace(/&quot;/g, '"');
-            
-            console.log('Returning cleaned HTML content (first 200 chars):', cleanedContent.substring(0, 200));
-            return cleanedContent;
-        }
-        
-        // Content is plain text, process it normally
-        console.log('Processing as plain text content');
+
+    /**
+     * Create an empty assistant bubble that streamed tokens are rendered into
+     * @param {HTMLElement} existingElement - Bubble to reuse (when regenerating)
+     * @returns {Object} Streaming state passed to the other streaming helpers
+     */
+    beginStreamingMessage(existingElement = null) {
+        const message = {
+            id: Date.now(),
+            role: 'assistant',
+            content: '',
+            timestamp: new Date(),
+            usage: null
+        };
         
-        // First, let's normalize line breaks and handle cases where code might not be in proper markdown blocks
-        content = content.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
+        const replacesId = existingElement ? existingElement.dataset.messageId : null;
+        const messageElement = existingElement || this.renderMessage(message);
+        this.updateMessageContent(messageElement, message);
+        messageElement.classList.add('streaming');
         
-        // Store code blocks to protect them from other processing
-        const codeBlocks = [];
+        return {
+            message,
+            messageElement,
+            contentDiv: messageElement.querySelector('.message-content'),
+            toolsDiv: messageElement.querySelector('.message-tools'),
+            replacesId,
+            renderScheduled: false,
+            renderedLength: 0, // Characters of content rendered as finished blocks
+            openBlock: null, // Element holding the block still being written
+
+            generating: false, // Text is arriving (as opposed to tools running)
+            finished: false
+        };
+    }
+    
+    /**
+     * Append a streamed token and schedule a re-render of the bubble
+     * @param {Object} state - Streaming state from beginStreamingMessage
+     * @param {string} token - Text received from the server
+     */
+    appendStreamingToken(state, token) {
+        state.message.content += token;
         
-        // Enhanced regex to handle code blocks with or without language specification
-        content = content.replace(/```(\w+)?\s*\n?([\s\S]*?)```/g, (match, language, code) => {
-            const lang = language || 'text';
-            const placeholder = `__CODE_BLOCK_${codeBlocks.length}__`;
-            // Preserve original formatting and indentation
-            const cleanCode = code.replace(/^\n+/, '').replace(/\n+$/, '');
-            codeBlocks.push(`<pre><code class="language-${lang}">${this.escapeHtml(cleanCode)}</code></pre>`);
-            return placeholder;
-        });
+        // Coalesce tokens arriving within the same frame into one render
+        if (state.renderScheduled) return;
+        state.renderScheduled = true;
         
-        // Handle potential code blocks that might be missing markdown formatting
-        // Look for patterns that suggest code (multiple lines with programming syntax)
-        content = content.replace(/(?:^|\n)((?:(?:#include|class|public:|private:|protected:|int|void|string|const|return|if|for|while|switch|namespace|using|\{|\}|;|\/\/|\/\*|\*\/|#define|template|typedef).+\n?){3,})/gm, (match, codeContent) => {
-            // Only process if it's not already in a placeholder
-            if (!codeContent.includes('__CODE_BLOCK_')) {
-                const placeholder = `__CODE_BLOCK_${codeBlocks.length}__`;
-                const cleanCode = codeContent.trim();
-                codeBlocks.push(`<pre><code class="language-cpp">${this.escapeHtml(cleanCode)}</code></pre>`);
-                return placeholder;
-            }
-            return match;
+        requestAnimationFrame(() => {
+            state.renderScheduled = false;
+            if (state.finished) return;
+            this.renderStreamingContent(state);
+            this.scrollToBottom();
         });
+    }
+    
+    /**
+     * Render the streamed reply so far without re-rendering finished blocks
+     * 
+     * Blocks that can no longer change (anything followed by a blank line,
+     * and closed code blocks, headings and rules) are rendered once, added to
+     * the bubble and highlighted. Only the block still being written is
+     * re-rendered on each frame; an unterminated code fence shows as a code
+     * block that grows with the reply.
+     * @param {Object} state - Streaming state from beginStreamingMessage
+     */
+    renderStreamingContent(state) {
+        const content = state.message.content;
+        if (!this.markdown) {
+            state.contentDiv.innerHTML = this.formatContent(content);
+            return;
+        }
         
-        // Store inline code to protect it
-        const inlineCodes = [];
-        content = content.replace(/`([^`\n]+)`/g, (match, code) => {
-            const placeholder = `__INLINE_CODE_${inlineCodes.length}__`;
-            inlineCodes.push(`<code>${this.escapeHtml(code)}</code>`);
-            return placeholder;
-        });
+        if (!state.openBlock) {
+            state.contentDiv.innerHTML = '';
+            state.openBlock = document.createElement('div');
+            state.openBlock.className = 'streaming-block';
+            state.contentDiv.appendChild(state.openBlock);
+        }
         
-        // Process tables
-        content = this.formatTables(content);
+        const pending = content.slice(state.renderedLength);
+        const tokens = this.markdown.lexer(pending);
+        const lastBlock = tokens.findLastIndex(token => token.type !== 'space');
         
-        // Process headers (h1-h6)
-        content = content.replace(/^(#{1,6})\s+(.+)$/gm, (match, hashes, text) => {
-            const level = hashes.length;
-            const contentText = text.trim();
-            // Heuristic to prevent formatting code as a header
-            if (/[<>{}\[\];()]/.test(contentText) || contentText.startsWith('include') || contentText.startsWith('define')) {
-                // Return as escaped text within a paragraph to avoid markdown processing
-                return `<p>${this.escapeHtml(match)}</p>`;
+        let finishedCount = 0;
+        for (let i = 0; i < lastBlock; i++) {
+            // A list continues after a blank line if the next item follows, so
+            // it only ends once the block after it has a complete line
+            const listMayContinue = tokens[i].type === 'space' && tokens[i - 1]?.type === 'list' &&
+                tokens.findIndex((token, index) => index > i && token.type !== 'space') === lastBlock;
+            
+            if (['space', 'code', 'heading', 'hr'].includes(tokens[i].type) && !listMayContinue) {
+                finishedCount = i + 1;
             }
-            return `<h${level}>${contentText}</h${level}>`;
-        });
+        }
         
-        // Process lists
-        content = this.formatLists(content);
+        if (finishedCount > 0) {
+            // The lexer expands tabs, so measure the finished part in lines rather than characters
+            const lines = tokens.slice(0, finishedCount).reduce((count, token) => count + (token.raw.match(/\n/g) || []).length, 0);
+            let length = 0;
+            for (let i = 0; i < lines; i++) {
+                length = pending.indexOf('\n', length) + 1;
+            }
+            
+            const template = document.createElement('template');
+            template.innerHTML = this.formatContent(pending.slice(0, length));
+            this.decorateContent(template.content);
+            state.openBlock.before(template.content);
+            state.renderedLength += length;
+        }
         
-        // Process blockquotes
-        content = content.replace(/^>\s+(.+)$/gm, '<blockquote>$1</blockquote>');
+        state.openBlock.innerHTML = this.formatContent(content.slice(state.renderedLength));
+    }
+    
+    /**
+     * Show a tool the model called, or its result, in the streaming bubble
+     * @param {Object} state - Streaming state from beginStreamingMessage
+     * @param {Object} event - tool_call ({id, name, arguments}) or
+     *   tool_result ({id, result, isError}) event from the server
+     */
+    applyToolEvent(state, event) {
+        const toolCalls = state.message.toolCalls || (state.message.toolCalls = []);
         
-        // Process horizontal rules
-        content = content.replace(/^[-*_]{3,}$/gm, '<hr>');
+        if (event.type === 'tool_call') {
+            const call = { id: event.id, name: event.name, arguments: event.arguments };
+            toolCalls.push(call);
+            state.toolsDiv.insertAdjacentHTML('beforeend', this.formatToolCall(call));
+        } else {
+            const call = toolCalls.find(c => c.id === event.id);
+            if (!call) return;
+            
+            Object.assign(call, { result: event.result, isError: event.isError });
+            const block = state.toolsDiv.querySelector(`[data-tool-call-id="${call.id}"]`);
+            const wasOpen = block?.open;
+            block?.insertAdjacentHTML('afterend', this.formatToolCall(call));
+            block?.nextElementSibling.toggleAttribute('open', Boolean(wasOpen));
+            block?.remove();
+        }
+        this.scrollToBottom();
+    }
+    
+    /**
+     * Collapsible block showing one tool call with its arguments and result
+     * @param {Object} call - { id, name, arguments, result, isError }; no result yet while running
+     * @returns {string} HTML
+     */
+    formatToolCall(call) {
+        const running = call.result === undefined;
+        const status = running
+            ? '<i class="fas fa-spinner fa-spin" aria-hidden="true"></i> Running'
+            : call.isError
+                ? '<i class="fas fa-exclamation-triangle" aria-hidden="true"></i> Failed'
+                : '<i class="fas fa-check" aria-hidden="true"></i> Done';
+        const args = typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments ?? {}, null, 2);
         
-        // Process bold and italic text
-        content = content.replace(/\*\*\*(.+?)\*\*\*/g, '<strong><em>$1</em></strong>');
-        content = content.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
-        content = content.replace(/\*(.+?)\*/g, '<em>$1</em>');
+        return `
+            <details class="tool-call${call.isError ? ' tool-call-error' : ''}" data-tool-call-id="${this.escapeHtml(call.id)}">
+                <summary>
+                    <i class="fas fa-wrench" aria-hidden="true"></i>
+                    <span class="tool-call-name">${this.escapeHtml(call.name)}</span>
+                    <span class="tool-call-status">${status}</span>
+                </summary>
+                <div class="tool-call-section">Arguments</div>
+                <pre class="tool-call-data">${this.escapeHtml(args)}</pre>
+                ${running ? '' : `
+                    <div class="tool-call-section">Result</div>
+                    <pre class="tool-call-data">${this.escapeHtml(call.result)}</pre>
+                `}
+            </details>
+        `;
+    }
+    
+    /**
+     * Render the complete reply with usage info and save it to history
+     * @param {Object} state - Streaming state from beginStreamingMessage
+     * @param {string} reply - Full reply text reported by the server
+     * @param {Object} usage - Token usage statistics
+     * @param {Object} metadata - Extra fields saved with the message (parentId, version, stopped)
+     * @returns {Promise<Object>} The completed message
+     */
+    async finishStreamingMessage(state, reply, usage = null, metadata = {}) {
+        const { message, messageElement } = state;
+        const streamed = message.content;
+        state.finished = true;
+        message.content = reply;
+        message.usage = usage;
         
-        // Process strikethrough
-        content = content.replace(/~~(.+?)~~/g, '<del>$1</del>');
+        // Tool calls shown while streaming are stored with the reply
+        if (message.toolCalls?.length) {
+            metadata = { ...metadata, toolCalls: message.toolCalls };
+        }
+        Object.assign(message, metadata);
         
-        // Convert URLs to links
-        content = content.replace(
-            /(https?:\/\/[^\s]+)/g, 
-            '<a href="$1" target="_blank" rel="noopener noreferrer">$1</a>'
-        );
+        // A fresh reply is the newest version of its group
+        message.versionIndex = metadata.version || 1;
+        message.versionCount = metadata.version || 1;
         
-        // Process paragraphs and line breaks
-        content = this.formatParagraphs(content);
+        const replacedIndex = this.messages.findIndex(m => String(m.id) === state.replacesId);
+        if (replacedIndex !== -1) {
+            this.messages[replacedIndex] = message;
+        } else {
+            this.messages.push(message);
+        }
         
-        // Restore code blocks
-        codeBlocks.forEach((block, index) => {
-            content = content.replace(`__CODE_BLOCK_${index}__`, block);
-        });
+        messageElement.classList.remove('streaming');
         
-        // Restore inline codes
-        inlineCodes.forEach((code, index) => {
-            content = content.replace(`__INLINE_CODE_${index}__`, code);
-        });
+        // Blocks finished while streaming are already rendered and decorated,
+        // so only the last one still needs it. If the reply differs from what
+        // was streamed, the whole bubble is rendered again.
+        const renderedPart = streamed.slice(0, state.renderedLength);
+        if (state.openBlock && reply.startsWith(renderedPart)) {
+            const template = document.createElement('template');
+            template.innerHTML = this.formatContent(reply.slice(state.renderedLength));
+            this.decorateContent(template.content);
+            state.openBlock.replaceWith(template.content);
+            
+            const blocks = [...state.contentDiv.childNodes];
+            this.updateMessageContent(messageElement, message, usage);
+            messageElement.querySelector('.message-content').replaceChildren(...blocks);
+        } else {
+            this.updateMessageContent(messageElement, message, usage);
+            
+            // Highlight code, typeset math and draw diagrams once the reply is complete
+            this.decorateContent(messageElement);
+        }
         
-        // Final pass: handle any remaining unformatted code-like content
-        content = this.handleUnformattedCode(content);
+        this.scrollToBottom();
+        const savedMessage = await this.persistMessage('assistant', reply, usage, metadata);
+        this.adoptHistoryId(message, messageElement, savedMessage);
         
-        return content;
+        return message;
     }
     
     /**
-     * Handle code-like content that might not be properly formatted in markdown
+     * Set up the Markdown parser and HTML sanitizer used by formatContent
+     * 
+     * Messages are parsed as CommonMark with the GitHub extensions (tables,
+     * task lists, strikethrough, autolinks). HTML written in a message is shown
+     * as text, never interpreted, and the generated HTML is then filtered
+     * against an allow-list of tags, attributes and URL schemes, so neither a
+     * reply nor pasted text can inject markup or script into the page.
+     * 
+     * marked and DOMPurify are loaded from the backend once it is found, before
+     * any message is shown. Libraries already on the page are used as they are.
      */
-    handleUnformattedCode(content) {
-        // First, let's check if the content looks like code that's been flattened into one line
-        const codeIndicators = [
-            /#include\s*<[^>]+>/g,           // C/C++ includes
-            /class\s+\w+/g,                 // Class declarations  
-            /public:|private:|protected:/g,  // Access specifiers
-            /std::/g,                       // Standard library
-            /return\s+\w+/g,                // Return statements
-            /\w+\(\s*\)/g,                  // Function calls
-            /\{|\}/g                        // Braces
-        ];
+    async setupMarkdown() {
+        try {
+            if (!window.marked) await this.loadVendorLibrary('marked');
+            if (!window.DOMPurify) await this.loadVendorLibrary('dompurify');
+        } catch (error) {
+            console.warn('Markdown libraries did not load; messages are shown as plain text:', error.message);
+            return;
+        }
         
-        let codeIndicatorCount = 0;
-        codeIndicators.forEach(pattern => {
-            const matches = content.match(pattern);
-            if (matches) {
-                codeIndicatorCount += matches.length;
+        const escapeHtml = text => this.escapeHtml(text);
+        this.markdown = new marked.Marked({
+            gfm: true,
+            breaks: true, // A single newline in a chat message is a line break
+            walkTokens: token => {
+                // Unlabelled code blocks are plain text
+                if (token.type === 'code' && !token.lang) {
+                    token.lang = 'text';
+                }
+            },
+            // $…$ and $$…$$ are kept verbatim (like code) and typeset later by decorateContent
+            extensions: [
+                {
+                    name: 'mathBlock',
+                    level: 'block',
+                    start: src => src.match(/^ {0,3}\$\$/m)?.index,
+                    tokenizer: src => {
+                        const match = /^ {0,3}\$\$([\s\S]+?)\$\$[ \t]*(?:\n|$)/.exec(src);
+                        if (match) {
+                            return { type: 'mathBlock', raw: match[0], text: match[1].trim() };
+                        }
+                    },
+                    renderer: token => `<div class="math-block">${escapeHtml(token.text)}</div>`
+                },
+                {
+                    name: 'mathInline',
+                    level: 'inline',
+                    start: src => src.indexOf('$'),
+                    tokenizer: src => {
+                        // No space inside the dollars and no digit after the closing one, so prices stay text
+                        const match = /^\$\$([^$]+?)\$\$/.exec(src) || /^\$(?=\S)((?:\\.|[^\\$\n])*?\S)\$(?!\d)/.exec(src);
+                        if (match) {
+                            return { type: 'mathInline', raw: match[0], text: match[1].trim(), display: match[0].startsWith('$$') };
+                        }
+                    },
+                    renderer: token => `<span class="math-inline${token.display ? ' math-display' : ''}">${escapeHtml(token.text)}</span>`
+                }
+            ],
+            renderer: {
+                html: (html, block) => block
+                    ? `<p>${escapeHtml(html.trim()).replace(/\n/g, '<br>')}</p>`
+                    : escapeHtml(html),
+                // Remote images could track readers; show them as links instead
+                image(href, title, text) {
+                    return this.link(href, title, text || escapeHtml(href));
+                }
             }
         });
         
-        // If we have multiple code indicators, this is likely code
-        if (codeIndicatorCount >= 3) {
-            // Try to add line breaks at logical places for C/C++ code
-            let formattedContent = content;
-            
-            // Add line breaks after includes
-            formattedContent = formattedContent.replace(/(#include\s*<[^>]+>)/g, '$1\n');
-            
-            // Add line breaks before/after class declarations
-            formattedContent = formattedContent.replace(/(class\s+\w+[^{]*{)/g, '\n$1\n');
-            
-            // Add line breaks around access specifiers
-            formattedContent = formattedContent.replace(/(public:|private:|protected:)/g, '\n    $1\n');
-            
-            // Add line breaks after semicolons (but not inside function calls)
-            formattedContent = formattedContent.replace(/;\s*(?![^()]*\))/g, ';\n');
-            
-            // Add line breaks around braces
-            formattedContent = formattedContent.replace(/\s*{\s*/g, ' {\n    ');
-            formattedContent = formattedContent.replace(/\s*}\s*/g, '\n}\n');
-            
-            // Add line breaks before return statements
-            formattedContent = formattedContent.replace(/\s+(return\s+[^;]+;)/g, '\n    $1');
-            
-            // Clean up excessive whitespace
-            formattedContent = formattedContent.replace(/\n\s*\n\s*\n/g, '\n\n');
-            formattedContent = formattedContent.trim();
-            
-            // Wrap in code block
-            return `<pre><code class="language-cpp">${this.escapeHtml(formattedContent)}</code></pre>`;
-        }
-        
-        // Fallback: Look for other programming patterns and handle them
-        const otherCodePatterns = [
-            /function\s+\w+/g,              // JavaScript functions
-            /def\s+\w+/g,                   // Python functions
-            /import\s+\w+/g,                // Import statements
-            /console\.log/g,                // Console logs
-            /document\./g                   // DOM manipulation
-        ];
-        
-        let otherCodeCount = 0;
-        otherCodePatterns.forEach(pattern => {
-            const matches = content.match(pattern);
-            if (matches) {
-                otherCodeCount += matches.length;
+        this.sanitizer = DOMPurify(window);
+        this.sanitizer.addHook('afterSanitizeAttributes', node => {
+            // Only code language and math classes are kept, so content cannot borrow the app's styles
+            if (node.hasAttribute('class') && !/^(?:language-[\w+#.-]+|math-block|math-inline( math-display)?)$/.test(node.getAttribute('class'))) {
+                node.removeAttribute('class');
+            }
+            if (node.tagName === 'A') {
+                node.setAttribute('target', '_blank');
+                node.setAttribute('rel', 'noopener noreferrer');
+            }
+            // Task list checkboxes are the only inputs
+            if (node.tagName === 'INPUT') {
+                node.setAttribute('type', 'checkbox');
+                node.setAttribute('disabled', '');
             }
         });
+        this.sanitizeOptions = {
+            ALLOWED_TAGS: [
+                'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote',
+                'ul', 'ol', 'li', 'input', 'pre', 'code', 'a', 'strong', 'em', 'del',
+                'table', 'thead', 'tbody', 'tr', 'th', 'td', 'div', 'span'
+            ],
+            ALLOWED_ATTR: ['href', 'title', 'class', 'start', 'align', 'type', 'checked', 'disabled'],
+            ALLOWED_URI_REGEXP: /^(?:https?:|mailto:|#)/i
+        };
+    }
+    
+    /**
+     * Render message text (Markdown) as sanitized HTML
+     * @param {string} content - Message as written by the user or the model
+     * @returns {string} HTML that is safe to assign to innerHTML
+     */
+    formatContent(content) {
+        const text = (content || '').replace(/\r\n?/g, '\n');
         
-        if (otherCodeCount >= 2) {
-            // Basic formatting for other languages
-            let formattedContent = content;
-            formattedContent = formattedContent.replace(/;\s*/g, ';\n');
-            formattedContent = formattedContent.replace(/\s*{\s*/g, ' {\n    ');
-            formattedContent = formattedContent.replace(/\s*}\s*/g, '\n}\n');
-            formattedContent = formattedContent.trim();
-            
-            return `<pre><code class="language-javascript">${this.escapeHtml(formattedContent)}</code></pre>`;
+        if (!this.markdown) {
+            return text ? `<p class="plain-text">${this.escapeHtml(text)}</p>` : '';
         }
+        return this.sanitizer.sanitize(this.markdown.parse(text), this.sanitizeOptions);
+    }
+    
+    /**
+     * Finish rendered content in place: highlight code blocks, typeset math
+     * and draw ```mermaid diagrams
+     * 
+     * Math and diagrams show their source until the library (loaded from the
+     * backend on first use) has rendered them, and keep it if that fails. A
+     * toggle switches between the rendered view and the source.
+     * @param {Element|DocumentFragment} root - Rendered message content
+     */
+    decorateContent(root) {
+        root.querySelectorAll('pre > code.language-mermaid').forEach(code => this.renderDiagram(code.parentElement));
+        root.querySelectorAll('.math-block, .math-inline').forEach(element => this.renderMath(element));
+        root.querySelectorAll('pre > code[class*="language-"]').forEach(code => this.addCodeToolbar(code.parentElement));
         
-        return content;
+        if (window.Prism) {
+            Prism.highlightAllUnder(root);
+        }
     }
     
-    formatTables(content) {
-        const lines = content.split('\n');
-        const result = [];
-        let inTable = false;
-        let tableRows = [];
+    /**
+     * Put a toolbar above a rendered code block: its language, which can be
+     * edited, and buttons to copy, download, quote, number lines and wrap
+     * @param {HTMLPreElement} pre - Rendered code block
+     */
+    addCodeToolbar(pre) {
+        if (pre.parentElement?.classList.contains('code-block')) return;
         
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim();
-            
-            // Check if this line looks like a table row
-            if (line.includes('|') && line.split('|').length > 2) {
-                if (!inTable) {
-                    inTable = true;
-                    tableRows = [];
-                }
-                tableRows.push(line);
+        const block = document.createElement('div');
+        block.className = 'code-block';
+        block.innerHTML = `
+            <div class="code-toolbar">
+                <input type="text" class="code-language" title="Language (edit to change the highlighting and file type)" aria-label="Code language" spellcheck="false" autocomplete="off">
+                <div class="code-actions">
+                    <button type="button" class="code-action" data-action="run" title="Run in a sandbox" aria-label="Run in a sandbox" hidden>
+                        <i class="fas fa-play" aria-hidden="true"></i>
+                    </button>
+                    <button type="button" class="code-action" data-action="copy" title="Copy code" aria-label="Copy code">
+                        <i class="fas fa-copy" aria-hidden="true"></i>
+                    </button>
+                    <button type="button" class="code-action" data-action="download" title="Download as file" aria-label="Download as file">
+                        <i class="fas fa-download" aria-hidden="true"></i>
+                    </button>
+                    <button type="button" class="code-action" data-action="quote" title="Quote in message" aria-label="Quote in message">
+                        <i class="fas fa-reply" aria-hidden="true"></i>
+                    </button>
+                    <button type="button" class="code-action" data-action="line-numbers" title="Line numbers" aria-label="Line numbers" aria-pressed="false">
+                        <i class="fas fa-list-ol" aria-hidden="true"></i>
+                    </button>
+                    <button type="button" class="code-action" data-action="wrap" title="Wrap long lines" aria-label="Wrap long lines" aria-pressed="false">
+                        <i class="fas fa-align-left" aria-hidden="true"></i>
+                    </button>
+                </div>
+            </div>
+        `;
+        const language = this.getCodeLanguage(pre.querySelector('code'));
+        block.querySelector('.code-language').value = language;
+        block.querySelector('[data-action="run"]').hidden = !this.getRunKind(language);
+        pre.replaceWith(block);
+        block.appendChild(pre);
+    }
+    
+    /**
+     * Language of a rendered code block ("text" for fences without one)
+     */
+    getCodeLanguage(code) {
+        return code.className.match(/\blanguage-([\w+#.-]+)/)?.[1] || 'text';
+    }
+    
+    /**
+     * Run a code block toolbar button
+     */
+    handleCodeAction(button) {
+        const block = button.closest('.code-block');
+        const code = block.querySelector('pre > code');
+        const source = code.textContent.replace(/\n$/, '');
+        const language = this.getCodeLanguage(code);
+        const action = button.dataset.action;
+        
+        if (action === 'run') {
+            this.runCode(block);
+        } else if (action === 'close-run') {
+            block.querySelector('.code-run')?.remove();
+        } else if (action === 'copy') {
+            this.copyCode(button, source);
+        } else if (action === 'download') {
+            this.downloadFile(`snippet.${this.languageExtension(language)}`, source, 'text/plain');
+        } else if (action === 'quote') {
+            this.quoteCode(source, language);
+        } else if (action === 'line-numbers') {
+            const pre = code.parentElement;
+            const numbered = pre.classList.toggle('line-numbers');
+            if (numbered) {
+                const gutter = document.createElement('span');
+                gutter.className = 'code-line-numbers';
+                gutter.setAttribute('aria-hidden', 'true');
+                gutter.textContent = source.split('\n').map((line, index) => index + 1).join('\n');
+                pre.prepend(gutter);
             } else {
-                // If we were in a table, process it
-                if (inTable) {
-                    result.push(this.processTable(tableRows));
-                    tableRows = [];
-                    inTable = false;
-                }
-                result.push(line);
+                pre.querySelector('.code-line-numbers')?.remove();
             }
+            button.setAttribute('aria-pressed', String(numbered));
+        } else if (action === 'wrap') {
+            button.setAttribute('aria-pressed', String(block.classList.toggle('wrap')));
+        }
+    }
+    
+    /**
+     * Copy code to the clipboard, confirming on the button for a moment
+     */
+    async copyCode(button, source) {
+        const icon = button.querySelector('i');
+        try {
+            await navigator.clipboard.writeText(source);
+            icon.className = 'fas fa-check';
+        } catch (error) {
+            console.warn('Copy failed:', error.message);
+            icon.className = 'fas fa-times';
         }
+        setTimeout(() => { icon.className = 'fas fa-copy'; }, 1500);
+    }
+    
+    /**
+     * Add code to the message being written as a fenced block, to ask about it
+     * 
+     * Code that does not fit in the message box is attached as a file instead.
+     * @param {string} source - Code to quote
+     * @param {string} language - Its fence language
+     */
+    quoteCode(source, language) {
+        // The fence must be longer than any backtick run inside the code
+        const longestRun = Math.max(0, ...(source.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(Math.max(3, longestRun + 1));
+        const current = this.messageInput.value.trimEnd();
+        const value = `${current ? `${current}\n\n` : ''}${fence}${language}\n${source}\n${fence}\n\n`;
         
-        // Handle table at end of content
-        if (inTable && tableRows.length > 0) {
-            result.push(this.processTable(tableRows));
+        if (value.length <= 4000) {
+            this.messageInput.value = value;
+            this.updateCharCount();
+            this.autoResize();
+        } else if (this.pendingAttachments.length < this.maxAttachments) {
+            const content = source.slice(0, this.maxAttachmentChars);
+            this.pendingAttachments.push({
+                name: `snippet.${this.languageExtension(language)}`,
+                language,
+                size: new Blob([source]).size,
+                content,
+                truncated: content.length < source.length
+            });
+            this.renderPendingAttachments();
+        } else {
+            this.showError('Code could not be quoted', `It is too long for the message box, and at most ${this.maxAttachments} files can be attached to a message.`);
+            return;
         }
         
-        return result.join('\n');
+        this.validateInput();
+        this.messageInput.focus();
+        this.messageInput.setSelectionRange(this.messageInput.value.length, this.messageInput.value.length);
     }
     
-    processTable(rows) {
-        if (rows.length < 2) return rows.join('\n');
-
-        // Basic validation for a markdown table separator row
-        if (!rows[1] || !rows[1].includes('-')) {
-            return rows.join('\n');
+    /**
+     * Change the language of a code block from its toolbar and highlight it again
+     * @param {HTMLInputElement} input - The toolbar's language field
+     */
+    setCodeLanguage(input) {
+        const code = input.closest('.code-block').querySelector('pre > code');
+        const language = input.value.trim().toLowerCase();
+        if (!/^[\w+#.-]{1,30}$/.test(language)) {
+            input.value = this.getCodeLanguage(code);
+            return;
         }
-
-        let table = '<table class="markdown-table">';
-
-        // Process header row
-        const headerCells = rows[0].split('|').slice(1, -1).map(cell => cell.trim());
-        table += '<thead><tr>';
-        headerCells.forEach(cell => {
-            table += `<th>${this.escapeHtml(cell)}</th>`;
-        });
-        table += '</tr></thead>';
-
-        // Process data rows, skipping separator
-        const dataRows = rows.slice(2);
-
-        if (dataRows.length > 0) {
-            table += '<tbody>';
-            dataRows.forEach(row => {
-                const cells = row.split('|').slice(1, -1).map(cell => cell.trim());
-                // Ensure row has same number of columns as header
-                if (cells.length === headerCells.length) {
-                    table += '<tr>';
-                    cells.forEach(cell => {
-                        table += `<td>${this.escapeHtml(cell)}</td>`;
-                    });
-                    table += '</tr>';
-                }
-            });
-            table += '</tbody>';
+        
+        input.value = language;
+        for (const element of [code, code.parentElement]) {
+            element.className = element.className.replace(/\blanguage-[\w+#.-]+/g, '').trim();
+            element.classList.add(`language-${language}`);
         }
-
-        table += '</table>';
-        return table;
+        code.textContent = code.textContent; // Drop the old highlighting
+        if (window.Prism) {
+            Prism.highlightElement(code);
+        }
+        input.closest('.code-block').querySelector('[data-action="run"]').hidden = !this.getRunKind(language);
+    }
+    
+    /**
+     * How a code block can be run: "js", "html", "css", or null if it cannot
+     */
+    getRunKind(language) {
+        const kinds = { javascript: 'js', js: 'js', html: 'html', htm: 'html', markup: 'html', css: 'css' };
+        return Object.hasOwn(kinds, language) ? kinds[language] : null;
     }
     
-    formatLists(content) {
-        const lines = content.split('\n');
-        const result = [];
-        let inList = false;
-        let listItems = [];
-        let listType = null; // 'ul' or 'ol'
+    /**
+     * Run a JavaScript, HTML or CSS block in a sandboxed frame shown under it
+     * 
+     * HTML is previewed with the CSS and JavaScript blocks of the same message,
+     * and CSS with the message's HTML blocks (or sample markup if there are
+     * none); JavaScript runs on its own. Console output and uncaught errors are
+     * listed under the block.
+     * @param {Element} block - .code-block to run
+     */
+    runCode(block) {
+        block.querySelector('.code-run')?.remove();
+        
+        const sourceOf = other => other.querySelector('pre > code').textContent;
+        const kindOf = other => this.getRunKind(this.getCodeLanguage(other.querySelector('pre > code')));
+        const kind = kindOf(block);
+        const others = kind === 'js' ? [] : Array.from(block.closest('.message-content')?.querySelectorAll('.code-block') || [])
+            .filter(other => other !== block);
+        const othersOf = wanted => others.filter(other => kindOf(other) === wanted).map(sourceOf);
+        
+        const page = { html: '', styles: [], scripts: [] };
+        if (kind === 'js') {
+            page.scripts = [sourceOf(block)];
+        } else if (kind === 'html') {
+            page.html = sourceOf(block);
+            page.styles = othersOf('css');
+            page.scripts = othersOf('js');
+        } else {
+            page.html = othersOf('html').join('\n') || `
+                <h1>Heading</h1>
+                <p>A paragraph with <a href="#">a link</a>, <strong>bold</strong>, <em>italic</em> and <code>code</code>.</p>
+                <ul><li>First item</li><li>Second item</li></ul>
+                <button type="button">Button</button> <input type="text" placeholder="Input">
+            `;
+            page.styles = [sourceOf(block)];
+        }
+        
+        const panel = document.createElement('div');
+        panel.className = 'code-run';
+        panel.classList.toggle('console-only', kind === 'js');
+        panel.innerHTML = `
+            <div class="code-run-header">
+                <span>${kind === 'js' ? 'Console' : 'Preview'}</span>
+                <div class="code-actions">
+                    <button type="button" class="code-action" data-action="run" title="Run again" aria-label="Run again">
+                        <i class="fas fa-rotate-right" aria-hidden="true"></i>
+                    </button>
+                    <button type="button" class="code-action" data-action="close-run" title="Close" aria-label="Close">
+                        <i class="fas fa-times" aria-hidden="true"></i>
+                    </button>
+                </div>
+            </div>
+            <iframe class="code-run-frame" sandbox="allow-scripts" title="Code preview"></iframe>
+            <div class="code-run-console" role="log" hidden></div>
+        `;
         
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i];
-            const trimmed = line.trim();
+        const frame = panel.querySelector('iframe');
+        frame.dataset.runToken = Array.from(crypto.getRandomValues(new Uint32Array(4)), n => n.toString(36)).join('');
+        frame.addEventListener('load', () => {
+            if (!frame.isConnected) return;
             
-            // Check for unordered list items
-            if (trimmed.match(/^[-*+]\s+(.+)/)) {
-                if (!inList || listType !== 'ul') {
-                    if (inList) {
-                        result.push(this.processListItems(listItems, listType));
-                    }
-                    inList = true;
-                    listType = 'ul';
-                    listItems = [];
-                }
-                const content = trimmed.replace(/^[-*+]\s+/, '');
-                listItems.push(content);
-            }
-            // Check for ordered list items
-            else if (trimmed.match(/^\d+\.\s+(.+)/)) {
-                if (!inList || listType !== 'ol') {
-                    if (inList) {
-                        result.push(this.processListItems(listItems, listType));
-                    }
-                    inList = true;
-                    listType = 'ol';
-                    listItems = [];
+            // The sandbox page announces itself with the run's token before it
+            // has loaded, also when the frame loads it again after being moved.
+            // A page that did not was navigated to by the code (location, a meta
+            // refresh added by a script, ...), which the CSP does not prevent.
+            if (frame.dataset.ready !== 'true') {
+                frame.remove();
+                panel.classList.add('console-only');
+                this.appendRunOutput(panel, 'error', 'The code navigated the frame to another page, so the run was stopped. Navigation is not allowed in the sandbox.');
+                return;
+            }
+            delete frame.dataset.ready;
+            
+            const output = panel.querySelector('.code-run-console');
+            if (kind === 'js' && output.childElementCount === 0) {
+                output.hidden = false;
+                output.innerHTML = '<div class="code-run-empty">Finished without output</div>';
+            }
+        });
+        frame.srcdoc = this.buildSandboxPage(page, frame.dataset.runToken);
+        block.appendChild(panel);
+    }
+    
+    /**
+     * HTML document for a sandboxed run
+     * 
+     * The frame is sandboxed without allow-same-origin, so its scripts cannot
+     * reach this page, its storage or the backend. The Content-Security-Policy
+     * blocks the requests the page itself makes (fetch, XHR, WebSocket, images,
+     * scripts, styles, fonts) and form submissions, and clicked links that
+     * would leave the page are cancelled. WebRTC is not covered by those
+     * directives: the bridge removes its constructors, and the policy blocks
+     * it where the browser supports `webrtc 'block'`. Elsewhere a script can
+     * still reach it through a nested frame.
+     * 
+     * The CSP cannot stop the frame from navigating either. Meta refresh tags
+     * in the markup are removed; a location change, or a refresh tag added by
+     * a script, still requests the new page, and runCode removes the frame
+     * once that page loads without announcing itself.
+     * 
+     * A bridge script, first in the document, announces the page with the
+     * run's token (and removes itself, so the code cannot read the token), then
+     * reports console calls and uncaught errors to this page with postMessage.
+     * @param {Object} page
+     * @param {string} page.html - Markup for the document
+     * @param {Array<string>} page.styles - CSS, added in order
+     * @param {Array<string>} page.scripts - JavaScript, run in order after the markup
+     * @param {string} runToken - Sent back by the bridge when the page has started
+     * @returns {string} Value for the frame's srcdoc
+     */
+    buildSandboxPage({ html, styles, scripts }, runToken) {
+        const policy = "default-src 'none'; script-src 'unsafe-inline'; style-src 'unsafe-inline'; " +
+            "img-src data: blob:; font-src data:; media-src data: blob:; form-action 'none'; base-uri 'none'; webrtc 'block'";
+        const bridge = `(() => {
+            document.currentScript.remove();
+            parent.postMessage({ codeRun: true, ready: ${JSON.stringify(runToken)} }, '*');
+            for (const name of ['RTCPeerConnection', 'webkitRTCPeerConnection', 'RTCDataChannel', 'RTCSessionDescription', 'RTCIceCandidate']) {
+                delete window[name];
+            }
+            
+            const format = (value) => {
+                if (typeof value === 'string') return value;
+                if (value instanceof Error) return value.stack || String(value);
+                if (value instanceof Element) return value.outerHTML;
+                try {
+                    return JSON.stringify(value, null, 2) ?? String(value);
+                } catch (error) {
+                    return String(value);
                 }
-                const content = trimmed.replace(/^\d+\.\s+/, '');
-                listItems.push(content);
-            }
-            else {
-                if (inList) {
-                    result.push(this.processListItems(listItems, listType));
-                    inList = false;
-                    listItems = [];
-                    listType = null;
+            };
+            const send = (level, args) => parent.postMessage({ codeRun: true, level, text: args.map(format).join(' ') }, '*');
+            for (const level of ['log', 'info', 'warn', 'error', 'debug']) {
+                const original = console[level];
+                console[level] = (...args) => {
+                    send(level, args);
+                    original.apply(console, args);
+                };
+            }
+            window.alert = (message) => send('info', ['[alert]', String(message)]);
+            window.addEventListener('error', (e) => send('error', [e.message]));
+            window.addEventListener('unhandledrejection', (e) => send('error', ['Unhandled promise rejection:', e.reason]));
+            document.addEventListener('securitypolicyviolation', (e) => send('warn', [\`Blocked by the sandbox (no network access): \${e.blockedURI}\`]));
+            document.addEventListener('click', (e) => {
+                const link = e.target.closest && e.target.closest('a[href]');
+                if (link && !link.getAttribute('href').startsWith('#')) {
+                    e.preventDefault();
+                    send('warn', [\`Blocked by the sandbox (no navigation): \${link.href}\`]);
                 }
-                result.push(line);
+            }, true);
+        })();`;
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        doc.querySelectorAll('meta[http-equiv="refresh" i]').forEach(meta => meta.remove());
+        
+        // Keep code from closing the element it is embedded in
+        const embed = (tag, code) => Object.assign(doc.createElement(tag), {
+            textContent: code.replace(new RegExp(`</${tag}`, 'gi'), `<\\/${tag}`)
+        });
+        const csp = Object.assign(doc.createElement('meta'), { httpEquiv: 'Content-Security-Policy', content: policy });
+        const charset = doc.createElement('meta');
+        charset.setAttribute('charset', 'utf-8');
+        
+        doc.head.prepend(csp, charset, embed('script', bridge), ...styles.map(style => embed('style', style)));
+        doc.body.append(...scripts.map(script => embed('script', script)));
+        return `<!DOCTYPE html>\n${doc.documentElement.outerHTML}`;
+    }
+    
+    /**
+     * Show a console message from a sandboxed run under its code block
+     * @param {Element} panel - .code-run of the run
+     * @param {string} level - Console method: log, info, warn, error or debug
+     * @param {string} text - Formatted message
+     */
+    appendRunOutput(panel, level, text) {
+        const output = panel.querySelector('.code-run-console');
+        output.querySelector('.code-run-empty')?.remove();
+        output.hidden = false;
+        
+        if (output.childElementCount >= this.maxRunOutputLines) {
+            if (!output.querySelector('.code-run-truncated')) {
+                output.insertAdjacentHTML('beforeend', '<div class="code-run-line code-run-truncated">Further output is not shown</div>');
             }
+            return;
         }
         
-        // Handle list at end of content
-        if (inList && listItems.length > 0) {
-            result.push(this.processListItems(listItems, listType));
+        const line = document.createElement('div');
+        line.className = `code-run-line ${['warn', 'error'].includes(level) ? level : 'log'}`;
+        line.textContent = text;
+        output.appendChild(line);
+        output.scrollTop = output.scrollHeight;
+    }
+    
+    /**
+     * Give a math or diagram element its rendered view, source view and toggle
+     * @param {Element} element - Element to fill
+     * @param {string} source - TeX or Mermaid source
+     * @param {boolean} inline - Inline math toggles on click instead of with a button
+     * @returns {Element} The element the rendered view goes into
+     */
+    createRichView(element, source, inline = false) {
+        element.classList.add('show-source');
+        element.innerHTML = inline
+            ? '<span class="rich-output"></span><code class="rich-source"></code>'
+            : `
+                <button type="button" class="rich-toggle" title="Show source" aria-label="Show source" hidden>
+                    <i class="fas fa-code" aria-hidden="true"></i>
+                </button>
+                <div class="rich-output"></div>
+                <pre class="rich-source"><code></code></pre>
+            `;
+        element.querySelector('code.rich-source, .rich-source code').textContent = source;
+        return element.querySelector('.rich-output');
+    }
+    
+    /**
+     * Show the rendered view of a math or diagram element once it is ready
+     */
+    showRendered(element) {
+        element.classList.remove('show-source');
+        element.classList.add('rendered');
+        if (element.classList.contains('math-inline')) {
+            element.setAttribute('role', 'button');
+            element.setAttribute('tabindex', '0');
+            element.title = 'Show source';
+        } else {
+            element.querySelector('.rich-toggle').hidden = false;
         }
+    }
+    
+    /**
+     * Switch a rendered math or diagram element between its rendered view and its source
+     */
+    toggleRichSource(element) {
+        const showSource = element.classList.toggle('show-source');
+        const label = showSource ? 'Show rendered' : 'Show source';
+        const toggle = element.querySelector('.rich-toggle') || element;
+        toggle.title = label;
+        toggle.setAttribute('aria-label', label);
+    }
+    
+    /**
+     * Typeset a $…$ or $$…$$ formula with KaTeX
+     * @param {Element} element - .math-inline or .math-block holding the TeX source
+     */
+    async renderMath(element) {
+        if (element.classList.contains('rich-view')) return;
+        element.classList.add('rich-view');
         
-        return result.join('\n');
+        const source = element.textContent;
+        const displayMode = !element.classList.contains('math-inline') || element.classList.contains('math-display');
+        const output = this.createRichView(element, source, element.classList.contains('math-inline'));
+        
+        try {
+            await this.loadVendorLibrary('katex');
+            // Invalid TeX is shown in red in place of the formula instead of throwing
+            katex.render(source, output, { displayMode, throwOnError: false });
+            this.showRendered(element);
+        } catch (error) {
+            console.warn('Math not rendered:', error.message);
+        }
     }
     
-    processListItems(items, type) {
-        const tag = type === 'ol' ? 'ol' : 'ul';
-        let list = `<${tag} class="markdown-list">`;
-        items.forEach(item => {
-            list += `<li>${item}</li>`;
-        });
-        list += `</${tag}>`;
-        return list;
+    /**
+     * Replace a ```mermaid code block with the diagram it describes
+     * @param {HTMLPreElement} pre - Rendered code block
+     */
+    async renderDiagram(pre) {
+        const source = pre.textContent;
+        const container = document.createElement('div');
+        container.className = 'diagram rich-view';
+        const output = this.createRichView(container, source);
+        pre.replaceWith(container);
+        
+        try {
+            await this.loadVendorLibrary('mermaid');
+            const { svg } = await mermaid.render(`diagram-${Date.now()}-${this.diagramCount++}`, source);
+            output.innerHTML = svg;
+            this.showRendered(container);
+        } catch (error) {
+            console.warn('Diagram not rendered:', error.message);
+            const notice = document.createElement('div');
+            notice.className = 'rich-error';
+            notice.textContent = `Diagram could not be rendered: ${error.message}`;
+            container.prepend(notice);
+        }
     }
     
-    formatParagraphs(content) {
-        // Split content by double line breaks to identify paragraphs
-        const paragraphs = content.split(/\n\s*\n/);
+    /**
+     * Load a rendering library served by the backend (once, on first use)
+     * @param {string} name - "marked", "dompurify", "katex" or "mermaid"
+     * @returns {Promise<void>} Resolves when the library is ready
+     */
+    loadVendorLibrary(name) {
+        if (!this.vendorUrl) {
+            return Promise.reject(new Error('The backend was not found'));
+        }
         
-        return paragraphs.map(para => {
-            const trimmed = para.trim();
-            if (!trimmed) return '';
-
-            // Check if this paragraph contains block-level elements
-            const blockElementRegex = /<(h[1-6]|table|ul|ol|blockquote|pre|hr|div)/i;
-            const match = trimmed.match(blockElementRegex);
-
-            // If a block element is found
-            if (match && match.index !== undefined) {
-                // Get the text before the first block element
-                const textBefore = trimmed.substring(0, match.index).trim();
-                const restOfContent = trimmed.substring(match.index);
-
-                // If there is text before the block element, wrap it in a <p> tag
-                if (textBefore) {
-                    // Better line break handling - preserve intentional line breaks
-                    const withBreaks = textBefore.replace(/\n(?!\s*\n)/g, '<br>');
-                    return `<p>${withBreaks}</p>\n\n${restOfContent}`;
-                } else {
-                    // Otherwise, return the block element content as is
-                    return restOfContent;
+        if (!this.vendorLoads[name]) {
+            const files = {
+                marked: ['marked.min.js'],
+                dompurify: ['purify.min.js'],
+                katex: ['katex.min.css', 'katex.min.js'],
+                mermaid: ['mermaid.min.js']
+            }[name];
+            this.vendorLoads[name] = Promise.all(files.map(file => new Promise((resolve, reject) => {
+                const url = `${this.vendorUrl}/${name}/${file}`;
+                const element = file.endsWith('.css')
+                    ? Object.assign(document.createElement('link'), { rel: 'stylesheet', href: url })
+                    : Object.assign(document.createElement('script'), { src: url });
+                element.onload = resolve;
+                element.onerror = () => reject(new Error(`Failed to load ${url}`));
+                document.head.appendChild(element);
+            }))).then(() => {
+                if (name === 'mermaid') {
+                    // Strict mode sanitizes labels and disables click handlers in diagrams
+                    mermaid.initialize({ startOnLoad: false, securityLevel: 'strict' });
                 }
-            }
-            
-            // If no block element is found, treat as a standard paragraph
-            // Better handling of line breaks within paragraphs
-            const withBreaks = trimmed.replace(/\n(?!\s*\n)/g, '<br>');
-            return `<p>${withBreaks}</p>`;
-
-        }).filter(p => p).join('\n\n');
+            }).catch(error => {
+                delete this.vendorLoads[name]; // Try again for the next message
+                throw error;
+            });
+        }
+        return this.vendorLoads[name];
     }
     
     escapeHtml(text) {
@@ -1742,6 +5362,8 @@ class ChatApp {
     setLoading(loading) {
         this.isLoading = loading;
         this.loadingContainer.style.display = loading ? 'block' : 'none';
+        this.sendButton.style.display = loading ? 'none' : '';
+        this.stopButton.style.display = loading ? '' : 'none';
         this.validateInput();
         
         if (loading) {
@@ -1787,9 +5409,12 @@ function closeErrorModal() {
  * Global keyboard shortcuts
  */
 document.addEventListener('keydown', (e) => {
-    // Escape to close error modal
+    // Escape to close any open modal
     if (e.key === 'Escape') {
         closeErrorModal();
+        window.chatApp?.closeSettings();
+        window.chatApp?.closePromptLibrary();
+        window.chatApp?.closeExport();
     }
     
     // Ctrl/Cmd + K to focus input
@@ -1811,8 +5436,9 @@ document.addEventListener('keydown', (e) => {
  * Click outside modal to close
  */
 document.addEventListener('click', (e) => {
-    if (e.target.classList.contains('modal-overlay')) {
-        closeErrorModal();
+    // The login screen stays until the user signs in
+    if (e.target.classList.contains('modal-overlay') && e.target.id !== 'login-modal') {
+        e.target.style.display = 'none';
     }
 });
 